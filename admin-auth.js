@@ -0,0 +1,100 @@
+// Admin auth shared by sync-server.js and the Worker. Uses Web Crypto only so
+// both runtimes verify requests the same way.
+//
+// Accepted credentials:
+//   Authorization: Bearer <ADMIN_TOKEN>
+//   X-Timestamp: <unix seconds> + X-Signature: hex(HMAC-SHA256(ADMIN_HMAC_SECRET, "<ts>.<METHOD>.<path?query>"))
+
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+export function isAdminAuthConfigured(config) {
+  return Boolean(config.token || config.hmacSecret);
+}
+
+export function adminAuthFromEnv(env = process.env) {
+  return {
+    token: env.ADMIN_TOKEN?.trim() || null,
+    hmacSecret: env.ADMIN_HMAC_SECRET?.trim() || null,
+  };
+}
+
+// Compares every char so response timing doesn't leak how much of the token matched
+function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+export async function signAdminRequest(secret, { timestamp, method, path }) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${timestamp}.${method.toUpperCase()}.${path}`),
+  );
+  return [...new Uint8Array(signature)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// request: { method, path, authorization, timestamp, signature }
+// Returns { ok: true } or { ok: false, status, error }
+export async function verifyAdminRequest(request, config) {
+  if (!isAdminAuthConfigured(config)) {
+    return { ok: false, status: 503, error: "Admin auth not configured (set ADMIN_TOKEN or ADMIN_HMAC_SECRET)" };
+  }
+
+  const bearer = request.authorization?.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  if (config.token && bearer && timingSafeEqual(bearer, config.token)) {
+    return { ok: true };
+  }
+
+  if (config.hmacSecret && request.timestamp && request.signature) {
+    const timestamp = Number(request.timestamp);
+    const skew = Math.abs(Date.now() / 1000 - timestamp);
+    if (!Number.isFinite(timestamp) || skew > MAX_CLOCK_SKEW_SECONDS) {
+      return { ok: false, status: 401, error: "Signature expired" };
+    }
+    const expected = await signAdminRequest(config.hmacSecret, {
+      timestamp: request.timestamp,
+      method: request.method,
+      path: request.path,
+    });
+    if (timingSafeEqual(request.signature.toLowerCase(), expected)) {
+      return { ok: true };
+    }
+  }
+
+  return { ok: false, status: 401, error: "Unauthorized" };
+}
+
+// Express middleware guarding admin endpoints
+export function requireAdmin(config = adminAuthFromEnv()) {
+  return async (req, res, next) => {
+    try {
+      const result = await verifyAdminRequest(
+        {
+          method: req.method,
+          path: req.originalUrl,
+          authorization: req.get("authorization"),
+          timestamp: req.get("x-timestamp"),
+          signature: req.get("x-signature"),
+        },
+        config,
+      );
+      if (result.ok) return next();
+      console.warn(`🔒 Rejected ${req.method} ${req.path} from ${req.ip}: ${result.error}`);
+      res.status(result.status).json({ error: result.error });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
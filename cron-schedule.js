@@ -0,0 +1,85 @@
+// node-cron runs the schedules but can't say when they fire next, which the
+// dashboard and /status show. Same expression rules as node-cron: optional
+// seconds field, names, ranges, lists, and steps kept as multiples
+// ("*/15" -> 0,15,30,45), all fields matched together, server local time.
+
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+const MAX_LOOKAHEAD_DAYS = 366;
+
+function replaceNames(field, names, offset) {
+  return field.toLowerCase().replace(/[a-z]+/g, (name) => {
+    const index = names.indexOf(name.slice(0, 3));
+    if (index === -1) throw new Error(`Unknown name "${name}" in cron expression`);
+    return String(index + offset);
+  });
+}
+
+function expandField(raw, { min, max, names }, index) {
+  const field = names ? replaceNames(raw, names, index === 4 ? 1 : 0) : raw;
+  const [list, stepRaw] = field.split("/");
+  const step = stepRaw === undefined ? 1 : Number(stepRaw);
+  if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepRaw}" in cron expression`);
+
+  const values = new Set();
+  for (const part of list.split(",")) {
+    const [from, to] = part === "*" ? [min, max] : part.split("-").map(Number);
+    const end = to ?? from;
+    if (!Number.isInteger(from) || !Number.isInteger(end) || from < min || end > max || from > end) {
+      throw new Error(`Invalid field "${raw}" in cron expression`);
+    }
+    for (let value = from; value <= end; value++) {
+      if (value % step === 0) values.add(index === 5 && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+export function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  const fields = parts.length === 5 ? ["0", ...parts] : parts;
+  if (fields.length !== 6) throw new Error(`Cron expression needs 5 or 6 fields: "${expression}"`);
+  const [seconds, minutes, hours, days, months, weekDays] = fields.map((field, i) => expandField(field, FIELDS[i], i));
+  return { seconds, minutes, hours, days, months, weekDays };
+}
+
+// First time strictly after `from` the expression matches, or null if none within a year
+export function nextCronRun(expression, from = new Date()) {
+  const schedule = typeof expression === "string" ? parseCronExpression(expression) : expression;
+  const seconds = [...schedule.seconds].sort((a, b) => a - b);
+  const date = new Date(from.getTime());
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    const dayMatches =
+      schedule.days.has(date.getDate()) &&
+      schedule.months.has(date.getMonth() + 1) &&
+      schedule.weekDays.has(date.getDay());
+    if (!dayMatches) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (schedule.minutes.has(date.getMinutes())) {
+      const second = seconds.find((value) => value >= date.getSeconds());
+      if (second !== undefined) {
+        date.setSeconds(second);
+        return date;
+      }
+    }
+    date.setMinutes(date.getMinutes() + 1, 0, 0);
+  }
+  return null;
+}
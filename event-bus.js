@@ -0,0 +1,57 @@
+import { EventEmitter } from "node:events";
+
+// What the sync is doing right now, pushed to /events (Server-Sent Events):
+// log lines, run start / end, stage transitions and per-episode outcomes.
+// The last events are kept, so a reconnecting client (Last-Event-ID) doesn't
+// miss what happened while it was away.
+
+export const EVENT_TYPES = ["log", "run", "stage", "episode"];
+
+const DEFAULT_BUFFER_SIZE = 500;
+
+class EventBus {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffer = [];
+    this.lastId = 0;
+  }
+
+  publish(type, data = {}) {
+    const event = { id: ++this.lastId, type, time: new Date().toISOString(), data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    // A broken subscriber must not break the sync that published
+    for (const listener of this.emitter.listeners("event")) {
+      try {
+        listener(event);
+      } catch {
+        // Subscribers clean up after themselves
+      }
+    }
+    return event;
+  }
+
+  // Returns the unsubscribe function
+  subscribe(listener) {
+    this.emitter.on("event", listener);
+    return () => this.emitter.off("event", listener);
+  }
+
+  // Buffered events after lastId, oldest first
+  since(lastId) {
+    return this.buffer.filter((event) => event.id > lastId);
+  }
+
+  get subscribers() {
+    return this.emitter.listenerCount("event");
+  }
+}
+
+// One SSE message; data is always a single JSON line
+export function formatSseEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ time: event.time, ...event.data })}\n\n`;
+}
+
+export default EventBus;
@@ -0,0 +1,139 @@
+// Typed fetch failures, so callers branch on `instanceof` instead of matching
+// status codes inside error messages. No axios/Node imports: the Worker uses
+// these too.
+
+export class FetchError extends Error {
+  constructor(url, message, details = {}) {
+    super(`Failed to fetch ${url}: ${message}`);
+    this.name = "FetchError";
+    this.url = url;
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+// 404 / 410: the page is gone, retrying won't bring it back
+export class NotFoundError extends FetchError {
+  constructor(url, details = {}) {
+    super(url, `HTTP ${details.status || 404}`, details);
+    this.name = "NotFoundError";
+  }
+}
+
+// 429, or 503 "overloaded": slow down and come back after retryAfterMs
+export class RateLimitedError extends FetchError {
+  constructor(url, details = {}) {
+    super(url, `HTTP ${details.status || 429} rate limited`, details);
+    this.name = "RateLimitedError";
+  }
+}
+
+// 403 or a block page ("Sorry, you have been blocked") served instead of content
+export class BlockedError extends FetchError {
+  constructor(url, details = {}, message = `HTTP ${details.status || 403} blocked`) {
+    super(url, message, details);
+    this.name = "BlockedError";
+    this.challenge = false;
+  }
+}
+
+// Cloudflare interstitial or captcha: a fresh identity (proxy, user agent,
+// cookies) may get through, the same one won't
+export class ChallengeError extends BlockedError {
+  constructor(url, details = {}) {
+    const kind = details.kind || "challenge";
+    super(url, details, kind === "captcha" ? "captcha page" : "Cloudflare challenge");
+    this.name = "ChallengeError";
+    this.challenge = true;
+    this.kind = kind;
+  }
+}
+
+export class TimeoutError extends FetchError {
+  constructor(url, details = {}) {
+    super(url, "timed out", details);
+    this.name = "TimeoutError";
+  }
+}
+
+const TITLE_REGEX = /<title[^>]*>([^<]*)<\/title>/i;
+const CHALLENGE_TITLE_REGEX = /^(just a moment|please wait|checking your browser|one more step)/i;
+// Normal Cloudflare pages load /cdn-cgi/challenge-platform/scripts too, so only
+// markers unique to the interstitial count
+const CHALLENGE_MARKER_REGEX = /cf_chl_opt|cf-chl-widget|challenge-platform\/h\/[bg]\/orchestrate/i;
+const CAPTCHA_WIDGET_REGEX = /cf-turnstile|hcaptcha\.com|h-captcha|g-recaptcha|google\.com\/recaptcha/i;
+// A comment form may embed a captcha widget too, the title tells a guard page apart
+const GUARD_TITLE_REGEX = /captcha|verif|human|security check|ddos|access denied|attention required/i;
+const BLOCK_TITLE_REGEX = /^attention required|access denied/i;
+const BLOCK_BODY_REGEX = /sorry, you have been blocked|cf-error-details/i;
+const TIMEOUT_CODES = new Set(["ECONNABORTED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "UND_ERR_CONNECT_TIMEOUT"]);
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+// Retry-After is either seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// "challenge" | "captcha" | "blocked" | null for a normal page
+export function detectBlockPage(body, headers) {
+  if (getHeader(headers, "cf-mitigated") === "challenge") return "challenge";
+  if (typeof body !== "string" || body.length === 0) return null;
+
+  const head = body.slice(0, 20_000);
+  const title = (head.match(TITLE_REGEX)?.[1] || "").trim();
+  if (CHALLENGE_TITLE_REGEX.test(title) || CHALLENGE_MARKER_REGEX.test(head)) return "challenge";
+  if (CAPTCHA_WIDGET_REGEX.test(head) && GUARD_TITLE_REGEX.test(title)) return "captcha";
+  if (BLOCK_TITLE_REGEX.test(title) || BLOCK_BODY_REGEX.test(head)) return "blocked";
+  return null;
+}
+
+export function isChallengePage(body, headers) {
+  const kind = detectBlockPage(body, headers);
+  return kind === "challenge" || kind === "captcha";
+}
+
+// Maps a non-2xx (or challenge) response to a typed error; null means "not an error"
+export function errorFromResponse(url, { status, headers, body } = {}) {
+  const details = {
+    status,
+    retryAfterMs: parseRetryAfter(getHeader(headers, "retry-after")),
+  };
+  const blockKind = detectBlockPage(body, headers);
+  // Cloudflare serves its interstitial with 200 as well as 403/503
+  if (blockKind === "challenge" || blockKind === "captcha") {
+    return new ChallengeError(url, { ...details, kind: blockKind });
+  }
+  if (status >= 200 && status < 400) return null;
+  if (status === 404 || status === 410) return new NotFoundError(url, details);
+  if (status === 403 || blockKind === "blocked") return new BlockedError(url, details);
+  if (status === 429 || status === 503) return new RateLimitedError(url, details);
+  return new FetchError(url, `HTTP ${status}`, details);
+}
+
+// Normalizes whatever axios/fetch threw into a FetchError subclass
+export function toFetchError(err, url) {
+  if (err instanceof FetchError) return err;
+
+  const response = err?.response;
+  if (response) {
+    const body = typeof response.data === "string" ? response.data : null;
+    const typed = errorFromResponse(url, { status: response.status, headers: response.headers, body });
+    if (typed) return typed;
+  }
+
+  const code = err?.cause?.code || err?.code || null;
+  if (err?.name === "TimeoutError" || TIMEOUT_CODES.has(code)) {
+    return new TimeoutError(url, { code });
+  }
+  return new FetchError(url, err?.message || "unknown error", { code });
+}
@@ -0,0 +1,169 @@
+// Records every upstream response to disk (or KV in the Worker) and serves it
+// back in replay mode, so full sync runs can be reproduced without network.
+
+const MODES = new Set(["off", "record", "replay"]);
+const SECRET_PARAMS = ["api_key", "apikey", "token"];
+
+function fnv1a(input) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export function stripSecrets(rawUrl) {
+  try {
+    const u = new URL(rawUrl);
+    for (const param of SECRET_PARAMS) u.searchParams.delete(param);
+    return u.href;
+  } catch {
+    return rawUrl;
+  }
+}
+
+export function makeFixtureKey({ method = "GET", url, body = "" }) {
+  const safeUrl = stripSecrets(url);
+  const normalizedMethod = method.toUpperCase();
+  let readable = safeUrl;
+  try {
+    const u = new URL(safeUrl);
+    readable = `${u.hostname}${u.pathname}`;
+  } catch {
+    // keep raw url
+  }
+  readable = readable
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+  const hash = fnv1a(`${normalizedMethod} ${safeUrl}\n${body || ""}`);
+  return `${normalizedMethod.toLowerCase()}-${readable}-${hash}`;
+}
+
+class FileFixtureBackend {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async get(key) {
+    const fs = await import("fs");
+    const path = await import("path");
+    try {
+      return await fs.promises.readFile(path.join(this.dir, `${key}.json`), "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async put(key, value) {
+    const fs = await import("fs");
+    const path = await import("path");
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir, `${key}.json`), value);
+  }
+}
+
+export class FixtureMissError extends Error {
+  constructor(request) {
+    super(`No fixture recorded for ${(request.method || "GET").toUpperCase()} ${stripSecrets(request.url)}`);
+    this.name = "FixtureMissError";
+  }
+}
+
+export class FixtureStore {
+  constructor({ mode = "off", backend = null } = {}) {
+    this.mode = MODES.has(mode) ? mode : "off";
+    this.backend = backend;
+    if (this.mode !== "off" && !this.backend) {
+      console.warn(`⚠️  Fixture mode "${this.mode}" requested without a backend, disabling`);
+      this.mode = "off";
+    }
+  }
+
+  get isRecording() {
+    return this.mode === "record";
+  }
+
+  get isReplaying() {
+    return this.mode === "replay";
+  }
+
+  // Returns the recorded { status, headers, body } or throws FixtureMissError in replay mode
+  async lookup(request) {
+    if (!this.isReplaying) return null;
+    const raw = await this.backend.get(makeFixtureKey(request));
+    if (!raw) throw new FixtureMissError(request);
+    return JSON.parse(raw);
+  }
+
+  async record(request, response) {
+    if (!this.isRecording) return;
+    const entry = {
+      request: {
+        method: (request.method || "GET").toUpperCase(),
+        url: stripSecrets(request.url),
+        body: request.body || "",
+      },
+      status: response.status,
+      headers: response.headers || {},
+      body: response.body,
+      recorded_at: new Date().toISOString(),
+    };
+    try {
+      await this.backend.put(makeFixtureKey(request), JSON.stringify(entry, null, 2));
+    } catch (err) {
+      console.warn(`⚠️  Failed to record fixture for ${entry.request.url}: ${err.message}`);
+    }
+  }
+
+  // Wraps a fetch implementation so every call is recorded or replayed
+  wrapFetch(fetchImpl) {
+    if (this.mode === "off") return fetchImpl;
+
+    return async (input, init = {}) => {
+      const url = typeof input === "string" ? input : input.url;
+      const request = {
+        method: init.method || "GET",
+        url,
+        body: typeof init.body === "string" ? init.body : init.body?.toString() || "",
+      };
+
+      const recorded = await this.lookup(request);
+      if (recorded) {
+        return new Response(recorded.body, {
+          status: recorded.status,
+          headers: recorded.headers,
+        });
+      }
+
+      const response = await fetchImpl(input, init);
+      if (this.isRecording) {
+        const body = await response.clone().text();
+        const contentType = response.headers.get("content-type");
+        await this.record(request, {
+          status: response.status,
+          headers: contentType ? { "content-type": contentType } : {},
+          body,
+        });
+      }
+      return response;
+    };
+  }
+}
+
+export function createFileFixtureStore(env = process.env) {
+  const mode = (env.FIXTURE_MODE || "off").trim().toLowerCase();
+  if (mode === "off") return new FixtureStore();
+  return new FixtureStore({
+    mode,
+    backend: new FileFixtureBackend(env.FIXTURE_DIR || "fixtures"),
+  });
+}
+
+export function createKvFixtureStore(env) {
+  const mode = (env.FIXTURE_MODE || "off").trim().toLowerCase();
+  if (mode === "off" || !env.FIXTURES) return new FixtureStore();
+  return new FixtureStore({ mode, backend: env.FIXTURES });
+}
@@ -0,0 +1,167 @@
+// Per-host politeness: caps in-flight requests and meters request starts with a
+// token bucket per host, so parallel sync jobs never burst against one site.
+// A host that answers 429 / challenge pages is paused (Retry-After) and slowed
+// down, then sped back up gradually as requests succeed again.
+
+const DEFAULT_MAX_INTERVAL_MS = 30_000;
+const DEFAULT_MAX_PAUSE_MS = 2 * 60 * 1000;
+const PENALTY_FACTOR = 2;
+const RECOVERY_FACTOR = 0.9;
+
+export function hostOf(url) {
+  try {
+    return new URL(String(url?.url || url)).host;
+  } catch {
+    return "";
+  }
+}
+
+// options.maxConcurrent / options.minIntervalMs / options.burst are the defaults
+// for every host, options.hosts = { "toonstream.one": { minIntervalMs: 750 } }
+// (or a host => overrides function) overrides per host. minIntervalMs is the
+// token refill interval.
+export function createHostLimiter(options = {}) {
+  const {
+    maxConcurrent = 2,
+    minIntervalMs = 0,
+    burst = 1,
+    maxIntervalMs = DEFAULT_MAX_INTERVAL_MS,
+    maxPauseMs = DEFAULT_MAX_PAUSE_MS,
+    hosts = {},
+  } = options;
+  const state = new Map();
+
+  function limitsFor(host) {
+    const overrides = typeof hosts === "function" ? hosts(host) : hosts[host];
+    return { maxConcurrent, minIntervalMs, burst, ...overrides };
+  }
+
+  function stateFor(host) {
+    if (!state.has(host)) {
+      const limits = limitsFor(host);
+      state.set(host, {
+        limits,
+        active: 0,
+        queue: [],
+        tokens: limits.burst,
+        lastRefill: Date.now(),
+        intervalMs: limits.minIntervalMs,
+        pausedUntil: 0,
+        penalties: 0,
+        timer: null,
+      });
+    }
+    return state.get(host);
+  }
+
+  function refill(hostState, now) {
+    const { burst: capacity } = hostState.limits;
+    if (hostState.intervalMs <= 0) {
+      hostState.tokens = capacity;
+    } else {
+      const earned = (now - hostState.lastRefill) / hostState.intervalMs;
+      hostState.tokens = Math.min(capacity, hostState.tokens + earned);
+    }
+    hostState.lastRefill = now;
+  }
+
+  function wake(host, hostState, wait) {
+    hostState.timer ||= setTimeout(() => {
+      hostState.timer = null;
+      pump(host);
+    }, Math.ceil(wait));
+  }
+
+  function pump(host) {
+    const hostState = stateFor(host);
+    while (hostState.queue.length > 0 && hostState.active < hostState.limits.maxConcurrent) {
+      const now = Date.now();
+      if (now < hostState.pausedUntil) {
+        return wake(host, hostState, hostState.pausedUntil - now);
+      }
+      refill(hostState, now);
+      if (hostState.tokens < 1) {
+        return wake(host, hostState, (1 - hostState.tokens) * hostState.intervalMs);
+      }
+      hostState.tokens -= 1;
+      hostState.active++;
+      hostState.queue.shift()();
+    }
+  }
+
+  // Runs fn() once the url's host has a free slot and a token; resolves/rejects with fn's result
+  function schedule(url, fn) {
+    const host = hostOf(url);
+    return new Promise((resolve, reject) => {
+      const hostState = stateFor(host);
+      // The slot is freed before the caller resumes, so stats never lag behind
+      const release = () => {
+        hostState.active--;
+        pump(host);
+      };
+      hostState.queue.push(() => {
+        Promise.resolve()
+          .then(fn)
+          .then(
+            (value) => {
+              release();
+              resolve(value);
+            },
+            (err) => {
+              release();
+              reject(err);
+            },
+          );
+      });
+      pump(host);
+    });
+  }
+
+  // The host pushed back: pause it for retryAfterMs (or the new interval) and
+  // double the refill interval
+  function penalize(url, retryAfterMs = null) {
+    const host = hostOf(url);
+    const hostState = stateFor(host);
+    const now = Date.now();
+    hostState.penalties++;
+    hostState.intervalMs = Math.min(
+      maxIntervalMs,
+      Math.max(hostState.limits.minIntervalMs, 500, hostState.intervalMs * PENALTY_FACTOR),
+    );
+    const pauseMs = Math.min(maxPauseMs, retryAfterMs ?? hostState.intervalMs);
+    hostState.pausedUntil = Math.max(hostState.pausedUntil, now + pauseMs);
+    // Empty bucket that earns its next token exactly when the pause ends
+    hostState.tokens = 0;
+    hostState.lastRefill = hostState.pausedUntil - hostState.intervalMs;
+    console.warn(
+      `🐢 Slowing down ${host}: 1 request / ${hostState.intervalMs}ms, paused ${Math.round(pauseMs / 1000)}s`,
+    );
+  }
+
+  // Each success eases the interval back towards the configured minimum
+  function reward(url) {
+    const hostState = state.get(hostOf(url));
+    if (!hostState || hostState.intervalMs <= hostState.limits.minIntervalMs) return;
+    hostState.intervalMs = Math.max(
+      hostState.limits.minIntervalMs,
+      Math.floor(hostState.intervalMs * RECOVERY_FACTOR),
+    );
+  }
+
+  function getStats() {
+    return Object.fromEntries(
+      [...state].map(([host, hostState]) => [
+        host,
+        {
+          active: hostState.active,
+          queued: hostState.queue.length,
+          intervalMs: hostState.intervalMs,
+          pausedUntil: hostState.pausedUntil > Date.now() ? new Date(hostState.pausedUntil).toISOString() : null,
+          penalties: hostState.penalties,
+        },
+      ]),
+    );
+  }
+
+  return { schedule, penalize, reward, getStats };
+}
@@ -0,0 +1,256 @@
+// Durable work queue on top of the storage layer: one job per series, episode
+// or movie, so a restart or crash resumes exactly where the run stopped.
+//
+// Job lifecycle: pending -> running -> done
+//                                   -> pending (retry after backoff)
+//                                   -> dead (attempts exhausted, kept for inspection)
+
+export const JOB_STATUSES = ["pending", "running", "done", "dead"];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 60_000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+export function makeJobId(type, key) {
+  return `${type}:${key}`;
+}
+
+// 1m, 2m, 4m, ... capped at 6h, with +-20% jitter so failed batches spread out
+export function computeBackoff(attempts, baseMs = DEFAULT_BACKOFF_MS) {
+  const raw = Math.min(MAX_BACKOFF_MS, baseMs * 2 ** Math.max(0, attempts - 1));
+  const jitter = raw * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(raw + jitter);
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.handlers = options.handlers || {};
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+    this.batchSize = options.batchSize || 25;
+    // Jobs run in parallel up to this many; request pacing is the fetch layer's job
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.draining = null;
+    this.waiters = new Map();
+  }
+
+  // Re-enqueueing a pending/running job keeps it as is; a done or dead job
+  // is reset so new work on the same episode/series runs again. With
+  // options.replace a pending job is reset too (new payload, due now).
+  async enqueue(type, key, payload = {}, options = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+    const id = makeJobId(type, key);
+    const existing = await this.storage.getJob(id);
+    if (existing?.status === "running" || (existing?.status === "pending" && !options.replace)) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      type,
+      payload,
+      status: "pending",
+      attempts: 0,
+      max_attempts: options.maxAttempts || this.maxAttempts,
+      run_at: options.runAt || now,
+      last_error: null,
+      locked_at: null,
+      finished_at: null,
+      created_at: existing?.created_at || now,
+    };
+    await this.storage.upsertJob(job);
+    return job;
+  }
+
+  // Jobs left "running" belong to a process that died mid-job
+  async recover() {
+    const stale = await this.storage.listJobs({ status: "running", limit: 1000 });
+    for (const job of stale) {
+      await this.storage.upsertJob({ ...job, status: "pending", locked_at: null });
+    }
+    if (stale.length > 0) {
+      console.log(`♻️  Recovered ${stale.length} interrupted job(s)`);
+    }
+    return stale.length;
+  }
+
+  async runJob(job) {
+    const attempt = job.attempts + 1;
+    await this.storage.upsertJob({
+      ...job,
+      status: "running",
+      attempts: attempt,
+      locked_at: new Date().toISOString(),
+    });
+
+    try {
+      const result = await this.handlers[job.type](job.payload, job);
+      const done = {
+        ...job,
+        status: "done",
+        attempts: attempt,
+        last_error: null,
+        locked_at: null,
+        finished_at: new Date().toISOString(),
+      };
+      await this.storage.upsertJob(done);
+      this.settle(done, result);
+      return "done";
+    } catch (err) {
+      const dead = attempt >= job.max_attempts;
+      const update = {
+        ...job,
+        status: dead ? "dead" : "pending",
+        attempts: attempt,
+        last_error: err.message,
+        locked_at: null,
+        finished_at: dead ? new Date().toISOString() : null,
+        // A rate limited fetch says how long to stay away, never retry sooner than that
+        run_at: dead
+          ? job.run_at
+          : new Date(
+              Date.now() + Math.max(computeBackoff(attempt, this.backoffMs), err.retryAfterMs || 0),
+            ).toISOString(),
+      };
+      await this.storage.upsertJob(update);
+      this.settle(update, undefined, err);
+      if (dead) {
+        console.error(`☠️  Job ${job.id} moved to dead letter after ${attempt} attempt(s): ${err.message}`);
+      } else {
+        console.warn(`   ↻ Job ${job.id} failed (attempt ${attempt}/${job.max_attempts}), retry at ${update.run_at}: ${err.message}`);
+      }
+      return dead ? "dead" : "retry";
+    }
+  }
+
+  // Resolves with { job, result, error } once the next attempt of the job ends
+  // in this process (result is what the handler returned), or null after timeoutMs
+  waitFor(id, timeoutMs) {
+    return new Promise((resolve) => {
+      const waiters = this.waiters.get(id) || new Set();
+      const waiter = (outcome) => {
+        clearTimeout(timer);
+        resolve(outcome);
+      };
+      const timer = setTimeout(() => {
+        waiters.delete(waiter);
+        if (waiters.size === 0) this.waiters.delete(id);
+        resolve(null);
+      }, timeoutMs);
+      waiters.add(waiter);
+      this.waiters.set(id, waiters);
+    });
+  }
+
+  settle(job, result, err = null) {
+    const waiters = this.waiters.get(job.id);
+    if (!waiters) return;
+    this.waiters.delete(job.id);
+    for (const waiter of waiters) waiter({ job, result, error: err?.message || null });
+  }
+
+  // Runs due jobs on a pool of `concurrency` workers until none are left,
+  // including jobs enqueued by the handlers themselves. Concurrent callers
+  // share the same drain.
+  drain() {
+    if (!this.draining) {
+      this.draining = this.drainLoop().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  // Due jobs this drain hasn't tried yet. Jobs it retried can be due again
+  // right away (short backoff) and fill whole pages, so it pages past them.
+  async nextDue(attempted) {
+    const dueBefore = new Date().toISOString();
+    for (let offset = 0; ; offset += this.batchSize) {
+      const page = await this.storage.listJobs({ status: "pending", dueBefore, limit: this.batchSize, offset });
+      const due = page.filter((job) => !attempted.has(job.id));
+      if (due.length > 0 || page.length < this.batchSize) return due;
+    }
+  }
+
+  async drainLoop() {
+    const summary = { done: 0, retry: 0, dead: 0 };
+    const attempted = new Set();
+    const running = new Set();
+
+    const start = (job) => {
+      attempted.add(job.id);
+      const task = this.runJob(job)
+        .then((result) => {
+          summary[result]++;
+        })
+        .catch((err) => {
+          // Storage failed mid-job; it stays "running" until the next recover()
+          console.error(`❌ Job ${job.id} crashed: ${err.message}`);
+        })
+        .finally(() => running.delete(task));
+      running.add(task);
+    };
+
+    for (;;) {
+      const due = await this.nextDue(attempted);
+
+      if (due.length === 0) {
+        // Running jobs may still enqueue follow-up work
+        if (running.size === 0) break;
+        await Promise.race(running);
+        continue;
+      }
+
+      for (const job of due) {
+        while (running.size >= this.concurrency) {
+          await Promise.race(running);
+        }
+        start(job);
+      }
+    }
+
+    if (attempted.size > 0) {
+      console.log(`📬 Queue drained: ${summary.done} done, ${summary.retry} to retry, ${summary.dead} dead`);
+    }
+    return summary;
+  }
+
+  async retry(id) {
+    const job = await this.storage.getJob(id);
+    if (!job || job.status === "running") return job;
+    const reset = {
+      ...job,
+      status: "pending",
+      attempts: 0,
+      last_error: null,
+      finished_at: null,
+      run_at: new Date().toISOString(),
+    };
+    await this.storage.upsertJob(reset);
+    return reset;
+  }
+
+  async stats() {
+    return this.storage.countJobsByStatus();
+  }
+
+  async list(options = {}) {
+    return this.storage.listJobs(options);
+  }
+
+  async get(id) {
+    return this.storage.getJob(id);
+  }
+
+  // Finished jobs are only kept for a while, dead ones stay until retried
+  async prune(retentionMs) {
+    const before = new Date(Date.now() - retentionMs).toISOString();
+    return this.storage.deleteJobs({ status: "done", finishedBefore: before });
+  }
+}
+
+export default JobQueue;
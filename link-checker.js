@@ -0,0 +1,115 @@
+import { findResolver, resolveStream } from "./resolvers/index.js";
+
+// Probes stored server urls so episodes whose embeds have all died get
+// resynced instead of looking "complete" forever.
+
+const DEAD_HTTP_STATUSES = new Set([404, 410]);
+const RETRY_WITH_GET = new Set([403, 405, 501]);
+const DEAD_NETWORK_CODES = new Set(["ENOTFOUND", "ECONNREFUSED", "EAI_AGAIN", "ERR_INVALID_URL"]);
+const REMOVED_PAGE_REGEX =
+  /(file|video)\s+(was\s+|has\s+been\s+|is\s+)?(not\s+found|deleted|removed|unavailable|expired)|file does not exist/i;
+
+// A server counts as dead only on hard evidence (404/410, dead DNS, removed
+// page); blocks, 5xx and timeouts are "unknown" and never trigger a resync
+export function allServersDead(servers) {
+  return (
+    Array.isArray(servers) &&
+    servers.length > 0 &&
+    servers.every((server) => server.status === "dead")
+  );
+}
+
+// A request that threw: dead on hard evidence, unknown for anything that may pass
+function classifyFailure(err) {
+  const code = err.cause?.code || err.code;
+  const dead = DEAD_NETWORK_CODES.has(code) || DEAD_HTTP_STATUSES.has(err.status);
+  return {
+    status: dead ? "dead" : "unknown",
+    error: err.name === "TimeoutError" ? "timeout" : code || err.message,
+  };
+}
+
+// options.fetchImpl(url, init) -> Response
+// options.fetchHtml(url, { referer }) -> html string, used by host resolvers
+// options.referer: string or () => string, sent with every probe
+export function createLinkChecker(options) {
+  const {
+    fetchImpl = (...args) => fetch(...args),
+    fetchHtml,
+    timeoutMs = 15_000,
+    userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    referer,
+  } = options;
+
+  async function request(url, method, headers) {
+    return fetchImpl(url, {
+      method,
+      redirect: "follow",
+      headers: {
+        "User-Agent": userAgent,
+        ...(referer ? { Referer: typeof referer === "function" ? referer() : referer } : {}),
+        ...headers,
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  }
+
+  // Returns { status: "alive" | "dead" | "unknown", http_status, latency_ms }
+  async function probeUrl(url, headers = {}) {
+    const startedAt = Date.now();
+    try {
+      let response = await request(url, "HEAD", headers);
+      let body = null;
+      if (RETRY_WITH_GET.has(response.status)) {
+        response = await request(url, "GET", headers);
+        body = await response.text();
+      }
+
+      let status = "unknown";
+      if (DEAD_HTTP_STATUSES.has(response.status)) status = "dead";
+      else if (response.ok) status = body && REMOVED_PAGE_REGEX.test(body) ? "dead" : "alive";
+
+      return { status, http_status: response.status, latency_ms: Date.now() - startedAt };
+    } catch (err) {
+      return { ...classifyFailure(err), http_status: null, latency_ms: Date.now() - startedAt };
+    }
+  }
+
+  async function probeServer(server) {
+    const checked = { ...server, last_checked: new Date().toISOString() };
+    delete checked.error;
+
+    const probe = await probeUrl(server.url);
+    Object.assign(checked, probe);
+    if (probe.status !== "alive" || !fetchHtml || !findResolver(server.url)) {
+      return checked;
+    }
+
+    // Known hosts answer 200 with a "file removed" page, so a resolver miss on a
+    // page that loaded means dead. A hit also refreshes the short-lived stream token.
+    let stream;
+    try {
+      stream = await resolveStream(server.url, { fetchHtml, throwOnFetchError: true });
+    } catch (err) {
+      return { ...checked, ...classifyFailure(err) };
+    }
+    if (!stream) {
+      return { ...checked, status: "dead", error: "no stream" };
+    }
+    return { ...checked, ...stream };
+  }
+
+  async function checkServers(servers = []) {
+    const checked = [];
+    for (const server of servers) {
+      if (!server?.url) {
+        checked.push(server);
+        continue;
+      }
+      checked.push(await probeServer(server));
+    }
+    return checked;
+  }
+
+  return { probeUrl, probeServer, checkServers };
+}
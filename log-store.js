@@ -0,0 +1,173 @@
+import fs from "node:fs";
+import path from "node:path";
+import { matchesLogFilter } from "./logger.js";
+
+// Log entries outlive the 20-minute /list buffer and restarts: appended as
+// JSON lines to <dir>/toonstream-YYYY-MM-DD.<n>.jsonl, a new file per day or
+// once one reaches maxFileBytes, and files older than the retention deleted.
+// Reads go newest first with a cursor, so /list can page back through old runs.
+
+const DEFAULT_MAX_FILE_BYTES = 20 * 1024 * 1024;
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^toonstream-(\d{4}-\d{2}-\d{2})\.(\d+)\.jsonl$/;
+const CURSOR_PATTERN = /^(toonstream-\d{4}-\d{2}-\d{2}\.\d+\.jsonl):(\d+)$/;
+
+// Oldest first; the index is compared as a number (.10 after .9)
+function compareFiles(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+export function parseLogCursor(cursor) {
+  const match = CURSOR_PATTERN.exec(String(cursor || ""));
+  return match ? { file: match[1], line: Number(match[2]) } : null;
+}
+
+class LogFileStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.now = options.now || Date.now;
+    this.fd = null;
+    this.file = null;
+    this.day = null;
+    this.prunedDay = null;
+    this.size = 0;
+    this.failed = false;
+  }
+
+  files() {
+    try {
+      return fs.readdirSync(this.dir).filter((name) => FILE_PATTERN.test(name)).sort(compareFiles);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  // Continues today's newest file if it still has room (and no rotation was asked for)
+  open(day, rotate = false) {
+    this.close();
+    fs.mkdirSync(this.dir, { recursive: true });
+    const today = this.files().filter((name) => FILE_PATTERN.exec(name)[1] === day);
+    let index = today.length > 0 ? Number(FILE_PATTERN.exec(today.at(-1))[2]) : 0;
+    let size = today.length > 0 ? fs.statSync(path.join(this.dir, today.at(-1))).size : 0;
+    if (today.length > 0 && (rotate || size >= this.maxFileBytes)) {
+      index++;
+      size = 0;
+    }
+    this.file = `toonstream-${day}.${index}.jsonl`;
+    this.fd = fs.openSync(path.join(this.dir, this.file), "a");
+    this.day = day;
+    this.size = size;
+    if (this.day !== this.prunedDay) {
+      this.prunedDay = day;
+      this.prune();
+    }
+  }
+
+  // Synchronous on purpose: lines logged right before a crash still land
+  append(entry) {
+    if (this.failed) return;
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    try {
+      const day = new Date(this.now()).toISOString().slice(0, 10);
+      if (this.fd === null || day !== this.day) this.open(day);
+      else if (this.size > 0 && this.size + bytes > this.maxFileBytes) this.open(day, true);
+      fs.writeSync(this.fd, line);
+      this.size += bytes;
+    } catch (err) {
+      // Not through console: that would log back into this store
+      this.failed = true;
+      process.stderr.write(`⚠️  Log files disabled, writing to ${this.dir} failed: ${err.message}\n`);
+    }
+  }
+
+  // Deletes files whose last write is older than the retention
+  prune() {
+    const cutoff = this.now() - this.retentionMs;
+    let removed = 0;
+    for (const name of this.files()) {
+      if (name === this.file) continue;
+      const file = path.join(this.dir, name);
+      try {
+        if (fs.statSync(file).mtimeMs < cutoff) {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      } catch {
+        // Already gone
+      }
+    }
+    return removed;
+  }
+
+  // Newest first. cursor is the nextCursor of the previous page ("<file>:<line>")
+  async read({ filter = {}, cursor = null, limit = 500 } = {}) {
+    const from = cursor ? parseLogCursor(cursor) : null;
+    if (cursor && !from) throw new Error("Invalid log cursor");
+
+    const entries = [];
+    const files = this.files().reverse();
+    for (const name of files) {
+      if (from && compareFiles(name, from.file) > 0) continue;
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(this.dir, name), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") continue;
+        throw err;
+      }
+      const lines = content.split("\n");
+      const start = from && name === from.file ? Math.min(from.line, lines.length) - 1 : lines.length - 1;
+      for (let i = start; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (!matchesLogFilter(entry, filter)) continue;
+        entries.push(entry);
+        if (entries.length >= limit) return { entries, nextCursor: `${name}:${i}` };
+      }
+    }
+    return { entries, nextCursor: null };
+  }
+
+  close() {
+    if (this.fd === null) return;
+    try {
+      fs.closeSync(this.fd);
+    } catch {
+      // Nothing left to flush
+    }
+    this.fd = null;
+  }
+
+  getStats() {
+    const files = this.files();
+    return {
+      dir: this.dir,
+      files: files.length,
+      oldest: files[0] || null,
+      current: this.file,
+      retentionDays: this.retentionMs / (24 * 60 * 60 * 1000),
+    };
+  }
+}
+
+// LOG_DIR=off (or empty) keeps logs in memory only
+export function logFileStoreFromEnv(env = process.env) {
+  const dir = env.LOG_DIR ?? "logs";
+  if (!dir.trim() || dir.trim().toLowerCase() === "off") return null;
+  return new LogFileStore({
+    dir: dir.trim(),
+    maxFileBytes: Number(env.LOG_MAX_FILE_MB || 20) * 1024 * 1024,
+    retentionMs: Number(env.LOG_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000,
+  });
+}
+
+export default LogFileStore;
@@ -0,0 +1,163 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { redactSecrets } from "./redact.js";
+
+// Structured logging without touching every console.* call: once installed,
+// each console line becomes { time, level, msg } plus the run / series /
+// episode it belongs to (carried through async calls), is written to stdout
+// as one JSON object per line (LOG_FORMAT=pretty keeps plain text) and is kept
+// in a buffer that /list filters.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const CONSOLE_LEVELS = { debug: "debug", log: "info", info: "info", warn: "warn", error: "error" };
+const context = new AsyncLocalStorage();
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// Every line logged inside fn carries these fields (on top of the outer ones)
+export function withLogContext(fields, fn) {
+  return context.run({ ...getLogContext(), ...fields }, fn);
+}
+
+// Adds fields once they are known, e.g. the episode key after the page is parsed
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function formatArg(arg) {
+  if (arg instanceof Error) return arg.stack || arg.message;
+  if (typeof arg === "object" && arg !== null) {
+    try {
+      return JSON.stringify(arg, null, 2);
+    } catch {
+      return String(arg);
+    }
+  }
+  return String(arg);
+}
+
+// "[a1b2c3d4 naruto::1x5] " for pretty output, empty outside a run
+function prettyPrefix(entry) {
+  const tags = [entry.run?.slice(0, 8), entry.episode || entry.series].filter(Boolean);
+  return tags.length > 0 ? `[${tags.join(" ")}] ` : "";
+}
+
+function levelIndex(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  return index === -1 ? LOG_LEVELS.indexOf("info") : index;
+}
+
+// filter: { level (minimum), run, series, episode, q (case-insensitive text) }
+export function matchesLogFilter(entry, filter = {}) {
+  if (filter.level && levelIndex(entry.level) < levelIndex(filter.level)) return false;
+  if (filter.run && entry.run !== filter.run) return false;
+  if (filter.series && entry.series !== filter.series) return false;
+  if (filter.episode && entry.episode !== filter.episode) return false;
+  if (filter.q && !entry.message.toLowerCase().includes(String(filter.q).toLowerCase())) return false;
+  return true;
+}
+
+export function createLogger(options = {}) {
+  const minLevel = levelIndex(options.level || process.env.LOG_LEVEL || "info");
+  const format = (options.format || process.env.LOG_FORMAT || "json").toLowerCase();
+  const maxEntries = options.maxEntries || 5000;
+  const maxAgeMs = options.maxAgeMs || 20 * 60 * 1000;
+  const write = options.write || ((line) => process.stdout.write(`${line}\n`));
+  const entries = [];
+  const sinks = [];
+  let original = null;
+
+  function prune(now = Date.now()) {
+    while (entries.length > 0 && Date.parse(entries[0].timestamp) < now - maxAgeMs) entries.shift();
+    while (entries.length > maxEntries) entries.shift();
+  }
+
+  // Returns the stored entry, or null when below LOG_LEVEL / empty
+  function log(level, args, fields = {}) {
+    if (levelIndex(level) < minLevel) return null;
+    const message = redactSecrets(args.map(formatArg).join(" ").trim());
+    if (!message) return null;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      // Old /list field (log / warn / error), kept for existing consumers
+      type: level === "info" ? "log" : level,
+      message,
+    };
+    for (const [key, value] of Object.entries({ ...getLogContext(), ...fields })) {
+      if (value != null) entry[key] = value;
+    }
+    entries.push(entry);
+    prune();
+    for (const sink of sinks) {
+      // A broken sink must not turn a console.log into a throw inside the sync;
+      // console would come back here, so it's reported straight to stderr
+      try {
+        sink(entry);
+      } catch (err) {
+        process.stderr.write(`Log sink failed: ${err.message}\n`);
+      }
+    }
+
+    if (format === "pretty") {
+      // The redacted message, never the raw args
+      const method = original?.[level === "info" ? "log" : level] || console[level === "info" ? "log" : level];
+      method(prettyPrefix(entry) + message);
+    } else {
+      const { timestamp, type, message: msg, ...rest } = entry;
+      write(JSON.stringify({ time: timestamp, ...rest, msg }));
+    }
+    return entry;
+  }
+
+  // Routes console.* through the logger; safe to call more than once
+  function installConsole() {
+    if (original) return;
+    original = {};
+    for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+      original[method] = console[method];
+      console[method] = (...args) => {
+        log(level, args);
+      };
+    }
+  }
+
+  function restoreConsole() {
+    if (!original) return;
+    Object.assign(console, original);
+    original = null;
+  }
+
+  // sink(entry) sees every stored entry, e.g. to write it to a log file
+  function addSink(sink) {
+    sinks.push(sink);
+  }
+
+  // Oldest first, within the retention window
+  function recent(filter = {}) {
+    prune();
+    return entries.filter((entry) => matchesLogFilter(entry, filter));
+  }
+
+  return {
+    debug: (...args) => log("debug", args),
+    info: (...args) => log("info", args),
+    warn: (...args) => log("warn", args),
+    error: (...args) => log("error", args),
+    log,
+    installConsole,
+    restoreConsole,
+    addSink,
+    recent,
+    get size() {
+      return entries.length;
+    },
+    maxAgeMs,
+  };
+}
+
+export const logger = createLogger();
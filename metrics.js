@@ -0,0 +1,129 @@
+// Minimal Prometheus registry (text exposition format 0.0.4) for /metrics.
+// Counters and histograms are updated as the sync runs; gauges can take a
+// collect() callback that fills them in at scrape time (proxy health, job counts).
+
+export const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+export function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function define(type, name, help, labelNames = []) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  // Labels are keyed by value in labelNames order; missing labels render as ""
+  function seriesFor(metric, labels = {}, init) {
+    const values = metric.labelNames.map((label) => labels[label] ?? "");
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, { labels = [] } = {}) {
+    const metric = define("counter", name, help, labels);
+    return {
+      inc(labelValues = {}, value = 1) {
+        seriesFor(metric, labelValues, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  function gauge(name, help, { labels = [], collect = null } = {}) {
+    const metric = define("gauge", name, help, labels);
+    const handle = {
+      set(labelValues = {}, value) {
+        seriesFor(metric, labelValues, () => ({ value: 0 })).value = value;
+      },
+      inc(labelValues = {}, value = 1) {
+        seriesFor(metric, labelValues, () => ({ value: 0 })).value += value;
+      },
+      // Drops every series, so a collect() only exposes what still exists
+      reset() {
+        metric.series.clear();
+      },
+    };
+    metric.collect = collect && (() => collect(handle));
+    return handle;
+  }
+
+  function histogram(name, help, { labels = [], buckets = DURATION_BUCKETS } = {}) {
+    const metric = define("histogram", name, help, labels);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    const init = () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 });
+    const handle = {
+      observe(labelValues = {}, value) {
+        const series = seriesFor(metric, labelValues, init);
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+      // Returns a function that records the elapsed seconds (and returns them)
+      startTimer(labelValues = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+          handle.observe({ ...labelValues, ...extraLabels }, seconds);
+          return seconds;
+        };
+      },
+    };
+    return handle;
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`];
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        const le = `le="${formatValue(bound)}"`;
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, le)} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    }
+    return lines.join("\n");
+  }
+
+  async function render() {
+    const blocks = [];
+    for (const metric of metrics.values()) {
+      if (metric.collect) {
+        try {
+          await metric.collect();
+        } catch (err) {
+          console.warn(`⚠️  Metric ${metric.name} collect failed: ${err.message}`);
+        }
+      }
+      blocks.push(renderMetric(metric));
+    }
+    return `${blocks.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: "text/plain; version=0.0.4; charset=utf-8" };
+}
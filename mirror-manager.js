@@ -0,0 +1,242 @@
+import {
+  FetchError,
+  NotFoundError,
+  BlockedError,
+  RateLimitedError,
+  TimeoutError,
+  ChallengeError,
+  errorFromResponse,
+  toFetchError,
+} from "./fetch-errors.js";
+
+// Toonstream has moved domains before. One list of mirror origins, a single
+// active one, and every toonstream url (fetched or stored) rewritten onto it.
+// Failover happens after repeated domain-level failures or when a mirror
+// redirects the same path to a new domain (which is adopted as a new mirror).
+
+const DEFAULT_FAILOVER_THRESHOLD = 3;
+const DEFAULT_PROBE_TIMEOUT_MS = 15_000;
+
+export function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+// host (with port) minus "www.", so www and bare domains count as one mirror
+function bareHost(url) {
+  try {
+    return new URL(url).host.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function trimPath(pathname) {
+  return pathname.replace(/\/+$/, "") || "/";
+}
+
+// "https://a.one, b.co" -> ["https://a.one", "https://b.co"]
+export function parseMirrorList(raw = "") {
+  return raw
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => originOf(/^https?:\/\//i.test(entry) ? entry : `https://${entry}`))
+    .filter(Boolean);
+}
+
+// Errors that say the domain is unhealthy, not just one page: timeouts,
+// dead DNS / refused connections and 5xx. 404s, blocks and 429s don't count.
+export function isDomainFailure(err) {
+  if (!(err instanceof FetchError)) return false;
+  if (err instanceof NotFoundError || err instanceof BlockedError || err instanceof RateLimitedError) {
+    return false;
+  }
+  return err instanceof TimeoutError || err.status == null || err.status >= 500;
+}
+
+class MirrorManager {
+  constructor(options = {}) {
+    this.mirrors = [...new Set((options.mirrors || []).map(originOf).filter(Boolean))];
+    this.active = this.mirrors[0] || null;
+    this.probePath = options.probePath || "/";
+    this.fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+    this.timeoutMs = options.timeoutMs || DEFAULT_PROBE_TIMEOUT_MS;
+    this.failoverThreshold = options.failoverThreshold || DEFAULT_FAILOVER_THRESHOLD;
+    this.onSwitch = options.onSwitch || null;
+    this.consecutiveFailures = 0;
+    this.health = new Map();
+    this.failingOver = null;
+  }
+
+  get origin() {
+    return this.active;
+  }
+
+  isMirrorHost(host) {
+    const bare = String(host || "").replace(/^www\./, "");
+    return Boolean(bare) && this.mirrors.some((mirror) => bareHost(mirror) === bare);
+  }
+
+  isMirrorUrl(url) {
+    const host = bareHost(url);
+    return Boolean(host) && this.mirrors.some((mirror) => bareHost(mirror) === host);
+  }
+
+  rewriteUrl(url) {
+    if (typeof url !== "string" || !this.active || !this.isMirrorUrl(url)) return url;
+    const parsed = new URL(url);
+    if (parsed.origin === this.active) return url;
+    const active = new URL(this.active);
+    parsed.protocol = active.protocol;
+    parsed.host = active.host;
+    return parsed.href;
+  }
+
+  // Rewrites every mirror url inside a row / payload before it is persisted
+  rewriteDeep(value) {
+    if (typeof value === "string") {
+      return /^https?:\/\//i.test(value) ? this.rewriteUrl(value) : value;
+    }
+    if (Array.isArray(value)) return value.map((item) => this.rewriteDeep(item));
+    if (value && typeof value === "object" && value.constructor === Object) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.rewriteDeep(item)]),
+      );
+    }
+    return value;
+  }
+
+  // Domain-agnostic key for a toonstream url, so job ids survive a migration
+  keyFor(url) {
+    if (!this.isMirrorUrl(url)) return url;
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  }
+
+  switchTo(origin, reason) {
+    const target = originOf(origin);
+    if (!target || target === this.active) return false;
+    if (!this.mirrors.includes(target)) {
+      this.mirrors.push(target);
+      console.log(`🌐 Discovered toonstream mirror ${target}`);
+    }
+    const previous = this.active;
+    this.active = target;
+    this.consecutiveFailures = 0;
+    console.warn(`🌐 Switching toonstream mirror ${previous} -> ${target} (${reason})`);
+    this.onSwitch?.(target, reason);
+    return true;
+  }
+
+  // Picks up the mirror a previous run switched to
+  restore(origin) {
+    const target = originOf(origin);
+    if (!target || target === this.active) return;
+    if (!this.mirrors.includes(target)) this.mirrors.push(target);
+    this.active = target;
+    console.log(`🌐 Using toonstream mirror ${target} from last run`);
+  }
+
+  // A toonstream url that lands on a new domain under the same path is a migration
+  noteRedirect(requestedUrl, finalUrl) {
+    if (!finalUrl || !this.isMirrorUrl(requestedUrl)) return false;
+    if (bareHost(finalUrl) === bareHost(requestedUrl)) return false;
+    try {
+      const from = new URL(requestedUrl);
+      const to = new URL(finalUrl);
+      if (trimPath(from.pathname) !== trimPath(to.pathname)) return false;
+      return this.switchTo(to.origin, `redirected from ${from.host}`);
+    } catch {
+      return false;
+    }
+  }
+
+  reportSuccess(url) {
+    if (originOf(url) === this.active) this.consecutiveFailures = 0;
+  }
+
+  // Resolves once a failover (if one was due) has finished
+  async reportFailure(url, err) {
+    if (!this.isMirrorUrl(url) || originOf(url) !== this.active || !isDomainFailure(err)) return;
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures >= this.failoverThreshold) {
+      await this.failover(`${this.consecutiveFailures} failures: ${err.message}`);
+    }
+  }
+
+  async probe(origin) {
+    const url = origin + this.probePath;
+    const startedAt = Date.now();
+    let result;
+    try {
+      const response = await this.fetchImpl(url, {
+        redirect: "follow",
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      const body = await response.text();
+      const err = errorFromResponse(url, { status: response.status, headers: response.headers, body });
+      const finalOrigin = originOf(response.url) || origin;
+      result = {
+        origin,
+        // Behind a challenge the domain is still alive
+        ok: !err || err instanceof ChallengeError,
+        status: response.status,
+        redirectedTo: bareHost(finalOrigin) !== bareHost(origin) ? finalOrigin : null,
+        error: err && !(err instanceof ChallengeError) ? err.message : null,
+      };
+    } catch (rawErr) {
+      result = { origin, ok: false, status: null, redirectedTo: null, error: toFetchError(rawErr, url).message };
+    }
+    result.latency_ms = Date.now() - startedAt;
+    result.checked_at = new Date().toISOString();
+    this.health.set(origin, result);
+    return result;
+  }
+
+  // Probes the active mirror first, then the others in order. Concurrent
+  // callers share one failover.
+  failover(reason = "manual") {
+    if (!this.failingOver) {
+      this.failingOver = this.runFailover(reason).finally(() => {
+        this.failingOver = null;
+      });
+    }
+    return this.failingOver;
+  }
+
+  async runFailover(reason) {
+    console.warn(`🌐 Checking toonstream mirrors (${reason})...`);
+    const candidates = [this.active, ...this.mirrors.filter((mirror) => mirror !== this.active)];
+    for (const origin of candidates) {
+      const result = await this.probe(origin);
+      if (!result.ok) {
+        console.warn(`   ❌ ${origin}: ${result.error || `HTTP ${result.status}`}`);
+        continue;
+      }
+      const target = result.redirectedTo || origin;
+      if (!this.switchTo(target, result.redirectedTo ? `redirected from ${origin}` : reason)) {
+        console.log(`   ✅ ${origin} is healthy, keeping it`);
+        this.consecutiveFailures = 0;
+      }
+      return this.active;
+    }
+    console.error(`❌ No healthy toonstream mirror found, staying on ${this.active}`);
+    this.consecutiveFailures = 0;
+    return this.active;
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      mirrors: this.mirrors,
+      consecutiveFailures: this.consecutiveFailures,
+      health: Object.fromEntries(this.health),
+    };
+  }
+}
+
+export default MirrorManager;
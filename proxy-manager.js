@@ -1,6 +1,28 @@
 import fs from "fs";
+import { createHash } from "crypto";
 import axios from "axios";
 import { HttpsProxyAgent } from "https-proxy-agent";
+import { SocksProxyAgent } from "socks-proxy-agent";
+import { redactSecrets } from "./redact.js";
+
+const PROXY_SCHEME_REGEX = /^(https?|socks[45]?[ah]?):\/\//i;
+const DEFAULT_COOLDOWN_MS = 60_000;
+const DEFAULT_MAX_COOLDOWN_MS = 30 * 60 * 1000;
+const DEFAULT_STICKY_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_HEALTH_WINDOW = 20;
+// Latency at which a proxy's weight is halved
+const LATENCY_HALF_WEIGHT_MS = 2000;
+const MIN_WEIGHT = 0.01;
+const DEFAULT_REVALIDATE_INTERVAL_MS = 15 * 60 * 1000;
+const HISTORY_SIZE = 20;
+const MAX_REVALIDATION_RUNS = 20;
+// Free proxies failing this many checks in a row are dropped on the next refresh
+const DEAD_AFTER_FAILURES = 5;
+const FREE_PROXY_LIMIT = 20;
+const FREE_PROXY_SOURCES = [
+  "https://api.proxyscrape.com/v2/?request=get&protocol=http&timeout=10000&country=all&ssl=all&anonymity=all",
+  "https://www.proxy-list.download/api/v1/get?type=http",
+];
 
 function parseProxyEntries(rawList = "") {
   return rawList
@@ -9,12 +31,14 @@ function parseProxyEntries(rawList = "") {
     .filter(Boolean);
 }
 
-function normalizeProxyEntry(entry) {
+// "host:port[:user:pass]" entries get defaultProtocol, urls keep their own
+// (http, https, socks4, socks4a, socks5, socks5h)
+export function normalizeProxyEntry(entry, defaultProtocol = "http") {
   if (!entry) return null;
   const trimmed = entry.trim();
   if (!trimmed) return null;
 
-  if (/^https?:\/\//i.test(trimmed)) {
+  if (PROXY_SCHEME_REGEX.test(trimmed)) {
     return trimmed;
   }
 
@@ -24,18 +48,28 @@ function normalizeProxyEntry(entry) {
     if (!host || !port || !username || !password) return null;
     const encodedUser = encodeURIComponent(username);
     const encodedPass = encodeURIComponent(password);
-    return `http://${encodedUser}:${encodedPass}@${host}:${port}`;
+    return `${defaultProtocol}://${encodedUser}:${encodedPass}@${host}:${port}`;
   }
 
   if (parts.length === 2) {
     const [host, port] = parts;
     if (!host || !port) return null;
-    return `http://${host}:${port}`;
+    return `${defaultProtocol}://${host}:${port}`;
   }
 
   return null;
 }
 
+// Stable, non-secret id for a proxy url. The redacted url can't tell apart two
+// entries on the same host:port with different credentials (sticky sessions).
+export function proxyId(proxy) {
+  return createHash("sha256").update(proxy).digest("hex").slice(0, 12);
+}
+
+function isSocksProxy(proxy) {
+  return /^socks/i.test(proxy);
+}
+
 function loadProxyFileEntries(filePath) {
   if (!filePath) return [];
   try {
@@ -48,38 +82,70 @@ function loadProxyFileEntries(filePath) {
   }
 }
 
+// Picks proxies by health: every proxy keeps a rolling window of results and a
+// latency average, selection is weighted by both, and a failing proxy cools
+// down (exponentially longer each time) instead of being dropped for good.
+// A session key pins one proxy, so a multi-request chain keeps one exit IP.
 class ProxyManager {
-  constructor() {
+  constructor(options = {}) {
     this.proxies = [];
-    this.currentIndex = 0;
-    this.failedProxies = new Set();
+    this.health = new Map();
+    this.sessions = new Map();
+    this.agents = new Map();
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
     this.useProxyEnv = process.env.USE_PROXY;
     this.proxyFilePath = process.env.PROXY_FILE || "proxy.txt";
     this.fileProxyEntries = loadProxyFileEntries(this.proxyFilePath);
-    this.customProxies = parseProxyEntries(process.env.PROXY_LIST || "");
+    this.customProxies = parseProxyEntries(options.proxyList ?? (process.env.PROXY_LIST || ""));
+    this.proxySource = this.customProxies.length > 0 ? "list" : null;
     if (this.customProxies.length === 0 && this.fileProxyEntries.length > 0) {
       this.customProxies = this.fileProxyEntries;
+      this.proxySource = "file";
     }
     if (this.useProxyEnv === undefined && this.customProxies.length > 0) {
       this.useProxy = true;
     } else {
       this.useProxy = this.useProxyEnv === "true";
     }
-    this.validateCustomProxies = process.env.PROXY_VALIDATE !== "false";
+    this.validateCustomProxies = options.validate ?? process.env.PROXY_VALIDATE !== "false";
     this.proxyTestUrl =
       process.env.PROXY_TEST_URL || "https://ipv4.webshare.io/";
     this.maxProxyTests = Number(process.env.PROXY_MAX_TESTS || 15);
+    this.defaultProtocol = (process.env.PROXY_PROTOCOL || "http").toLowerCase();
+    this.cooldownMs = options.cooldownMs ?? Number(process.env.PROXY_COOLDOWN_MS || DEFAULT_COOLDOWN_MS);
+    this.maxCooldownMs =
+      options.maxCooldownMs ?? Number(process.env.PROXY_MAX_COOLDOWN_MS || DEFAULT_MAX_COOLDOWN_MS);
+    this.stickyTtlMs = options.stickyTtlMs ?? Number(process.env.PROXY_STICKY_TTL_MS || DEFAULT_STICKY_TTL_MS);
+    this.healthWindow = Number(process.env.PROXY_HEALTH_WINDOW || DEFAULT_HEALTH_WINDOW);
+    this.revalidateIntervalMs = Number(
+      process.env.PROXY_REVALIDATE_INTERVAL_MS ?? DEFAULT_REVALIDATE_INTERVAL_MS,
+    );
+    this.revalidateConcurrency = Math.max(1, Number(process.env.PROXY_REVALIDATE_CONCURRENCY || 5));
+    this.minActive = Number(process.env.PROXY_MIN_ACTIVE || 3);
+    this.fetchSources = options.fetchSources || FREE_PROXY_SOURCES;
+    this.revalidations = [];
+    this.revalidating = null;
+    this.revalidateTimer = null;
+    this.initializing = null;
   }
 
-  async initialize() {
+  // Every run calls this; the list (and the health gathered on it) is only loaded once
+  initialize() {
+    this.initializing ||= this.loadProxies();
+    return this.initializing;
+  }
+
+  async loadProxies() {
     if (!this.useProxy) {
       console.log("🔓 Proxy system disabled - using direct connection");
+      this.proxySource = null;
       return;
     }
 
     if (this.customProxies.length > 0) {
       this.proxies = this.customProxies
-        .map(normalizeProxyEntry)
+        .map((entry) => normalizeProxyEntry(entry, this.defaultProtocol))
         .filter(Boolean);
 
       if (this.proxies.length === 0) {
@@ -93,89 +159,281 @@ class ProxyManager {
       return;
     }
 
+    this.proxySource = "free";
     await this.fetchFreeProxies();
+    // Free lists are full of dead entries, test them before the first run uses them
+    if (this.proxies.length > 0) await this.revalidate();
   }
 
-  async fetchFreeProxies() {
-    try {
-      console.log("🔍 Fetching free proxy list...");
-      
-      const sources = [
-        "https://api.proxyscrape.com/v2/?request=get&protocol=http&timeout=10000&country=all&ssl=all&anonymity=all",
-        "https://www.proxy-list.download/api/v1/get?type=http",
-      ];
-
-      for (const source of sources) {
-        try {
-          const response = await axios.get(source, { timeout: 10000 });
-          const proxyList = response.data
-            .split("\n")
-            .map(p => p.trim())
-            .filter(p => p && p.includes(":"));
-          
-          if (proxyList.length > 0) {
-            this.proxies.push(...proxyList.slice(0, 20));
-            console.log(`✅ Fetched ${proxyList.length} proxies from source`);
-            break;
-          }
-        } catch (err) {
-          console.warn(`⚠️  Failed to fetch from source: ${err.message}`);
+  async fetchFreeProxyEntries() {
+    console.log("🔍 Fetching free proxy list...");
+    for (const source of this.fetchSources) {
+      try {
+        const response = await axios.get(source, { timeout: 10000 });
+        const proxyList = String(response.data || "")
+          .split("\n")
+          .map(p => p.trim())
+          .filter(p => p && p.includes(":"));
+
+        if (proxyList.length > 0) {
+          console.log(`✅ Fetched ${proxyList.length} proxies from source`);
+          return proxyList.slice(0, FREE_PROXY_LIMIT);
         }
+      } catch (err) {
+        console.warn(`⚠️  Failed to fetch from source: ${err.message}`);
       }
+    }
+    return [];
+  }
 
-      if (this.proxies.length === 0) {
-        console.warn("⚠️  No proxies found, disabling proxy");
-        this.useProxy = false;
-      } else {
-        console.log(`🔐 Total proxies loaded: ${this.proxies.length}`);
-      }
-    } catch (err) {
-      console.error(`❌ Proxy fetch failed: ${err.message}`);
+  async fetchFreeProxies() {
+    this.proxies = (await this.fetchFreeProxyEntries())
+      .map((entry) => normalizeProxyEntry(entry, "http"))
+      .filter(Boolean);
+
+    if (this.proxies.length === 0) {
+      console.warn("⚠️  No proxies found, disabling proxy");
       this.useProxy = false;
+    } else {
+      console.log(`🔐 Total proxies loaded: ${this.proxies.length}`);
+    }
+  }
+
+  // Re-reads the source the proxies came from and adds (and tests) new
+  // entries. PROXY_LIST is static, so there is nothing to refresh for it.
+  async refreshProxies() {
+    let entries = [];
+    if (this.proxySource === "free") {
+      const dead = this.proxies.filter(
+        (proxy) => this.healthOf(proxy).consecutiveFailures >= DEAD_AFTER_FAILURES,
+      );
+      this.proxies = this.proxies.filter((proxy) => !dead.includes(proxy));
+      if (dead.length > 0) console.log(`🗑️  Dropped ${dead.length} dead free proxies`);
+      entries = (await this.fetchFreeProxyEntries()).map((entry) => normalizeProxyEntry(entry, "http"));
+    } else if (this.proxySource === "file") {
+      entries = loadProxyFileEntries(this.proxyFilePath).map((entry) =>
+        normalizeProxyEntry(entry, this.defaultProtocol),
+      );
     }
+
+    const fresh = [...new Set(entries.filter((proxy) => proxy && !this.proxies.includes(proxy)))];
+    if (fresh.length === 0) return 0;
+    this.proxies.push(...fresh);
+    this.useProxy = true;
+    await this.testAll(fresh);
+    console.log(`🔐 Added ${fresh.length} proxies from ${this.proxySource} source`);
+    return fresh.length;
+  }
+
+  async testAll(proxies) {
+    let passed = 0;
+    for (let i = 0; i < proxies.length; i += this.revalidateConcurrency) {
+      const batch = proxies.slice(i, i + this.revalidateConcurrency);
+      const results = await Promise.all(batch.map((proxy) => this.testProxy(proxy)));
+      passed += results.filter(Boolean).length;
+    }
+    return passed;
+  }
+
+  // Re-tests every proxy and tops the list up when fewer than PROXY_MIN_ACTIVE
+  // are usable. Overlapping calls share one run.
+  revalidate() {
+    this.revalidating ||= this.runRevalidation().finally(() => {
+      this.revalidating = null;
+    });
+    return this.revalidating;
+  }
+
+  async runRevalidation() {
+    const startedAt = this.now();
+    const tested = this.proxies.length;
+    const passed = await this.testAll([...this.proxies]);
+    let added = 0;
+    if (this.activeCount() < Math.min(this.minActive, Math.max(tested, 1))) {
+      console.warn(`⚠️  Only ${this.activeCount()} usable proxies, refreshing ${this.proxySource} list`);
+      added = await this.refreshProxies();
+    }
+
+    const run = {
+      at: new Date(startedAt).toISOString(),
+      durationMs: this.now() - startedAt,
+      tested,
+      passed,
+      added,
+      active: this.activeCount(),
+      total: this.proxies.length,
+    };
+    this.revalidations.push(run);
+    if (this.revalidations.length > MAX_REVALIDATION_RUNS) this.revalidations.shift();
+    console.log(
+      `🔁 Proxy revalidation: ${passed}/${tested} passed, ${run.active}/${run.total} active${added ? `, ${added} new` : ""}`,
+    );
+    return run;
+  }
+
+  // Unref'd, so one-off CLI runs still exit; the server keeps it going
+  startRevalidation(intervalMs = this.revalidateIntervalMs) {
+    if (this.revalidateTimer || !this.proxySource || !(intervalMs > 0)) return false;
+    this.revalidateTimer = setInterval(() => {
+      this.revalidate().catch((err) => console.error(`❌ Proxy revalidation failed: ${err.message}`));
+    }, intervalMs);
+    this.revalidateTimer.unref?.();
+    console.log(`🔁 Proxy revalidation every ${Math.round(intervalMs / 1000)}s`);
+    return true;
+  }
+
+  stopRevalidation() {
+    clearInterval(this.revalidateTimer);
+    this.revalidateTimer = null;
   }
 
-  getNextProxy() {
+  healthOf(proxy) {
+    if (!this.health.has(proxy)) {
+      this.health.set(proxy, {
+        results: [],
+        latencyMs: null,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        history: [],
+      });
+    }
+    return this.health.get(proxy);
+  }
+
+  // Success rate (with a prior, so new proxies get a fair share) scaled down by latency
+  score(proxy) {
+    const health = this.healthOf(proxy);
+    const successes = health.results.filter(Boolean).length;
+    const successRate = (successes + 1) / (health.results.length + 2);
+    const latencyFactor =
+      health.latencyMs == null ? 1 : LATENCY_HALF_WEIGHT_MS / (LATENCY_HALF_WEIGHT_MS + health.latencyMs);
+    return Math.max(MIN_WEIGHT, successRate * successRate * latencyFactor);
+  }
+
+  isCoolingDown(proxy, now = this.now()) {
+    return this.healthOf(proxy).cooldownUntil > now;
+  }
+
+  activeCount(now = this.now()) {
+    return this.proxies.filter((proxy) => !this.isCoolingDown(proxy, now)).length;
+  }
+
+  pickWeighted(candidates) {
+    const weights = candidates.map((proxy) => this.score(proxy));
+    let roll = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  // session: optional key (e.g. a trembed url) that keeps returning the same
+  // proxy until it fails or the session goes idle for stickyTtlMs
+  getNextProxy(session = null) {
     if (!this.useProxy || this.proxies.length === 0) {
       return null;
     }
 
-    let attempts = 0;
-    while (attempts < this.proxies.length) {
-      const proxy = this.proxies[this.currentIndex];
-      this.currentIndex = (this.currentIndex + 1) % this.proxies.length;
-
-      if (!this.failedProxies.has(proxy)) {
-        return proxy;
+    const now = this.now();
+    if (session) {
+      this.pruneSessions(now);
+      const sticky = this.sessions.get(session);
+      if (sticky && !this.isCoolingDown(sticky.proxy, now)) {
+        sticky.lastUsed = now;
+        return sticky.proxy;
       }
-      attempts++;
     }
 
-    console.warn("⚠️  All proxies failed, resetting...");
-    this.failedProxies.clear();
-    return this.proxies[0];
+    const available = this.proxies.filter((proxy) => !this.isCoolingDown(proxy, now));
+    let proxy;
+    if (available.length > 0) {
+      proxy = this.pickWeighted(available);
+    } else {
+      // Everything is cooling down: use whichever comes back first
+      proxy = this.proxies.reduce((best, candidate) =>
+        this.healthOf(candidate).cooldownUntil < this.healthOf(best).cooldownUntil ? candidate : best,
+      );
+      console.warn(`⚠️  All proxies cooling down, using ${redactSecrets(proxy)}`);
+    }
+
+    if (session) this.sessions.set(session, { proxy, lastUsed: now });
+    return proxy;
   }
 
-  markProxyAsFailed(proxy) {
-    if (proxy) {
-      this.failedProxies.add(proxy);
-      console.warn(`⚠️  Marking proxy as failed: ${proxy}`);
+  releaseSession(session) {
+    this.sessions.delete(session);
+  }
+
+  pruneSessions(now = this.now()) {
+    for (const [key, sticky] of this.sessions) {
+      if (now - sticky.lastUsed > this.stickyTtlMs) this.sessions.delete(key);
     }
   }
 
+  recordResult(proxy, ok) {
+    const health = this.healthOf(proxy);
+    health.results.push(ok);
+    if (health.results.length > this.healthWindow) health.results.shift();
+    return health;
+  }
+
+  reportSuccess(proxy, latencyMs = null) {
+    if (!proxy) return;
+    const health = this.recordResult(proxy, true);
+    health.consecutiveFailures = 0;
+    health.cooldownUntil = 0;
+    if (Number.isFinite(latencyMs)) {
+      // Moving average, recent requests weigh the most
+      health.latencyMs =
+        health.latencyMs == null ? latencyMs : Math.round(health.latencyMs * 0.7 + latencyMs * 0.3);
+    }
+  }
+
+  // Cools the proxy down for cooldownMs, doubling with every consecutive failure
+  reportFailure(proxy, reason = null, { silent = false } = {}) {
+    if (!proxy) return;
+    const health = this.recordResult(proxy, false);
+    health.consecutiveFailures++;
+    health.lastError = reason;
+    const cooldownMs = Math.min(
+      this.maxCooldownMs,
+      this.cooldownMs * 2 ** (health.consecutiveFailures - 1),
+    );
+    health.cooldownUntil = this.now() + cooldownMs;
+    for (const [key, sticky] of this.sessions) {
+      if (sticky.proxy === proxy) this.sessions.delete(key);
+    }
+    if (silent) return;
+    console.warn(
+      `⚠️  Proxy cooling down ${Math.round(cooldownMs / 1000)}s: ${redactSecrets(proxy)}${reason ? ` (${reason})` : ""}`,
+    );
+  }
+
+  markProxyAsFailed(proxy, reason = null) {
+    this.reportFailure(proxy, reason);
+  }
+
   getProxyAgent(proxy) {
     if (!proxy) return null;
-    
+    if (this.agents.has(proxy)) return this.agents.get(proxy);
+
     try {
-      const proxyUrl = proxy.startsWith("http") ? proxy : `http://${proxy}`;
-      return new HttpsProxyAgent(proxyUrl);
+      const proxyUrl = PROXY_SCHEME_REGEX.test(proxy) ? proxy : `${this.defaultProtocol}://${proxy}`;
+      const agent = isSocksProxy(proxyUrl) ? new SocksProxyAgent(proxyUrl) : new HttpsProxyAgent(proxyUrl);
+      this.agents.set(proxy, agent);
+      return agent;
     } catch (err) {
-      console.warn(`⚠️  Invalid proxy format: ${proxy}`);
+      console.warn(`⚠️  Invalid proxy format: ${redactSecrets(proxy)}`);
       return null;
     }
   }
 
+  // Health check against PROXY_TEST_URL; the outcome feeds the score and the history
   async testProxy(proxy) {
+    const startedAt = this.now();
+    const check = { at: new Date(startedAt).toISOString(), ok: false, latencyMs: null, error: null };
     try {
       const agent = this.getProxyAgent(proxy);
       await axios.get(this.proxyTestUrl, {
@@ -183,12 +441,21 @@ class ProxyManager {
         httpAgent: agent,
         httpsAgent: agent,
       });
-      return true;
-    } catch {
-      return false;
+      check.ok = true;
+      check.latencyMs = this.now() - startedAt;
+      this.reportSuccess(proxy, check.latencyMs);
+    } catch (err) {
+      check.error = err.message;
+      this.reportFailure(proxy, err.message, { silent: true });
     }
+    const { history } = this.healthOf(proxy);
+    history.push(check);
+    if (history.length > HISTORY_SIZE) history.shift();
+    return check.ok;
   }
 
+  // Proxies that fail the startup test stay in the list on cooldown (testProxy
+  // reports the failure), so a revalidation can bring them back
   async filterWorkingProxies() {
     if (!this.validateCustomProxies || this.proxies.length === 0) {
       return;
@@ -198,47 +465,61 @@ class ProxyManager {
       `🔍 Testing up to ${this.maxProxyTests || this.proxies.length} proxy(ies) via ${this.proxyTestUrl}`,
     );
 
-    const tested = [];
     let checked = 0;
+    let failed = 0;
 
     for (const proxy of this.proxies) {
-      if (this.maxProxyTests && checked >= this.maxProxyTests) {
-        tested.push(proxy);
-        continue;
-      }
+      if (this.maxProxyTests && checked >= this.maxProxyTests) break;
 
       checked++;
-      const ok = await this.testProxy(proxy);
-      if (ok) {
-        tested.push(proxy);
-      } else {
-        console.warn(`   ⚠️  Proxy failed health check: ${proxy}`);
+      if (!(await this.testProxy(proxy))) {
+        failed++;
+        console.warn(`   ⚠️  Proxy failed health check, cooling down: ${redactSecrets(proxy)}`);
       }
       await new Promise((r) => setTimeout(r, 200));
     }
 
-    if (tested.length === 0) {
-      console.warn(
-        "❌ All tested proxies failed. Keeping original list to avoid empty rotation.",
-      );
-      return;
-    }
-
-    if (tested.length !== this.proxies.length) {
-      console.log(
-        `✅ ${tested.length}/${this.proxies.length} proxies passed health check`,
-      );
+    if (failed === checked) {
+      console.warn("❌ All tested proxies failed, using whichever cools down first until revalidation");
+    } else if (failed > 0) {
+      console.log(`✅ ${checked - failed}/${checked} proxies passed health check`);
     }
-
-    this.proxies = tested;
   }
 
-  getStats() {
+  // history: include each proxy's recent health checks and past revalidation runs
+  getStats({ history = false } = {}) {
+    const now = this.now();
+    const active = this.activeCount(now);
     return {
       total: this.proxies.length,
-      failed: this.failedProxies.size,
-      active: this.proxies.length - this.failedProxies.size,
+      coolingDown: this.proxies.length - active,
+      active,
       enabled: this.useProxy,
+      source: this.proxySource,
+      sessions: this.sessions.size,
+      lastRevalidation: this.revalidations.at(-1) || null,
+      ...(history ? { revalidations: this.revalidations } : {}),
+      proxies: this.proxies.map((proxy) => {
+        const health = this.healthOf(proxy);
+        const successes = health.results.filter(Boolean).length;
+        return {
+          id: proxyId(proxy),
+          proxy: redactSecrets(proxy),
+          score: Number(this.score(proxy).toFixed(3)),
+          successRate: health.results.length ? Number((successes / health.results.length).toFixed(2)) : null,
+          latencyMs: health.latencyMs,
+          cooldownUntil: health.cooldownUntil > now ? new Date(health.cooldownUntil).toISOString() : null,
+          lastError: health.lastError && redactSecrets(health.lastError),
+          ...(history
+            ? {
+                history: health.history.map((check) => ({
+                  ...check,
+                  error: check.error && redactSecrets(check.error),
+                })),
+              }
+            : {}),
+        };
+      }),
     };
   }
 }
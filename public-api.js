@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import express from "express";
+
+// Read-only JSON API over the synced catalog, mounted at /api by sync-server.js.
+// Every response carries an ETag, so unchanged data answers 304 without a body.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const CACHE_CONTROL = "public, max-age=60";
+
+// Heavy fields left out of list responses unless asked for with ?fields=
+const EPISODE_LIST_OMIT = ["servers"];
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE),
+  );
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function parseFields(query) {
+  if (!query.fields) return null;
+  const fields = String(query.fields)
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean);
+  return fields.length ? fields : null;
+}
+
+function pickFields(row, fields) {
+  if (!fields || !row) return row;
+  return Object.fromEntries(fields.filter((f) => f in row).map((f) => [f, row[f]]));
+}
+
+function omitFields(row, omit) {
+  const copy = { ...row };
+  for (const field of omit) delete copy[field];
+  return copy;
+}
+
+function matchesLanguage(language, server) {
+  const wanted = language.toLowerCase();
+  return (server.languages || []).some((l) => l.toLowerCase() === wanted) ||
+    server.language?.toLowerCase() === wanted;
+}
+
+// Lists are fetched with limit + 1 so hasMore needs no count query
+function paginate(rows, { page, limit }) {
+  return {
+    data: rows.slice(0, limit),
+    pagination: { page, limit, hasMore: rows.length > limit },
+  };
+}
+
+export function sendCached(req, res, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash("sha1").update(json).digest("base64url")}"`;
+  res.set("ETag", etag);
+  res.set("Cache-Control", CACHE_CONTROL);
+  if (req.fresh) return res.status(304).end();
+  res.type("application/json").send(json);
+}
+
+export function createPublicApi({ storage }) {
+  const router = express.Router();
+
+  // Express 4 doesn't forward rejected promises to error middleware
+  const route = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+  router.get("/series", route(async (req, res) => {
+    const paging = parsePagination(req.query);
+    const fields = parseFields(req.query);
+    const rows = await storage.searchSeries(req.query.q || "", paging.limit + 1, paging.offset);
+    const result = paginate(rows, paging);
+    result.data = result.data.map((row) => pickFields(row, fields));
+    sendCached(req, res, result);
+  }));
+
+  router.get("/series/:slug", route(async (req, res) => {
+    const series = await storage.getSeries(req.params.slug);
+    if (!series) return res.status(404).json({ error: "Series not found" });
+
+    const episodes = await storage.listEpisodes(series.slug);
+    const seasonCounts = new Map();
+    for (const ep of episodes) {
+      seasonCounts.set(ep.season, (seasonCounts.get(ep.season) || 0) + 1);
+    }
+    const seasons = [...seasonCounts.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([season, count]) => ({ season, episodes: count }));
+
+    sendCached(req, res, {
+      data: { ...pickFields(series, parseFields(req.query)), seasons },
+    });
+  }));
+
+  router.get("/series/:slug/seasons/:season", route(async (req, res) => {
+    const season = parseInt(req.params.season, 10);
+    if (Number.isNaN(season)) return res.status(400).json({ error: "Invalid season" });
+
+    const paging = parsePagination(req.query);
+    const fields = parseFields(req.query);
+    let episodes = await storage.listEpisodes(req.params.slug, season);
+    if (episodes.length === 0) return res.status(404).json({ error: "Season not found" });
+
+    if (req.query.language) {
+      episodes = episodes.filter((ep) => (ep.servers || []).some((s) => matchesLanguage(req.query.language, s)));
+    }
+    episodes.sort((a, b) => a.episode - b.episode);
+
+    // The language filter runs here, so the page is cut here too
+    const result = paginate(episodes.slice(paging.offset, paging.offset + paging.limit + 1), paging);
+    result.data = result.data.map((ep) => (fields ? pickFields(ep, fields) : omitFields(ep, EPISODE_LIST_OMIT)));
+    sendCached(req, res, result);
+  }));
+
+  router.get("/series/:slug/seasons/:season/episodes/:episode", route(async (req, res) => {
+    const season = parseInt(req.params.season, 10);
+    const number = parseInt(req.params.episode, 10);
+    if (Number.isNaN(season) || Number.isNaN(number)) {
+      return res.status(400).json({ error: "Invalid season or episode" });
+    }
+
+    const episode = await storage.getEpisode(req.params.slug, season, number);
+    if (!episode) return res.status(404).json({ error: "Episode not found" });
+
+    const servers = req.query.language
+      ? (episode.servers || []).filter((s) => matchesLanguage(req.query.language, s))
+      : episode.servers || [];
+
+    sendCached(req, res, {
+      data: pickFields({ ...episode, servers }, parseFields(req.query)),
+    });
+  }));
+
+  router.get("/latest", route(async (req, res) => {
+    const paging = parsePagination(req.query);
+    const fields = parseFields(req.query);
+    const rows = await storage.listLatestEpisodes(paging.limit + 1, paging.offset, req.query.type || null);
+    const result = paginate(rows, paging);
+    result.data = result.data.map((row) => pickFields(row, fields));
+    sendCached(req, res, result);
+  }));
+
+  router.use((req, res) => {
+    res.status(404).json({ error: "Not found" });
+  });
+
+  router.use((err, req, res, _next) => {
+    console.error(`❌ API ${req.method} ${req.originalUrl} failed: ${err.message}`);
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  return router;
+}
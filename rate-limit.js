@@ -0,0 +1,39 @@
+// Fixed-window per-IP rate limiter for the Express app. In-memory only: the
+// Koyeb service runs a single instance, so there is nothing to share.
+
+export function createRateLimiter({ windowMs = 60_000, max = 60, name = "default" } = {}) {
+  const hits = new Map();
+
+  // Drop expired windows so one-off clients don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs);
+  sweep.unref?.();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const ip = req.ip || req.socket?.remoteAddress || "unknown";
+    let entry = hits.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(ip, entry);
+    }
+    entry.count++;
+
+    res.set("X-RateLimit-Limit", String(max));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      if (entry.count === max + 1) {
+        console.warn(`🚦 Rate limit (${name}) hit by ${ip}`);
+      }
+      return res.status(429).json({ error: "Too many requests", retryAfter });
+    }
+    next();
+  };
+}
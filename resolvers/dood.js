@@ -0,0 +1,35 @@
+import { originOf, toAbsolute } from "./helpers.js";
+
+const TOKEN_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+function randomToken(length) {
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    out += TOKEN_CHARS[Math.floor(Math.random() * TOKEN_CHARS.length)];
+  }
+  return out;
+}
+
+// Dood hands out a base url from /pass_md5/ and expects the client to append
+// ten random chars plus the token and expiry itself
+export default {
+  name: "dood",
+  hosts: /(^|\.)(dood|doods|ds2play|ds2video|d0o0d|do0od|d0000d|d000d|dooood|vide0)\w*\./i,
+
+  async resolve(embedUrl, { fetchHtml }) {
+    const html = await fetchHtml(embedUrl, { referer: embedUrl });
+    const passMatch = html.match(/\/pass_md5\/[^'"]+/);
+    if (!passMatch) return null;
+
+    const origin = originOf(embedUrl);
+    const base = (await fetchHtml(toAbsolute(passMatch[0], embedUrl), { referer: embedUrl })).trim();
+    if (!/^https?:\/\//.test(base)) return null;
+
+    const token = passMatch[0].split("/").pop();
+    return {
+      url: `${base}${randomToken(10)}?token=${token}&expiry=${Date.now()}`,
+      type: "mp4",
+      headers: { Referer: `${origin}/` },
+    };
+  },
+};
@@ -0,0 +1,27 @@
+import { unpackAll, findFileUrl, findIframeSrc, refererHeaders, toAbsolute } from "./helpers.js";
+
+// Filemoon wraps the player in a second iframe whose page carries a packed jwplayer setup
+export default {
+  name: "filemoon",
+  hosts: /(^|\.)(filemoon|moonplayer|kerapoxy|smdfs)\./i,
+
+  async resolve(embedUrl, { fetchHtml }) {
+    let pageUrl = embedUrl;
+    let html = await fetchHtml(pageUrl, { referer: embedUrl });
+
+    if (!/eval\(function\(p,a,c,k,e/.test(html)) {
+      const inner = findIframeSrc(html, pageUrl);
+      if (!inner) return null;
+      pageUrl = inner;
+      html = await fetchHtml(pageUrl, { referer: embedUrl });
+    }
+
+    const file = findFileUrl(unpackAll(html));
+    if (!file) return null;
+    return {
+      url: toAbsolute(file, pageUrl),
+      type: "hls",
+      headers: refererHeaders(pageUrl),
+    };
+  },
+};
@@ -0,0 +1,92 @@
+const BASE62 = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+function makeUnbase(radix) {
+  if (radix <= 36) return (word) => parseInt(word, radix);
+  const alphabet = BASE62.slice(0, radix);
+  return (word) => {
+    let value = 0;
+    for (const char of word) {
+      const digit = alphabet.indexOf(char);
+      if (digit === -1) return NaN;
+      value = value * radix + digit;
+    }
+    return value;
+  };
+}
+
+// Unpacks Dean Edwards' eval(function(p,a,c,k,e,d){...}) obfuscation used by most video hosts
+export function unpack(script) {
+  const match = script.match(
+    /}\s*\(\s*'([\s\S]*?)'\s*,\s*(\d+|\[\])\s*,\s*(\d+)\s*,\s*'([\s\S]*?)'\.split\('\|'\)/,
+  );
+  if (!match) return null;
+
+  const payload = match[1].replace(/\\'/g, "'").replace(/\\\\/g, "\\");
+  const radix = match[2] === "[]" ? 62 : parseInt(match[2], 10);
+  const symbols = match[4].split("|");
+  const unbase = makeUnbase(radix);
+
+  return payload.replace(/\b\w+\b/g, (word) => {
+    const index = unbase(word);
+    return Number.isNaN(index) ? word : symbols[index] || word;
+  });
+}
+
+export function unpackAll(html) {
+  const scripts = [];
+  const packedRegex = /eval\(function\(p,a,c,k,e,[rd]\)[\s\S]*?\.split\('\|'\)[^)]*\)\)/g;
+  for (const match of html.matchAll(packedRegex)) {
+    const unpacked = unpack(match[0]);
+    if (unpacked) scripts.push(unpacked);
+  }
+  return scripts;
+}
+
+export function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+export function refererHeaders(embedUrl) {
+  const origin = originOf(embedUrl);
+  return origin ? { Referer: `${origin}/`, Origin: origin } : {};
+}
+
+export function toAbsolute(url, base) {
+  if (!url) return null;
+  try {
+    return new URL(url.startsWith("//") ? `https:${url}` : url, base).href;
+  } catch {
+    return null;
+  }
+}
+
+export function streamTypeOf(url) {
+  return /\.m3u8(\?|$)/i.test(url) || /\/hls\//i.test(url) ? "hls" : "mp4";
+}
+
+// Finds a jwplayer/clappr style `file: "..."` or `sources: [...]` stream in page or unpacked scripts
+export function findFileUrl(texts) {
+  const patterns = [
+    /file\s*:\s*["']([^"']+\.m3u8[^"']*)["']/i,
+    /sources\s*:\s*\[\s*["']([^"']+\.m3u8[^"']*)["']/i,
+    /src\s*:\s*["']([^"']+\.m3u8[^"']*)["']/i,
+    /file\s*:\s*["']([^"']+\.mp4[^"']*)["']/i,
+    /["']hls\d?["']\s*:\s*["']([^"']+)["']/i,
+  ];
+  for (const text of texts) {
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) return match[1];
+    }
+  }
+  return null;
+}
+
+export function findIframeSrc(html, base) {
+  const match = html.match(/<iframe[^>]+src=["']([^"']+)["']/i);
+  return match ? toAbsolute(match[1], base) : null;
+}
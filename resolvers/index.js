@@ -0,0 +1,58 @@
+import filemoon from "./filemoon.js";
+import streamtape from "./streamtape.js";
+import dood from "./dood.js";
+import voe from "./voe.js";
+import mixdrop from "./mixdrop.js";
+import vidmoly from "./vidmoly.js";
+import streamwish from "./streamwish.js";
+
+// Each resolver turns a host's embed page into a direct stream:
+//   { name, hosts: RegExp, resolve(embedUrl, { fetchHtml }) -> { url, type, headers } | null }
+export const RESOLVERS = [filemoon, streamtape, dood, voe, mixdrop, vidmoly, streamwish];
+
+export function findResolver(embedUrl) {
+  let hostname;
+  try {
+    hostname = new URL(embedUrl).hostname;
+  } catch {
+    return null;
+  }
+  return RESOLVERS.find((resolver) => resolver.hosts.test(hostname)) || null;
+}
+
+// Returns { host, stream_url, stream_type, headers } or null when the host is
+// unknown or the page no longer matches what the resolver expects. With
+// throwOnFetchError a page that failed to load (429, block, timeout) throws
+// instead, so callers can tell it apart from a page without a stream.
+export async function resolveStream(embedUrl, { fetchHtml, throwOnFetchError = false }) {
+  const resolver = findResolver(embedUrl);
+  if (!resolver) return null;
+
+  let fetchFailure = null;
+  const trackedFetchHtml = async (...args) => {
+    try {
+      return await fetchHtml(...args);
+    } catch (err) {
+      fetchFailure = err;
+      throw err;
+    }
+  };
+
+  try {
+    const stream = await resolver.resolve(embedUrl, { fetchHtml: trackedFetchHtml });
+    if (!stream?.url) {
+      console.warn(`   ⚠️ ${resolver.name}: no stream found in ${embedUrl.substring(0, 60)}...`);
+      return null;
+    }
+    return {
+      host: resolver.name,
+      stream_url: stream.url,
+      stream_type: stream.type,
+      headers: stream.headers || {},
+    };
+  } catch (err) {
+    if (throwOnFetchError && fetchFailure) throw fetchFailure;
+    console.warn(`   ⚠️ ${resolver.name} resolver failed for ${embedUrl.substring(0, 60)}...: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,21 @@
+import { unpackAll, refererHeaders, toAbsolute } from "./helpers.js";
+
+export default {
+  name: "mixdrop",
+  hosts: /(^|\.)(mixdrop|mixdrp|mdrop|mdbekjwqa|mdfx9dc8n)\w*\./i,
+
+  async resolve(embedUrl, { fetchHtml }) {
+    const html = await fetchHtml(embedUrl, { referer: embedUrl });
+    for (const script of unpackAll(html)) {
+      const match = script.match(/MDCore\.wurl\s*=\s*["']([^"']+)["']/);
+      if (match) {
+        return {
+          url: toAbsolute(match[1], embedUrl),
+          type: "mp4",
+          headers: refererHeaders(embedUrl),
+        };
+      }
+    }
+    return null;
+  },
+};
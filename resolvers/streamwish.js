@@ -0,0 +1,15 @@
+import { unpackAll, findFileUrl, refererHeaders, toAbsolute, streamTypeOf } from "./helpers.js";
+
+// Streamwish and its vidhide-style clones share the same packed jwplayer page
+export default {
+  name: "streamwish",
+  hosts: /(^|\.)(streamwish|swish|wishfast|embedwish|sfastwish|flaswish|awish|dwish|strwish|vidhide\w*)\./i,
+
+  async resolve(embedUrl, { fetchHtml }) {
+    const html = await fetchHtml(embedUrl, { referer: embedUrl });
+    const file = findFileUrl([...unpackAll(html), html]);
+    if (!file) return null;
+    const url = toAbsolute(file, embedUrl);
+    return { url, type: streamTypeOf(url), headers: refererHeaders(embedUrl) };
+  },
+};
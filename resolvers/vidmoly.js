@@ -0,0 +1,19 @@
+import { findFileUrl, unpackAll, toAbsolute, streamTypeOf } from "./helpers.js";
+
+export default {
+  name: "vidmoly",
+  hosts: /(^|\.)vidmoly\./i,
+
+  async resolve(embedUrl, { fetchHtml }) {
+    const html = await fetchHtml(embedUrl, { referer: embedUrl });
+    const file = findFileUrl([html, ...unpackAll(html)]);
+    if (!file) return null;
+    const url = toAbsolute(file, embedUrl);
+    // The CDN only checks for the vidmoly referer, not the exact mirror
+    return {
+      url,
+      type: streamTypeOf(url),
+      headers: { Referer: "https://vidmoly.to/", Origin: "https://vidmoly.to" },
+    };
+  },
+};
@@ -0,0 +1,35 @@
+import { refererHeaders, toAbsolute, streamTypeOf } from "./helpers.js";
+
+function decodeMaybeBase64(value) {
+  if (/^https?:\/\//.test(value)) return value;
+  try {
+    const decoded = atob(value);
+    return /^https?:\/\//.test(decoded) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+// Voe bounces through a JS redirect to a throwaway mirror before the real player page
+export default {
+  name: "voe",
+  hosts: /(^|\.)voe(-?unblock\w*)?\./i,
+
+  async resolve(embedUrl, { fetchHtml }) {
+    let pageUrl = embedUrl;
+    let html = await fetchHtml(pageUrl, { referer: embedUrl });
+
+    const redirect = html.match(/window\.location\.href\s*=\s*['"]([^'"]+)['"]/);
+    if (redirect) {
+      pageUrl = toAbsolute(redirect[1], pageUrl);
+      html = await fetchHtml(pageUrl, { referer: embedUrl });
+    }
+
+    for (const key of ["hls", "mp4"]) {
+      const match = html.match(new RegExp(`['"]${key}['"]\\s*:\\s*['"]([^'"]+)['"]`));
+      const url = match && decodeMaybeBase64(match[1]);
+      if (url) return { url, type: streamTypeOf(url), headers: refererHeaders(pageUrl) };
+    }
+    return null;
+  },
+};
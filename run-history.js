@@ -0,0 +1,182 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+// Every sync / crawl / link check becomes a row in sync_runs: when it ran, how
+// each stage went, what happened to each episode and what failed. The counters
+// belong to the run (carried through async calls), so cron runs in one process
+// no longer add up.
+
+export const RUN_STATUSES = ["running", "success", "failed", "interrupted"];
+
+const DEFAULT_MAX_EPISODES = 500;
+const DEFAULT_MAX_ERRORS = 100;
+
+function errorMessage(err) {
+  return err?.message || String(err);
+}
+
+// Numeric fields that changed between two summaries, e.g. { newEpisodes: 3 }
+function countersDiff(before, after) {
+  const diff = {};
+  for (const [key, value] of Object.entries(after)) {
+    if (typeof value !== "number") continue;
+    const delta = value - (before[key] || 0);
+    if (delta !== 0) diff[key] = delta;
+  }
+  return diff;
+}
+
+class RunHistory {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    // Fresh counters for every run, and how they are stored (Sets -> sizes)
+    this.createStats = options.createStats || (() => ({}));
+    this.summarize = options.summarize || ((stats) => ({ ...stats }));
+    this.maxEpisodes = options.maxEpisodes || DEFAULT_MAX_EPISODES;
+    this.maxErrors = options.maxErrors || DEFAULT_MAX_ERRORS;
+    this.context = new AsyncLocalStorage();
+    this.active = new Set();
+    this.latest = null;
+    this.saveWarned = false;
+  }
+
+  // The run the caller is part of, or null outside of record()
+  current() {
+    return this.context.getStore() || null;
+  }
+
+  async record(kind, run) {
+    const startedAt = Date.now();
+    const state = {
+      stats: this.createStats(),
+      record: {
+        id: randomUUID(),
+        kind,
+        status: "running",
+        started_at: new Date(startedAt).toISOString(),
+        finished_at: null,
+        duration_ms: null,
+        totals: {},
+        stages: [],
+        episodes: [],
+        episodes_truncated: 0,
+        errors: [],
+      },
+    };
+    this.latest = state;
+    this.active.add(state.record.id);
+    await this.recover();
+    await this.save(state);
+
+    try {
+      const result = await this.context.run(state, run);
+      state.record.status = "success";
+      return result;
+    } catch (err) {
+      state.record.status = "failed";
+      this.noteError(err, {}, state);
+      throw err;
+    } finally {
+      state.record.finished_at = new Date().toISOString();
+      state.record.duration_ms = Date.now() - startedAt;
+      this.active.delete(state.record.id);
+      await this.save(state);
+    }
+  }
+
+  // Times one stage of the current run and keeps the counters it moved
+  async stage(name, run) {
+    const state = this.current();
+    if (!state) return run();
+
+    const startedAt = Date.now();
+    const before = this.summarize(state.stats);
+    const stage = { name, status: "running", started_at: new Date(startedAt).toISOString() };
+    state.record.stages.push(stage);
+    try {
+      const result = await run();
+      stage.status = "success";
+      return result;
+    } catch (err) {
+      stage.status = "failed";
+      stage.error = errorMessage(err);
+      this.noteError(err, { stage: name });
+      throw err;
+    } finally {
+      stage.duration_ms = Date.now() - startedAt;
+      stage.results = countersDiff(before, this.summarize(state.stats));
+      await this.save(state);
+    }
+  }
+
+  // entry: { series_slug, season, episode, url, outcome, reason, error }
+  noteEpisode(entry, state = this.current()) {
+    if (!state) return;
+    if (state.record.episodes.length >= this.maxEpisodes) {
+      state.record.episodes_truncated++;
+      return;
+    }
+    state.record.episodes.push({ at: new Date().toISOString(), ...entry });
+  }
+
+  noteError(err, details = {}, state = this.current()) {
+    if (!state || state.record.errors.length >= this.maxErrors) return;
+    const stage = state.record.stages.findLast((s) => s.status === "running")?.name || null;
+    state.record.errors.push({ at: new Date().toISOString(), stage, message: errorMessage(err), ...details });
+  }
+
+  // Runs a crashed or killed process left as "running"
+  async recover() {
+    try {
+      const stale = await this.storage.listRuns({ status: "running", limit: 100 });
+      for (const run of stale) {
+        if (this.active.has(run.id)) continue;
+        // Last sign of life stands in for the end, so pruning still applies
+        await this.storage.upsertRun({
+          ...run,
+          status: "interrupted",
+          finished_at: run.updated_at || run.started_at,
+        });
+        console.warn(`⚠️  Run ${run.id} (${run.kind}) never finished, marked interrupted`);
+      }
+    } catch (err) {
+      this.warnSaveFailed(err);
+    }
+  }
+
+  // History is best effort: a missing sync_runs table must not fail the sync
+  async save(state) {
+    state.record.totals = this.summarize(state.stats);
+    try {
+      await this.storage.upsertRun(state.record);
+    } catch (err) {
+      this.warnSaveFailed(err);
+    }
+  }
+
+  warnSaveFailed(err) {
+    if (this.saveWarned) return;
+    this.saveWarned = true;
+    console.warn(`⚠️  Run history not saved (is the sync_runs table there?): ${err.message}`);
+  }
+
+  async list(options = {}) {
+    return this.storage.listRuns(options);
+  }
+
+  async get(id) {
+    return this.storage.getRun(id);
+  }
+
+  async prune(retentionMs) {
+    const before = new Date(Date.now() - retentionMs).toISOString();
+    try {
+      return await this.storage.deleteRuns({ finishedBefore: before });
+    } catch (err) {
+      this.warnSaveFailed(err);
+      return 0;
+    }
+  }
+}
+
+export default RunHistory;
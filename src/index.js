@@ -1,7 +1,20 @@
-import { createClient } from "@supabase/supabase-js";
+import SupabaseStorage from "../storage/supabase-storage.js";
+import { createKvFixtureStore } from "../fixture-store.js";
+import { DEFAULT_HOME_URL, extractEpisodeCards, parseEpisodeCode } from "../toonstream-parser.js";
+import {
+  createScraper,
+  buildLatestEpisodePayload,
+  extractSeriesSlugFromUrl,
+} from "../scraper-core.js";
+import { verifyAdminRequest, adminAuthFromEnv } from "../admin-auth.js";
+import { errorFromResponse, toFetchError, ChallengeError } from "../fetch-errors.js";
+import MirrorManager, { parseMirrorList, isDomainFailure } from "../mirror-manager.js";
 
 const MAX_SUBREQUESTS = 45;
 let subrequestCount = 0;
+let challengeCount = 0;
+let limitReached = false;
+let fixtureFetch = (...args) => fetch(...args);
 
 const USER_AGENTS = [
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
@@ -16,140 +29,108 @@ function canFetch() {
   return subrequestCount < MAX_SUBREQUESTS;
 }
 
-async function fetchHtml(url) {
+function buildConfig(env) {
+  const homeUrl = env.TOONSTREAM_HOME_URL || DEFAULT_HOME_URL;
+  return {
+    homeUrl,
+    ajaxUrl: env.TOONSTREAM_AJAX_URL || new URL("/wp-admin/admin-ajax.php", homeUrl).href,
+    embedMaxDepth: Number(env.EMBED_MAX_DEPTH || 3),
+    // Each resolved stream costs 1-2 extra subrequests, so the Worker opts in explicitly
+    resolveStreams: env.RESOLVE_STREAMS === "true",
+    // The Node sync rotates "||"-separated cookie sets, one run here only uses the first
+    toonstreamCookies: env.TOONSTREAM_COOKIES?.split("||")[0].trim() || null,
+    tmdbApiKey: env.TMDB_API_KEY,
+    mirrors: [homeUrl, ...parseMirrorList(env.TOONSTREAM_MIRRORS)],
+  };
+}
+
+async function countedFetch(url, init = {}) {
   if (!canFetch()) {
+    limitReached = true;
     throw new Error("Subrequest limit reached");
   }
   subrequestCount++;
   console.log(`📊 Subrequests: ${subrequestCount}/${MAX_SUBREQUESTS}`);
-  
-  const response = await fetch(url, {
-    headers: {
-      "User-Agent": getUA(),
-      "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-      "Accept-Language": "en-US,en;q=0.9",
-      "Referer": "https://toonstream.one/",
-    },
-  });
-  
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
-  }
-  return await response.text();
+  return fixtureFetch(url, init);
 }
 
-function extractEpisodesFromHomepage(html) {
-  const episodes = [];
-  const seen = new Set();
-  
-  const linkRegex = /href=["'](https?:\/\/toonstream\.one\/episode\/([^"'\/]+)\/?)['"]/gi;
-  let match;
-  
-  while ((match = linkRegex.exec(html)) !== null) {
-    const url = match[1];
-    const slug = match[2].replace(/\/$/, '');
-    
-    if (seen.has(slug)) continue;
-    seen.add(slug);
-    
-    const codeMatch = slug.match(/^(.+)-(\d+)x(\d+)$/i);
-    if (!codeMatch) {
-      console.log(`   ⏭️ Skipping invalid slug: ${slug}`);
-      continue;
-    }
-    
-    const animeSlug = codeMatch[1];
-    const season = parseInt(codeMatch[2], 10);
-    const episode = parseInt(codeMatch[3], 10);
-    const anime = animeSlug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-    
-    episodes.push({
-      id: `${animeSlug}-s${season}e${episode}`,
-      anime,
-      animeSlug,
-      season,
-      episode,
-      url,
-    });
+// Network failures (dead DNS, timeouts) become FetchErrors too, so mirror failover sees them
+async function fetchTyped(url, init) {
+  try {
+    return await countedFetch(url, init);
+  } catch (err) {
+    if (limitReached) throw err;
+    throw toFetchError(err, url);
   }
-  
-  console.log(`   📋 Extracted episodes: ${episodes.map(e => e.id).join(', ')}`);
-  return episodes;
 }
 
-function extractTrembedUrls(html) {
-  const urls = [];
-  const seen = new Set();
-  
-  const iframeRegex = /<iframe[^>]*(?:src|data-src)=["']([^"']*trembed[^"']*)["'][^>]*>/gi;
-  let match;
-  
-  while ((match = iframeRegex.exec(html)) !== null) {
-    let url = match[1].replace(/&#038;/g, '&').replace(/&amp;/g, '&');
-    
-    if (url.startsWith('/')) {
-      url = 'https://toonstream.one' + url;
-    } else if (!url.startsWith('http')) {
-      url = 'https://toonstream.one/' + url;
-    }
-    
-    if (!seen.has(url)) {
-      seen.add(url);
-      urls.push(url);
-    }
-  }
-  
-  return urls;
+// Throws NotFoundError / RateLimitedError / BlockedError like the Node fetcher
+async function readHtml(url, response, mirrors) {
+  mirrors.noteRedirect(url, response.url);
+  const html = await response.text();
+  const err = errorFromResponse(url, {
+    status: response.status,
+    headers: response.headers,
+    body: html,
+  });
+  if (err instanceof ChallengeError) challengeCount++;
+  if (err) throw err;
+  return html;
 }
 
-async function resolveVideoUrl(trembedUrl, depth = 0) {
-  if (depth > 3 || !canFetch()) {
-    return null;
-  }
-  
-  try {
-    console.log(`   🔍 [Depth ${depth}] Resolving: ${trembedUrl.substring(0, 60)}...`);
-    const html = await fetchHtml(trembedUrl);
-    
-    const iframeMatches = [...html.matchAll(/<iframe[^>]*(?:src|data-src|data-lazy-src)=["']([^"']+)["'][^>]*>/gi)];
-    
-    for (const match of iframeMatches) {
-      let embedUrl = match[1];
-      
-      if (embedUrl.startsWith('//')) {
-        embedUrl = 'https:' + embedUrl;
-      }
-      
-      if (!embedUrl.includes('toonstream.one') && !embedUrl.includes('trembed') && !embedUrl.includes('trid=')) {
-        console.log(`      ✓ Found video: ${embedUrl.substring(0, 50)}...`);
-        return embedUrl;
-      }
-      
-      if (embedUrl.includes('trembed') || embedUrl.includes('trid=')) {
-        const resolved = await resolveVideoUrl(embedUrl, depth + 1);
-        if (resolved) return resolved;
-      }
-    }
-    
-    const locationMatch = html.match(/(?:window\.)?location(?:\.href)?\s*=\s*["']([^"']+)["']/i) ||
-                          html.match(/location\.replace\s*\(\s*["']([^"']+)["']\s*\)/i);
-    
-    if (locationMatch) {
-      let redirectUrl = locationMatch[1];
-      if (redirectUrl.startsWith('//')) {
-        redirectUrl = 'https:' + redirectUrl;
-      }
-      if (!redirectUrl.includes('toonstream.one') && !redirectUrl.includes('trembed')) {
-        console.log(`      ✓ Found redirect: ${redirectUrl.substring(0, 50)}...`);
-        return redirectUrl;
-      }
+function createWorkerScraper(config, mirrors) {
+  const toonstreamHeaders = (referer) => ({
+    "User-Agent": getUA(),
+    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+    "Accept-Language": "en-US,en;q=0.9",
+    "Referer": referer || mirrors.rewriteUrl(config.homeUrl),
+    ...(config.toonstreamCookies ? { Cookie: config.toonstreamCookies } : {}),
+  });
+
+  // One series page + TMDB lookup per series per invocation, not per episode;
+  // the subrequest budget is too small to spend it twice
+  const seriesContexts = new Map();
+  const resolveSeriesContext = (seriesUrl, fallbackTitle) => {
+    if (!seriesContexts.has(seriesUrl)) {
+      const pending = scraper
+        .buildSeriesPayload(seriesUrl, fallbackTitle)
+        .then(({ payload, sourceSlug }) => ({ ...payload, url: seriesUrl, sourceSlug }));
+      pending.catch(() => seriesContexts.delete(seriesUrl));
+      seriesContexts.set(seriesUrl, pending);
     }
-    
-    return null;
-  } catch (err) {
-    console.warn(`      ⚠️ Failed: ${err.message}`);
-    return null;
-  }
+    return seriesContexts.get(seriesUrl);
+  };
+
+  const scraper = createScraper({
+    config,
+    mirrors,
+    fetchImpl: countedFetch,
+    resolveSeriesContext,
+    async fetchHtml(url, options = {}) {
+      const response = await fetchTyped(url, {
+        headers: toonstreamHeaders(options.referer),
+      });
+      return readHtml(url, response, mirrors);
+    },
+    async postForm(url, body, options = {}) {
+      const response = await fetchTyped(url, {
+        method: "POST",
+        body,
+        headers: {
+          ...toonstreamHeaders(options.referer),
+          "Content-Type": "application/x-www-form-urlencoded",
+          "X-Requested-With": "XMLHttpRequest",
+        },
+      });
+      return readHtml(url, response, mirrors);
+    },
+  });
+  return scraper;
+}
+
+function toSeriesRow(seriesCtx) {
+  const { url, sourceSlug, ...row } = seriesCtx;
+  return row;
 }
 
 async function getProgress(env) {
@@ -161,6 +142,21 @@ async function getProgress(env) {
   }
 }
 
+async function getSavedMirror(env) {
+  try {
+    return (await env.PROGRESS.get("toonstream_mirror", { type: "json" }))?.origin || null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveMirror(env, origin) {
+  await env.PROGRESS.put("toonstream_mirror", JSON.stringify({
+    origin,
+    updated_at: new Date().toISOString(),
+  }));
+}
+
 async function saveProgress(env, lastIndex) {
   await env.PROGRESS.put("sync_progress", JSON.stringify({
     last_index: lastIndex,
@@ -170,22 +166,64 @@ async function saveProgress(env, lastIndex) {
 
 async function runSync(env) {
   subrequestCount = 0;
+  challengeCount = 0;
+  limitReached = false;
+  fixtureFetch = createKvFixtureStore(env).wrapFetch((...args) => fetch(...args));
   
   console.log("🚀 Toonstream -> Supabase sync started");
   console.log(`⏰ Time: ${new Date().toISOString()}`);
   
-  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY);
+  const storage = new SupabaseStorage({
+    url: env.SUPABASE_URL,
+    serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY,
+  });
+  const config = buildConfig(env);
+  const mirrors = new MirrorManager({
+    mirrors: config.mirrors,
+    probePath: new URL(config.homeUrl).pathname,
+    fetchImpl: countedFetch,
+  });
+  const savedMirror = await getSavedMirror(env);
+  if (savedMirror) mirrors.restore(savedMirror);
+  const startOrigin = mirrors.origin;
+  const scraper = createWorkerScraper(config, mirrors);
   
   let html;
   try {
     console.log("📡 Fetching homepage...");
-    html = await fetchHtml("https://toonstream.one/");
+    try {
+      html = await scraper.fetchHtml(config.homeUrl);
+    } catch (err) {
+      // Probing costs a few subrequests, only worth it when the domain itself looks down
+      if (!isDomainFailure(err) || config.mirrors.length < 2) throw err;
+      await mirrors.failover(err.message);
+      if (mirrors.origin === startOrigin) throw err;
+      html = await scraper.fetchHtml(config.homeUrl);
+    }
   } catch (err) {
     console.error(`❌ Failed to fetch homepage: ${err.message}`);
-    return { success: false, error: err.message };
+    if (err instanceof ChallengeError) {
+      console.error("🛡️ Cloudflare challenge on homepage - TOONSTREAM_COOKIES may need refreshing");
+    }
+    return { success: false, error: err.message, challenges: challengeCount };
+  }
+  
+  if (mirrors.origin !== startOrigin) {
+    await saveMirror(env, mirrors.origin);
   }
   
-  const episodes = extractEpisodesFromHomepage(html);
+  const episodes = extractEpisodeCards(html, mirrors.rewriteUrl(config.homeUrl))
+    .map((card) => {
+      const code = parseEpisodeCode(card.url);
+      const seriesUrl = scraper.deriveSeriesUrlFromEpisode(card.url);
+      const seriesSlug = seriesUrl ? extractSeriesSlugFromUrl(seriesUrl) : null;
+      if (!code || !seriesSlug) {
+        console.log(`   ⏭️ Skipping invalid episode url: ${card.url}`);
+        return null;
+      }
+      return { card, seriesSlug, seriesUrl, ...code };
+    })
+    .filter(Boolean);
   console.log(`🔍 Found ${episodes.length} episodes on homepage`);
   
   if (episodes.length === 0) {
@@ -205,6 +243,7 @@ async function runSync(env) {
   let syncedCount = 0;
   let skippedCount = 0;
   let processedIndex = startIndex;
+  const seriesUpserted = new Set();
   
   for (let i = startIndex; i < episodes.length; i++) {
     if (!canFetch()) {
@@ -216,130 +255,120 @@ async function runSync(env) {
     const ep = episodes[i];
     processedIndex = i;
     
-    const { data: existing } = await supabase
-      .from("episodes")
-      .select("id")
-      .eq("series_slug", ep.animeSlug)
-      .eq("season", ep.season)
-      .eq("episode", ep.episode)
-      .single();
-    
+    const existing = await storage.getEpisode(ep.seriesSlug, ep.season, ep.episode);
     if (existing) {
-      console.log(`⏭️ Skipping ${ep.anime} S${ep.season}E${ep.episode} (already exists)`);
+      console.log(`⏭️ Skipping ${ep.seriesSlug} S${ep.season}E${ep.episode} (already exists)`);
       skippedCount++;
       continue;
     }
     
-    console.log(`➡️ Processing: ${ep.anime} S${ep.season}E${ep.episode}`);
-    
-    if (!canFetch()) {
-      console.log(`❌ Limit hit before fetching episode page`);
-      await saveProgress(env, i);
-      break;
-    }
+    console.log(`➡️ Processing: ${ep.seriesSlug} S${ep.season}E${ep.episode}`);
     
-    let episodeHtml;
+    let record;
     try {
-      episodeHtml = await fetchHtml(ep.url);
+      record = await scraper.buildEpisodeRecord(ep.card.url, {
+        card: ep.card,
+        seriesUrl: ep.seriesUrl,
+        code: { season: ep.season, episode: ep.episode },
+      });
     } catch (err) {
-      console.warn(`   ⚠️ Failed to fetch episode page: ${err.message}`);
-      continue;
-    }
-    
-    const trembedUrls = extractTrembedUrls(episodeHtml);
-    console.log(`   📺 Found ${trembedUrls.length} server options`);
-    
-    if (trembedUrls.length === 0) {
-      console.warn(`   ⚠️ No servers found`);
+      console.warn(`   ⚠️ Failed to build episode: ${err.message}`);
+      if (limitReached) {
+        await saveProgress(env, i);
+        break;
+      }
       continue;
     }
     
-    let videoUrl = null;
-    for (const trembedUrl of trembedUrls) {
-      if (!canFetch()) {
-        console.log(`   ❌ Limit hit during server resolution`);
-        break;
-      }
-      
-      videoUrl = await resolveVideoUrl(trembedUrl, 0);
-      if (videoUrl) break;
+    // A partially resolved episode would be stored with missing servers, retry it next run instead
+    if (limitReached) {
+      console.log(`❌ Limit hit while resolving ${ep.seriesSlug} S${ep.season}E${ep.episode}, saving progress...`);
+      await saveProgress(env, i);
+      break;
     }
     
-    if (!videoUrl) {
+    const { seriesCtx, code, episodePayload } = record;
+    if (episodePayload.servers.length === 0) {
       console.warn(`   ⚠️ No working video found`);
       continue;
     }
     
-    const { data: existingSeries } = await supabase
-      .from("series")
-      .select("id")
-      .eq("slug", ep.animeSlug)
-      .single();
-    
-    if (!existingSeries) {
-      const { error: seriesErr } = await supabase
-        .from("series")
-        .insert({
-          slug: ep.animeSlug,
-          title: ep.anime,
-          status: "Ongoing",
-        });
-      
-      if (seriesErr) {
-        console.warn(`   ⚠️ Failed to create series: ${seriesErr.message}`);
-      } else {
-        console.log(`   📺 Created series: ${ep.anime}`);
+    try {
+      if (!seriesUpserted.has(seriesCtx.slug)) {
+        await storage.upsertSeries(toSeriesRow(seriesCtx));
+        seriesUpserted.add(seriesCtx.slug);
       }
-    }
-    
-    const episodeData = {
-      series_slug: ep.animeSlug,
-      season: ep.season,
-      episode: ep.episode,
-      title: `${ep.anime} S${ep.season}E${ep.episode}`,
-      servers: [{ option: 1, real_video: videoUrl }],
-    };
-    
-    const { error: upsertErr } = await supabase
-      .from("episodes")
-      .upsert(episodeData, { onConflict: "series_slug,season,episode" });
-    
-    if (upsertErr) {
-      console.error(`   ❌ Failed to save: ${upsertErr.message}`);
+      await storage.upsertEpisode({
+        series_slug: seriesCtx.slug,
+        season: code.season,
+        episode: code.episode,
+        ...episodePayload,
+      });
+      await storage.upsertLatestEpisode(
+        buildLatestEpisodePayload(
+          seriesCtx.slug,
+          seriesCtx.title,
+          code.season,
+          code.episode,
+          episodePayload,
+        ),
+      );
+    } catch (err) {
+      console.error(`   ❌ Failed to save: ${err.message}`);
       continue;
     }
     
-    await supabase
-      .from("latest_episodes")
-      .upsert({
-        series_slug: ep.animeSlug,
-        series_title: ep.anime,
-        season: ep.season,
-        episode: ep.episode,
-        episode_title: episodeData.title,
-        added_at: new Date().toISOString(),
-      }, { onConflict: "series_slug,season,episode" });
-    
-    console.log(`✅ Synced ${ep.anime} S${ep.season}E${ep.episode}`);
+    console.log(`✅ Synced ${seriesCtx.title} S${code.season}E${code.episode} | Servers: ${episodePayload.servers.length}`);
     syncedCount++;
   }
   
-  if (processedIndex >= episodes.length - 1) {
+  if (processedIndex >= episodes.length - 1 && !limitReached) {
     await saveProgress(env, 0);
     console.log("🔄 All episodes processed, resetting progress");
   }
   
   console.log(`\n📊 Sync complete: ${syncedCount} synced, ${skippedCount} skipped`);
   console.log(`📊 Subrequests used: ${subrequestCount}/${MAX_SUBREQUESTS}`);
+  if (challengeCount > 0) {
+    console.warn(`🛡️ Cloudflare challenges: ${challengeCount} (TOONSTREAM_COOKIES may need refreshing)`);
+  }
   
   return {
     success: true,
     synced: syncedCount,
     skipped: skippedCount,
     subrequests: subrequestCount,
+    challenges: challengeCount,
   };
 }
 
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// Mutating endpoints are POST-only and need the same ADMIN_TOKEN / HMAC as sync-server.js
+async function authorizeAdmin(request, url, env) {
+  if (request.method !== "POST") {
+    const response = jsonResponse({ error: "Method not allowed" }, 405);
+    response.headers.set("Allow", "POST");
+    return response;
+  }
+  const result = await verifyAdminRequest(
+    {
+      method: request.method,
+      path: url.pathname + url.search,
+      authorization: request.headers.get("Authorization"),
+      timestamp: request.headers.get("X-Timestamp"),
+      signature: request.headers.get("X-Signature"),
+    },
+    adminAuthFromEnv(env),
+  );
+  return result.ok ? null : jsonResponse({ error: result.error }, result.status);
+}
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -351,16 +380,18 @@ export default {
         timestamp: new Date().toISOString(),
         endpoints: {
           "/": "Health check",
-          "/sync": "Trigger manual sync (POST)",
+          "/sync": "Trigger manual sync (POST, admin)",
           "/file": "View progress",
-          "/reset": "Reset progress",
+          "/reset": "Reset progress (POST, admin)",
         },
       }, null, 2), {
         headers: { "Content-Type": "application/json" },
       });
     }
     
-    if (url.pathname === "/sync" && request.method === "POST") {
+    if (url.pathname === "/sync") {
+      const denied = await authorizeAdmin(request, url, env);
+      if (denied) return denied;
       ctx.waitUntil(runSync(env));
       return new Response(JSON.stringify({
         status: "triggered",
@@ -379,6 +410,8 @@ export default {
     }
     
     if (url.pathname === "/reset") {
+      const denied = await authorizeAdmin(request, url, env);
+      if (denied) return denied;
       await saveProgress(env, 0);
       return new Response(JSON.stringify({
         status: "reset",
@@ -0,0 +1,36 @@
+import SupabaseStorage from "./supabase-storage.js";
+import JsonFileStorage from "./json-file-storage.js";
+
+const BACKENDS = {
+  supabase: {
+    requiredEnv: ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"],
+    create: (env) =>
+      new SupabaseStorage({
+        url: env.SUPABASE_URL,
+        serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY,
+      }),
+  },
+  json: {
+    requiredEnv: [],
+    create: (env) => new JsonFileStorage({ filePath: env.STORAGE_FILE }),
+  },
+};
+
+export function getStorageBackendName(env = process.env) {
+  return (env.STORAGE_BACKEND || "supabase").trim().toLowerCase();
+}
+
+export function getRequiredStorageEnv(env = process.env) {
+  return BACKENDS[getStorageBackendName(env)]?.requiredEnv || [];
+}
+
+export function createStorage(env = process.env) {
+  const name = getStorageBackendName(env);
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(
+      `Unknown STORAGE_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`,
+    );
+  }
+  return backend.create(env);
+}
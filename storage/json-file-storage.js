@@ -0,0 +1,231 @@
+import fs from "fs";
+import path from "path";
+
+const EMPTY_DB = () => ({
+  series: {},
+  episodes: {},
+  latest_episodes: {},
+  movies: {},
+  sync_state: {},
+  sync_jobs: {},
+  sync_runs: {},
+  nextId: 1,
+});
+
+function episodeKey(seriesSlug, season, episode) {
+  return `${seriesSlug}::${season}x${episode}`;
+}
+
+function byDateDesc(field) {
+  return (a, b) => String(b[field] || "").localeCompare(String(a[field] || ""));
+}
+
+class JsonFileStorage {
+  constructor(options = {}) {
+    this.name = "JSON file";
+    this.filePath = path.resolve(options.filePath || "data/toonstream-db.json");
+    this.db = null;
+    this.writeChain = Promise.resolve();
+    this.pendingWrite = null;
+  }
+
+  load() {
+    if (this.db) return this.db;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.db = { ...EMPTY_DB(), ...JSON.parse(fs.readFileSync(this.filePath, "utf8")) };
+        return this.db;
+      }
+    } catch (err) {
+      throw new Error(`Failed to read storage file ${this.filePath}: ${err.message}`);
+    }
+    this.db = EMPTY_DB();
+    return this.db;
+  }
+
+  // Writes go through a temp file + rename so a crash never leaves half a JSON document behind.
+  // Mutations made while a write is waiting its turn share that write (the snapshot is taken
+  // when it starts), and a failed write doesn't block the ones after it.
+  persist() {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writeChain
+        .catch(() => {})
+        .then(() => {
+          this.pendingWrite = null;
+          return this.writeFile(JSON.stringify(this.db));
+        });
+      this.writeChain = this.pendingWrite;
+    }
+    return this.pendingWrite;
+  }
+
+  async writeFile(snapshot) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, snapshot);
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  upsertRow(table, key, payload) {
+    const db = this.load();
+    const now = new Date().toISOString();
+    const existing = db[table][key];
+    db[table][key] = existing
+      ? { ...existing, ...payload, updated_at: now }
+      : { id: db.nextId++, created_at: now, ...payload, updated_at: now };
+    return this.persist();
+  }
+
+  async upsertSeries(payload) {
+    await this.upsertRow("series", payload.slug, payload);
+  }
+
+  async getSeries(slug) {
+    return this.load().series[slug] || null;
+  }
+
+  async searchSeries(query, limit, offset = 0) {
+    const needle = (query || "").toLowerCase();
+    return Object.values(this.load().series)
+      .filter((row) => !needle || String(row.title || "").toLowerCase().includes(needle))
+      .sort((a, b) => String(a.title || "").localeCompare(String(b.title || "")))
+      .slice(offset, offset + limit);
+  }
+
+  async listEpisodes(seriesSlug, season = null) {
+    return Object.values(this.load().episodes).filter(
+      (row) =>
+        row.series_slug === seriesSlug && (season === null || row.season === season),
+    );
+  }
+
+  async getEpisode(seriesSlug, season, episode) {
+    return this.load().episodes[episodeKey(seriesSlug, season, episode)] || null;
+  }
+
+  async listRecentEpisodes(limit) {
+    return Object.values(this.load().episodes)
+      .sort(byDateDesc("updated_at"))
+      .slice(0, limit);
+  }
+
+  // Never-checked episodes first, then the ones checked longest ago
+  async listEpisodesForLinkCheck(limit) {
+    return Object.values(this.load().episodes)
+      .sort((a, b) =>
+        String(a.links_checked_at || "").localeCompare(String(b.links_checked_at || "")),
+      )
+      .slice(0, limit);
+  }
+
+  async upsertEpisode(payload) {
+    const key = episodeKey(payload.series_slug, payload.season, payload.episode);
+    await this.upsertRow("episodes", key, payload);
+  }
+
+  async upsertLatestEpisode(payload) {
+    const key = episodeKey(payload.series_slug, payload.season, payload.episode);
+    await this.upsertRow("latest_episodes", key, payload);
+  }
+
+  async listLatestEpisodes(limit, offset = 0, type = null) {
+    return Object.values(this.load().latest_episodes)
+      .filter((row) => !type || (row.content_type || "episode") === type)
+      .sort(byDateDesc("added_at"))
+      .slice(offset, offset + limit);
+  }
+
+  async upsertMovie(payload) {
+    await this.upsertRow("movies", payload.slug, payload);
+  }
+
+  async getMovie(slug) {
+    return this.load().movies[slug] || null;
+  }
+
+  async getState(key) {
+    return this.load().sync_state[key]?.value ?? null;
+  }
+
+  async setState(key, value) {
+    this.load().sync_state[key] = { value, updated_at: new Date().toISOString() };
+    await this.persist();
+  }
+
+  async getJob(id) {
+    return this.load().sync_jobs[id] || null;
+  }
+
+  async upsertJob(job) {
+    this.load().sync_jobs[job.id] = { ...job, updated_at: new Date().toISOString() };
+    await this.persist();
+  }
+
+  // Oldest run_at first, so the queue is FIFO among due jobs
+  async listJobs({ status = null, dueBefore = null, limit = 50, offset = 0 } = {}) {
+    return Object.values(this.load().sync_jobs)
+      .filter((job) => !status || job.status === status)
+      .filter((job) => !dueBefore || job.run_at <= dueBefore)
+      .sort((a, b) => String(a.run_at).localeCompare(String(b.run_at)))
+      .slice(offset, offset + limit);
+  }
+
+  async countJobsByStatus() {
+    const counts = { pending: 0, running: 0, done: 0, dead: 0 };
+    for (const job of Object.values(this.load().sync_jobs)) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  async deleteJobs({ status, finishedBefore }) {
+    const jobs = this.load().sync_jobs;
+    let removed = 0;
+    for (const [id, job] of Object.entries(jobs)) {
+      if (job.status === status && job.finished_at && job.finished_at < finishedBefore) {
+        delete jobs[id];
+        removed++;
+      }
+    }
+    if (removed > 0) await this.persist();
+    return removed;
+  }
+
+  async getRun(id) {
+    return this.load().sync_runs[id] || null;
+  }
+
+  async upsertRun(run) {
+    this.load().sync_runs[run.id] = { ...run, updated_at: new Date().toISOString() };
+    await this.persist();
+  }
+
+  // Newest first; summary leaves out the per-episode list
+  async listRuns({ kind = null, status = null, limit = 20, offset = 0, summary = false } = {}) {
+    return Object.values(this.load().sync_runs)
+      .filter((run) => !kind || run.kind === kind)
+      .filter((run) => !status || run.status === status)
+      .sort(byDateDesc("started_at"))
+      .slice(offset, offset + limit)
+      .map((run) => {
+        if (!summary) return run;
+        const { episodes, ...rest } = run;
+        return rest;
+      });
+  }
+
+  async deleteRuns({ finishedBefore }) {
+    const runs = this.load().sync_runs;
+    let removed = 0;
+    for (const [id, run] of Object.entries(runs)) {
+      if (run.finished_at && run.finished_at < finishedBefore) {
+        delete runs[id];
+        removed++;
+      }
+    }
+    if (removed > 0) await this.persist();
+    return removed;
+  }
+}
+
+export default JsonFileStorage;
@@ -0,0 +1,289 @@
+import { createClient } from "@supabase/supabase-js";
+
+const RUN_SUMMARY_COLUMNS =
+  "id,kind,status,started_at,finished_at,duration_ms,totals,stages,errors,episodes_truncated,updated_at";
+
+function describeError(error) {
+  return `${error.message} (code: ${error.code}, details: ${JSON.stringify(error.details || {})})`;
+}
+
+class SupabaseStorage {
+  constructor(options = {}) {
+    this.name = "Supabase";
+    this.client =
+      options.client ||
+      createClient(options.url, options.serviceRoleKey);
+  }
+
+  async upsertSeries(payload) {
+    const { error } = await this.client
+      .from("series")
+      .upsert(payload, { onConflict: "slug" })
+      .select();
+
+    if (error) {
+      throw new Error(`Supabase series upsert failed: ${describeError(error)}`);
+    }
+  }
+
+  async getSeries(slug) {
+    const { data, error } = await this.client
+      .from("series")
+      .select("*")
+      .eq("slug", slug)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase series lookup failed: ${error.message}`);
+    }
+    return data || null;
+  }
+
+  async searchSeries(query, limit, offset = 0) {
+    let request = this.client.from("series").select("*");
+    if (query) request = request.ilike("title", `%${query.replace(/[%_\\]/g, "\\$&")}%`);
+    const { data, error } = await request
+      .order("title", { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error(`Supabase series search failed: ${error.message}`);
+    return data || [];
+  }
+
+  async listEpisodes(seriesSlug, season = null) {
+    let request = this.client
+      .from("episodes")
+      .select("*")
+      .eq("series_slug", seriesSlug);
+    if (season !== null) request = request.eq("season", season);
+    const { data, error } = await request;
+
+    if (error) throw new Error(`Supabase check failed: ${error.message}`);
+    return data || [];
+  }
+
+  async getEpisode(seriesSlug, season, episode) {
+    const { data, error } = await this.client
+      .from("episodes")
+      .select("*")
+      .eq("series_slug", seriesSlug)
+      .eq("season", season)
+      .eq("episode", episode)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Episode lookup failed: ${error.message}`);
+    }
+    return data || null;
+  }
+
+  async listRecentEpisodes(limit) {
+    const { data, error } = await this.client
+      .from("episodes")
+      .select("*")
+      .order("updated_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Supabase episode list failed: ${error.message}`);
+    return data || [];
+  }
+
+  // Never-checked episodes first, then the ones checked longest ago
+  async listEpisodesForLinkCheck(limit) {
+    const { data, error } = await this.client
+      .from("episodes")
+      .select("*")
+      .order("links_checked_at", { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Supabase link check list failed: ${error.message}`);
+    return data || [];
+  }
+
+  async upsertEpisode(payload) {
+    const { error } = await this.client
+      .from("episodes")
+      .upsert(payload, { onConflict: "series_slug,season,episode" })
+      .select();
+
+    if (error) {
+      throw new Error(`Supabase episode upsert failed: ${describeError(error)}`);
+    }
+  }
+
+  async upsertLatestEpisode(payload) {
+    const { error } = await this.client
+      .from("latest_episodes")
+      .upsert(payload, { onConflict: "series_slug,season,episode" })
+      .select();
+
+    if (error) {
+      throw new Error(`Supabase latest upsert failed: ${error.message}`);
+    }
+  }
+
+  // type: "movie", "episode" (rows from before movies had no content_type) or null for both
+  async listLatestEpisodes(limit, offset = 0, type = null) {
+    let request = this.client.from("latest_episodes").select("*");
+    if (type === "movie") request = request.eq("content_type", "movie");
+    if (type === "episode") request = request.or("content_type.is.null,content_type.eq.episode");
+    const { data, error } = await request
+      .order("added_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error(`Supabase latest list failed: ${error.message}`);
+    return data || [];
+  }
+
+  async upsertMovie(payload) {
+    const { error } = await this.client
+      .from("movies")
+      .upsert(payload, { onConflict: "slug" })
+      .select();
+
+    if (error) {
+      throw new Error(`Supabase movie upsert failed: ${describeError(error)}`);
+    }
+  }
+
+  async getMovie(slug) {
+    const { data, error } = await this.client
+      .from("movies")
+      .select("*")
+      .eq("slug", slug)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase movie lookup failed: ${error.message}`);
+    }
+    return data || null;
+  }
+
+  async getState(key) {
+    const { data, error } = await this.client
+      .from("sync_state")
+      .select("value")
+      .eq("key", key)
+      .maybeSingle();
+
+    if (error) throw new Error(`Supabase state lookup failed: ${error.message}`);
+    return data?.value ?? null;
+  }
+
+  async setState(key, value) {
+    const { error } = await this.client
+      .from("sync_state")
+      .upsert(
+        { key, value, updated_at: new Date().toISOString() },
+        { onConflict: "key" },
+      );
+
+    if (error) throw new Error(`Supabase state save failed: ${error.message}`);
+  }
+
+  async getJob(id) {
+    const { data, error } = await this.client
+      .from("sync_jobs")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw new Error(`Supabase job lookup failed: ${error.message}`);
+    return data || null;
+  }
+
+  async upsertJob(job) {
+    const { error } = await this.client
+      .from("sync_jobs")
+      .upsert({ ...job, updated_at: new Date().toISOString() }, { onConflict: "id" });
+
+    if (error) {
+      throw new Error(`Supabase job upsert failed: ${describeError(error)}`);
+    }
+  }
+
+  // Oldest run_at first, so the queue is FIFO among due jobs
+  async listJobs({ status = null, dueBefore = null, limit = 50, offset = 0 } = {}) {
+    let request = this.client.from("sync_jobs").select("*");
+    if (status) request = request.eq("status", status);
+    if (dueBefore) request = request.lte("run_at", dueBefore);
+    const { data, error } = await request
+      .order("run_at", { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error(`Supabase job list failed: ${error.message}`);
+    return data || [];
+  }
+
+  async countJobsByStatus() {
+    const counts = {};
+    for (const status of ["pending", "running", "done", "dead"]) {
+      const { count, error } = await this.client
+        .from("sync_jobs")
+        .select("id", { count: "exact", head: true })
+        .eq("status", status);
+      if (error) throw new Error(`Supabase job count failed: ${error.message}`);
+      counts[status] = count || 0;
+    }
+    return counts;
+  }
+
+  async deleteJobs({ status, finishedBefore }) {
+    const { data, error } = await this.client
+      .from("sync_jobs")
+      .delete()
+      .eq("status", status)
+      .lt("finished_at", finishedBefore)
+      .select("id");
+
+    if (error) throw new Error(`Supabase job cleanup failed: ${error.message}`);
+    return data?.length || 0;
+  }
+
+  async getRun(id) {
+    const { data, error } = await this.client
+      .from("sync_runs")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw new Error(`Supabase run lookup failed: ${error.message}`);
+    return data || null;
+  }
+
+  async upsertRun(run) {
+    const { error } = await this.client
+      .from("sync_runs")
+      .upsert({ ...run, updated_at: new Date().toISOString() }, { onConflict: "id" });
+
+    if (error) {
+      throw new Error(`Supabase run upsert failed: ${describeError(error)}`);
+    }
+  }
+
+  // Newest first; summary leaves out the per-episode list
+  async listRuns({ kind = null, status = null, limit = 20, offset = 0, summary = false } = {}) {
+    let request = this.client.from("sync_runs").select(summary ? RUN_SUMMARY_COLUMNS : "*");
+    if (kind) request = request.eq("kind", kind);
+    if (status) request = request.eq("status", status);
+    const { data, error } = await request
+      .order("started_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error(`Supabase run list failed: ${error.message}`);
+    return data || [];
+  }
+
+  async deleteRuns({ finishedBefore }) {
+    const { data, error } = await this.client
+      .from("sync_runs")
+      .delete()
+      .lt("finished_at", finishedBefore)
+      .select("id");
+
+    if (error) throw new Error(`Supabase run cleanup failed: ${error.message}`);
+    return data?.length || 0;
+  }
+}
+
+export default SupabaseStorage;
@@ -1,65 +1,63 @@
 import express from "express";
 import cron from "node-cron";
-import { start as runSyncScript } from "./toonstream-supabase-sync.js";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  start as runSyncScript,
+  checkLinks,
+  storage,
+  queue,
+  proxyManager,
+  metrics,
+  runHistory,
+  events,
+  getFetchStats,
+  listIncompleteEpisodes,
+  resync,
+  parseToonstreamUrl,
+  getActiveRun,
+} from "./toonstream-supabase-sync.js";
+import { JOB_STATUSES } from "./job-queue.js";
+import { RUN_STATUSES } from "./run-history.js";
+import { createPublicApi } from "./public-api.js";
+import { requireAdmin, adminAuthFromEnv, isAdminAuthConfigured } from "./admin-auth.js";
+import { createRateLimiter } from "./rate-limit.js";
+import { logger, LOG_LEVELS, matchesLogFilter } from "./logger.js";
+import { logFileStoreFromEnv, parseLogCursor } from "./log-store.js";
+import { EVENT_TYPES, formatSseEvent } from "./event-bus.js";
+import { nextCronRun } from "./cron-schedule.js";
 
 const app = express();
 const PORT = process.env.PORT || 8000;
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "public");
 
-const logs = [];
-const MAX_LOG_AGE_MS = 20 * 60 * 1000;
-const MAX_LOGS = 5000;
+// Koyeb terminates TLS in front of us, so the client IP comes from X-Forwarded-For
+const trustProxy = process.env.TRUST_PROXY ?? "1";
+app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 
-const originalConsoleLog = console.log.bind(console);
-const originalConsoleError = console.error.bind(console);
-const originalConsoleWarn = console.warn.bind(console);
+const adminAuth = adminAuthFromEnv();
+const requireAdminAuth = requireAdmin(adminAuth);
+const adminRateLimit = createRateLimiter({
+  name: "admin",
+  max: Number(process.env.ADMIN_RATE_LIMIT || 30),
+});
+const apiRateLimit = createRateLimiter({
+  name: "api",
+  max: Number(process.env.API_RATE_LIMIT || 120),
+});
+const admin = [adminRateLimit, requireAdminAuth];
 
-function cleanupOldLogs() {
-  const now = Date.now();
-  while (logs.length > 0 && new Date(logs[0].timestamp).getTime() < now - MAX_LOG_AGE_MS) {
-    logs.shift();
-  }
-  while (logs.length > MAX_LOGS) {
-    logs.shift();
-  }
-}
+logger.installConsole();
 
-function captureLog(type, args) {
-  const message = args.map(arg => {
-    if (typeof arg === 'object') {
-      try {
-        return JSON.stringify(arg, null, 2);
-      } catch {
-        return String(arg);
-      }
-    }
-    return String(arg);
-  }).join(' ');
-  
-  if (!message.trim()) return;
-  
-  logs.push({
-    timestamp: new Date().toISOString(),
-    type,
-    message: message.trim(),
-  });
-  
-  cleanupOldLogs();
-}
+// Older logs (and the ones from before a restart) are paged from the log files
+const logFiles = logFileStoreFromEnv();
+if (logFiles) logger.addSink((entry) => logFiles.append(entry));
+logger.addSink((entry) => events.publish("log", entry));
 
-console.log = (...args) => {
-  captureLog('log', args);
-  originalConsoleLog(...args);
-};
+const SSE_HEARTBEAT_MS = 25_000;
 
-console.error = (...args) => {
-  captureLog('error', args);
-  originalConsoleError(...args);
-};
-
-console.warn = (...args) => {
-  captureLog('warn', args);
-  originalConsoleWarn(...args);
-};
+app.use("/api", apiRateLimit, createPublicApi({ storage }));
+app.use(express.json({ limit: "10kb" }));
 
 let syncStatus = {
   isRunning: false,
@@ -71,6 +69,18 @@ let syncStatus = {
   nextRunTime: null,
 };
 
+let linkCheckStatus = {
+  isRunning: false,
+  lastRunTime: null,
+  lastResult: null,
+  nextRunTime: null,
+};
+
+// The page itself holds no data; everything it shows comes from the admin endpoints
+app.get("/dashboard", (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "dashboard.html"));
+});
+
 app.get("/", (req, res) => {
   res.json({
     status: "alive",
@@ -80,41 +90,138 @@ app.get("/", (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       "/": "Health check",
-      "/sync": "Manual sync trigger",
-      "/status": "Detailed status",
-      "/list": "View last 20 minutes logs (all console output)",
+      "/sync": "Manual sync trigger (POST, admin)",
+      "/sync/series/:slug": "Resync one series, or POST /sync/series with { url } (admin)",
+      "/sync/episode/:slug/:season/:episode": "Resync one episode, or POST /sync/episode with { url } (admin)",
+      "/check-links": "Probe stored servers and resync dead episodes (POST, admin)",
+      "/status": "Detailed status: fetch, proxy, mirror and log internals (admin)",
+      "/list": "Logs with filters, paged back through the log files (admin)",
+      "/events": "Live logs, stage transitions and episode progress (Server-Sent Events, admin)",
+      "/dashboard": "Web admin dashboard (asks for the admin token)",
+      "/jobs": "Sync job queue: counts, pending and dead jobs (admin)",
+      "/runs": "Sync run history: totals, stage timings and errors per run (admin)",
+      "/proxies": "Per-proxy health, check history and revalidation runs (admin)",
+      "/metrics": "Prometheus metrics (admin)",
+      "/api": "Read-only catalog API (series, seasons, episodes, latest)",
     },
   });
 });
 
-app.get("/list", (req, res) => {
+// ?level=warn (that level and above), ?run=<run id>, ?series=<slug>,
+// ?episode=<slug::1x5>, ?q=<text>; newest first, ?limit per page and
+// ?cursor=<nextCursor> for the page before it (from the log files)
+app.get("/list", admin, async (req, res) => {
   const now = Date.now();
-  const cutoff = now - MAX_LOG_AGE_MS;
-  
-  const recentLogs = logs.filter(log => new Date(log.timestamp).getTime() >= cutoff);
-  
+  const cutoff = now - logger.maxAgeMs;
+  const level = req.query.level ? String(req.query.level).toLowerCase() : null;
+  if (level && !LOG_LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of ${LOG_LEVELS.join(", ")}` });
+  }
+  const cursor = req.query.cursor ? String(req.query.cursor) : null;
+  if (cursor && (!logFiles || !parseLogCursor(cursor))) {
+    return res.status(400).json({ error: logFiles ? "Invalid cursor" : "Log files are disabled (LOG_DIR=off)" });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 1000, 1), 5000);
+
+  const recentLogs = logger.recent();
+  const filter = {
+    level,
+    run: req.query.run || null,
+    series: req.query.series || null,
+    episode: req.query.episode || null,
+    q: req.query.q || null,
+  };
+
+  let page;
+  if (logFiles) {
+    try {
+      page = await logFiles.read({ filter, cursor, limit });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  } else {
+    const matched = recentLogs.filter((entry) => matchesLogFilter(entry, filter)).reverse();
+    page = { entries: matched.slice(0, limit), nextCursor: null };
+  }
+
+  // Counts cover the in-memory window (last 20 minutes), logs the requested page
   const summary = {
     total: recentLogs.length,
-    errors: recentLogs.filter(l => l.type === 'error').length,
-    warnings: recentLogs.filter(l => l.type === 'warn').length,
-    logs: recentLogs.filter(l => l.type === 'log').length,
+    matched: page.entries.length,
+    errors: recentLogs.filter(l => l.level === 'error').length,
+    warnings: recentLogs.filter(l => l.level === 'warn').length,
+    logs: recentLogs.filter(l => l.level === 'info').length,
+    debug: recentLogs.filter(l => l.level === 'debug').length,
   };
-  
+
   res.json({
     status: "ok",
+    source: logFiles ? "files" : "memory",
     timeRange: {
       from: new Date(cutoff).toISOString(),
       to: new Date(now).toISOString(),
-      durationMinutes: 20,
+      durationMinutes: Math.round(logger.maxAgeMs / 60000),
     },
+    filter,
     summary,
     syncStatus,
-    logs: recentLogs.slice().reverse(),
+    logs: page.entries,
+    nextCursor: page.nextCursor,
     timestamp: new Date().toISOString(),
   });
 });
 
-app.get("/sync", async (req, res) => {
+// Server-Sent Events: ?types=log,stage (default all), log lines narrowed with
+// the /list filters (?level, ?run, ?series, ?episode, ?q). A reconnect with
+// Last-Event-ID first gets the buffered events it missed.
+app.get("/events", admin, (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types).split(",").map((type) => type.trim()).filter(Boolean)
+    : EVENT_TYPES;
+  const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `types must be from ${EVENT_TYPES.join(", ")}` });
+  }
+  const level = req.query.level ? String(req.query.level).toLowerCase() : null;
+  if (level && !LOG_LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of ${LOG_LEVELS.join(", ")}` });
+  }
+  const logFilter = {
+    level,
+    run: req.query.run || null,
+    series: req.query.series || null,
+    episode: req.query.episode || null,
+    q: req.query.q || null,
+  };
+
+  const wanted = (event) =>
+    types.includes(event.type) && (event.type !== "log" || matchesLogFilter(event.data, logFilter));
+  const send = (event) => {
+    if (wanted(event)) res.write(formatSseEvent(event));
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Koyeb / nginx would otherwise buffer the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  const lastEventId = Number(req.get("Last-Event-ID") || req.query.lastEventId);
+  if (lastEventId > 0) events.since(lastEventId).forEach(send);
+
+  const unsubscribe = events.subscribe(send);
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+async function handleSyncTrigger(req, res) {
   if (syncStatus.isRunning) {
     return res.json({
       status: "already_running",
@@ -130,15 +237,252 @@ app.get("/sync", async (req, res) => {
   });
 
   runSync();
+}
+
+// Both start work, so they are POST only
+app.post("/sync", admin, handleSyncTrigger);
+
+app.post("/check-links", admin, async (req, res) => {
+  if (linkCheckStatus.isRunning) {
+    return res.json({
+      status: "already_running",
+      message: "Link check is already in progress",
+      linkCheckStatus,
+    });
+  }
+  const busy = busyWith();
+  if (busy) {
+    return res.status(409).json({
+      status: "busy",
+      message: `A ${busy} is in progress, try the link check after it`,
+      activeRun: getActiveRun(),
+    });
+  }
+
+  console.log("🩺 Manual link check triggered via /check-links endpoint");
+  res.json({
+    status: "triggered",
+    message: "Link check started manually",
+  });
+
+  runLinkCheck();
+});
+
+app.get("/jobs", admin, async (req, res, next) => {
+  try {
+    const status = JOB_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    res.json({
+      counts: await queue.stats(),
+      status: status || "all",
+      page,
+      limit,
+      jobs: await queue.list({ status, limit, offset: (page - 1) * limit }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Job ids contain urls, so clients pass them url-encoded
+app.get("/jobs/:id", admin, async (req, res, next) => {
+  try {
+    const job = await queue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(job);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/jobs/:id/retry", admin, async (req, res, next) => {
+  try {
+    const job = await queue.retry(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    console.log(`📬 Job ${job.id} re-queued via /jobs`);
+    res.json({ status: "queued", job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+function parseSeasonEpisode(params) {
+  const season = Number(params.season);
+  const episode = Number(params.episode);
+  if (!Number.isInteger(season) || !Number.isInteger(episode) || season < 1 || episode < 1) return null;
+  return { season, episode };
+}
+
+// Body: { type: "series", slug } or { type: "episode", slug, season, episode }
+app.post("/jobs", admin, async (req, res, next) => {
+  try {
+    const { type, slug } = req.body || {};
+    if (type !== "series" && type !== "episode") {
+      return res.status(400).json({ error: 'type must be "series" or "episode"' });
+    }
+    if (typeof slug !== "string" || !SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({ error: "slug must be a series slug like naruto-shippuden" });
+    }
+    let target = { type, slug: slug.toLowerCase() };
+    if (type === "episode") {
+      const code = parseSeasonEpisode(req.body);
+      if (!code) return res.status(400).json({ error: "season and episode must be positive integers" });
+      target = { ...target, ...code };
+    }
+    const { job } = await resync(target);
+    res.status(202).json({ status: "queued", job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const SYNC_WAIT_TIMEOUT_MS = Number(process.env.SYNC_WAIT_TIMEOUT_MS || 60_000);
+
+// Waits (up to SYNC_WAIT_TIMEOUT_MS) for the job and answers with its result;
+// ?wait=0, or a job still running at the timeout, answers 202 with the job
+async function sendResync(req, res, target) {
+  console.log(`📋 Manual ${target.type} resync of ${target.url || target.slug} triggered via ${req.path}`);
+  const waitMs = req.query.wait === "0" ? 0 : SYNC_WAIT_TIMEOUT_MS;
+  const outcome = await resync(target, { waitMs });
+  const code = outcome.status === "queued" ? 202 : outcome.status === "done" ? 200 : 502;
+  res.status(code).json({ jobId: outcome.job.id, ...outcome });
+}
+
+// A toonstream url (any mirror) from the body or ?url, or an error message
+function urlTarget(req, type) {
+  const url = req.body?.url ?? req.query.url;
+  if (typeof url !== "string" || !url) return { error: "url is required" };
+  const parsed = parseToonstreamUrl(url);
+  if (!parsed) return { error: "url must be a toonstream series or episode page" };
+  // An episode url on /sync/series resyncs the series it belongs to
+  if (type === "series") return { type, slug: parsed.slug.toLowerCase(), url: parsed.type === "series" ? url : undefined };
+  if (parsed.type !== "episode") return { error: "url must be a toonstream episode page" };
+  return parsed;
+}
+
+// A forced series resync refreshes every episode; force=false only fills in the missing ones
+function wantsForce(req) {
+  const force = req.body?.force ?? req.query.force;
+  return force !== false && force !== "false" && force !== "0";
+}
+
+app.post("/sync/series/:slug", admin, async (req, res, next) => {
+  try {
+    if (!SLUG_PATTERN.test(req.params.slug)) {
+      return res.status(400).json({ error: "slug must be a series slug like naruto-shippuden" });
+    }
+    await sendResync(req, res, { type: "series", slug: req.params.slug.toLowerCase(), force: wantsForce(req) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/sync/series", admin, async (req, res, next) => {
+  try {
+    const target = urlTarget(req, "series");
+    if (target.error) return res.status(400).json({ error: target.error });
+    await sendResync(req, res, { ...target, force: wantsForce(req) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/sync/episode/:slug/:season/:episode", admin, async (req, res, next) => {
+  try {
+    if (!SLUG_PATTERN.test(req.params.slug)) {
+      return res.status(400).json({ error: "slug must be a series slug like naruto-shippuden" });
+    }
+    const code = parseSeasonEpisode(req.params);
+    if (!code) return res.status(400).json({ error: "season and episode must be positive integers" });
+    await sendResync(req, res, { type: "episode", slug: req.params.slug.toLowerCase(), ...code });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/sync/episode", admin, async (req, res, next) => {
+  try {
+    const target = urlTarget(req, "episode");
+    if (target.error) return res.status(400).json({ error: target.error });
+    await sendResync(req, res, target);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Recent episodes with no (live) servers, thumbnail or poster
+app.get("/episodes/incomplete", admin, async (req, res, next) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const episodes = await listIncompleteEpisodes(limit);
+    res.json({ checked: limit, count: episodes.length, episodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Summaries (no per-episode list) newest first, for comparing runs over time
+app.get("/runs", admin, async (req, res, next) => {
+  try {
+    const kind = typeof req.query.kind === "string" && req.query.kind ? req.query.kind : null;
+    const status = RUN_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    res.json({
+      kind: kind || "all",
+      status: status || "all",
+      page,
+      limit,
+      runs: await runHistory.list({ kind, status, limit, offset: (page - 1) * limit, summary: true }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/runs/:id", admin, async (req, res, next) => {
+  try {
+    const run = await runHistory.get(req.params.id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    res.json(run);
+  } catch (err) {
+    next(err);
+  }
 });
 
-app.get("/status", (req, res) => {
+app.get("/proxies", admin, (req, res) => {
+  res.json({
+    ...proxyManager.getStats({ history: true }),
+    revalidateIntervalMs: proxyManager.revalidateTimer ? proxyManager.revalidateIntervalMs : null,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Prometheus scrapes this with the admin token as a bearer credential
+app.get("/metrics", admin, async (req, res, next) => {
+  try {
+    res.set("Content-Type", metrics.contentType);
+    res.send(await metrics.render());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Limiter, mirror, cookie and log internals: admin only, "/" stays the public health check
+app.get("/status", admin, (req, res) => {
   res.json({
     syncStatus,
+    linkCheckStatus,
+    fetch: getFetchStats(),
     proxyEnabled: process.env.USE_PROXY === "true",
     pollInterval: process.env.POLL_INTERVAL_MS || "600000",
     syncIntervalMinutes: 10,
-    logsCount: logs.length,
+    logsCount: logger.size,
+    logFiles: logFiles?.getStats() || null,
+    eventSubscribers: events.subscribers,
     timestamp: new Date().toISOString(),
   });
 });
@@ -176,19 +520,66 @@ async function runSync() {
   }
 }
 
+// The link check's writes would race another run's episode jobs, and its
+// resyncs would land in that run's drain
+function busyWith() {
+  if (syncStatus.isRunning) return "sync";
+  if (getActiveRun()) return getActiveRun().kind;
+  if (queue.draining) return "queue drain";
+  return null;
+}
+
+async function runLinkCheck() {
+  if (linkCheckStatus.isRunning) {
+    console.warn("⏭️ Link check already running, skipping...");
+    return;
+  }
+  const busy = busyWith();
+  if (busy) {
+    console.warn(`⏭️ ${busy} running, skipping link check...`);
+    return;
+  }
+
+  linkCheckStatus.isRunning = true;
+  linkCheckStatus.lastRunTime = new Date().toISOString();
+
+  try {
+    linkCheckStatus.lastResult = await checkLinks();
+  } catch (error) {
+    linkCheckStatus.lastResult = { error: error.message };
+    console.error(`\n❌ Link check failed: ${error.message}\n`);
+  } finally {
+    linkCheckStatus.isRunning = false;
+  }
+}
+
 const cronExpression = process.env.CRON_SCHEDULE || "*/10 * * * *";
 cron.schedule(cronExpression, () => {
   console.log("\n⏰ Scheduled sync triggered by cron");
   runSync();
 });
 
+const linkCheckCron = process.env.LINK_CHECK_SCHEDULE || "0 */6 * * *";
+cron.schedule(linkCheckCron, () => {
+  console.log("\n⏰ Scheduled link check triggered by cron");
+  runLinkCheck();
+});
+
+function nextRunOf(expression) {
+  try {
+    return nextCronRun(expression)?.toISOString() || null;
+  } catch {
+    return null;
+  }
+}
+
 function updateNextRunTime() {
-  const now = new Date();
-  const next = new Date(now.getTime() + 600000);
-  syncStatus.nextRunTime = next.toISOString();
+  syncStatus.nextRunTime = nextRunOf(cronExpression);
+  linkCheckStatus.nextRunTime = nextRunOf(linkCheckCron);
 }
 
-setInterval(updateNextRunTime, 600000);
+// Re-read every minute so it moves on once a run has fired
+setInterval(updateNextRunTime, 60_000).unref();
 updateNextRunTime();
 
 app.listen(PORT, "0.0.0.0", () => {
@@ -197,13 +588,24 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`${"=".repeat(60)}`);
   console.log(`📡 Server running on port ${PORT}`);
   console.log(`⏰ Sync schedule: ${cronExpression}`);
+  console.log(`🩺 Link check schedule: ${linkCheckCron}`);
   console.log(`🔐 Proxy enabled: ${process.env.USE_PROXY === "true" ? "Yes" : "No"}`);
+  if (!isAdminAuthConfigured(adminAuth)) {
+    console.warn(`🔒 ADMIN_TOKEN / ADMIN_HMAC_SECRET not set - admin endpoints are disabled`);
+  }
   console.log(`🌐 Health check: http://localhost:${PORT}/`);
   console.log(`📊 Status: http://localhost:${PORT}/status`);
-  console.log(`📋 Logs (last 20 min): http://localhost:${PORT}/list`);
+  console.log(`📋 Logs: http://localhost:${PORT}/list${logFiles ? ` (files in ${logFiles.dir}/)` : " (last 20 min)"}`);
   console.log(`🔄 Manual trigger: http://localhost:${PORT}/sync`);
+  console.log(`🖥️  Dashboard: http://localhost:${PORT}/dashboard`);
   console.log(`${"=".repeat(60)}\n`);
 
+  // Proxies are loaded once for the server's lifetime and re-tested in the background
+  proxyManager
+    .initialize()
+    .then(() => proxyManager.startRevalidation())
+    .catch((err) => console.error(`❌ Proxy setup failed: ${err.message}`));
+
   console.log("🎬 Running initial sync...\n");
   runSync();
 });
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { verifyAdminRequest, signAdminRequest } from "../admin-auth.js";
+
+const config = { token: "s3cret-admin-token", hmacSecret: "hmac-shared-secret" };
+
+test("verifyAdminRequest accepts the bearer token only", async () => {
+  const ok = await verifyAdminRequest({ method: "POST", path: "/sync", authorization: "Bearer s3cret-admin-token" }, config);
+  assert.deepEqual(ok, { ok: true });
+
+  const wrong = await verifyAdminRequest({ method: "POST", path: "/sync", authorization: "Bearer s3cret-admin-tokeN" }, config);
+  assert.equal(wrong.status, 401);
+  const missing = await verifyAdminRequest({ method: "POST", path: "/sync" }, config);
+  assert.equal(missing.status, 401);
+});
+
+test("verifyAdminRequest checks HMAC signatures and their age", async () => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = await signAdminRequest(config.hmacSecret, { timestamp, method: "get", path: "/list?type=error" });
+
+  const ok = await verifyAdminRequest({ method: "GET", path: "/list?type=error", timestamp, signature }, config);
+  assert.equal(ok.ok, true);
+
+  const otherPath = await verifyAdminRequest({ method: "GET", path: "/list", timestamp, signature }, config);
+  assert.equal(otherPath.ok, false);
+
+  const old = String(Number(timestamp) - 3600);
+  const oldSignature = await signAdminRequest(config.hmacSecret, { timestamp: old, method: "GET", path: "/list" });
+  const expired = await verifyAdminRequest({ method: "GET", path: "/list", timestamp: old, signature: oldSignature }, config);
+  assert.deepEqual(expired, { ok: false, status: 401, error: "Signature expired" });
+});
+
+test("verifyAdminRequest refuses everything when no secret is configured", async () => {
+  const result = await verifyAdminRequest({ method: "POST", path: "/sync", authorization: "Bearer " }, {});
+  assert.equal(result.status, 503);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nextCronRun, parseCronExpression } from "../cron-schedule.js";
+
+// Local time, like node-cron
+const at = (y, mo, d, h, mi, s = 0) => new Date(y, mo - 1, d, h, mi, s);
+
+test("finds the next run for the default sync and link check schedules", () => {
+  const from = at(2024, 1, 1, 10, 7, 30);
+  assert.deepEqual(nextCronRun("*/10 * * * *", from), at(2024, 1, 1, 10, 10));
+  assert.deepEqual(nextCronRun("0 */6 * * *", from), at(2024, 1, 1, 12, 0));
+  // Strictly after: a run due right now is the one after it
+  assert.deepEqual(nextCronRun("*/10 * * * *", at(2024, 1, 1, 10, 10)), at(2024, 1, 1, 10, 20));
+});
+
+test("handles names, seconds, ranges and node-cron style steps", () => {
+  const from = at(2024, 1, 1, 10, 7, 30); // a Monday
+  assert.deepEqual(nextCronRun("30 9 * * mon", from), at(2024, 1, 8, 9, 30));
+  assert.deepEqual(nextCronRun("0 0 1 jan *", from), at(2025, 1, 1, 0, 0));
+  assert.deepEqual(nextCronRun("*/20 * * * * *", from), at(2024, 1, 1, 10, 7, 40));
+  assert.deepEqual(nextCronRun("0 9-17 * * 1-5", at(2024, 1, 5, 18, 0)), at(2024, 1, 8, 9, 0));
+  // Steps keep multiples of the step inside the range, as node-cron does
+  assert.deepEqual([...parseCronExpression("5-40/10 * * * *").minutes], [10, 20, 30, 40]);
+  assert.deepEqual([...parseCronExpression("0 0 * * 7").weekDays], [0]);
+});
+
+test("returns null for dates that never come and throws on bad expressions", () => {
+  assert.equal(nextCronRun("0 0 31 2 *", at(2024, 1, 1, 0, 0)), null);
+  assert.throws(() => parseCronExpression("* * *"), /5 or 6 fields/);
+  assert.throws(() => parseCronExpression("61 * * * *"), /Invalid field/);
+  assert.throws(() => parseCronExpression("0 0 * * funday"), /Unknown name/);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus, { formatSseEvent } from "../event-bus.js";
+
+test("delivers events to subscribers until they unsubscribe", () => {
+  const bus = new EventBus();
+  const seen = [];
+  const unsubscribe = bus.subscribe((event) => seen.push(`${event.id}:${event.type}`));
+  bus.subscribe(() => {
+    throw new Error("broken client");
+  });
+
+  bus.publish("stage", { stage: "poll_homepage", status: "running" });
+  unsubscribe();
+  bus.publish("stage", { stage: "poll_homepage", status: "success" });
+
+  assert.deepEqual(seen, ["1:stage"]);
+  assert.equal(bus.subscribers, 1);
+});
+
+test("keeps the last events for reconnecting clients", () => {
+  const bus = new EventBus({ bufferSize: 3 });
+  for (let i = 1; i <= 5; i++) bus.publish("episode", { n: i });
+
+  assert.deepEqual(bus.since(0).map((event) => event.id), [3, 4, 5]);
+  assert.deepEqual(bus.since(4).map((event) => event.data.n), [5]);
+});
+
+test("formats one SSE message with a single JSON data line", () => {
+  const bus = new EventBus();
+  const event = bus.publish("log", { level: "warn", message: "line one\nline two" });
+  const text = formatSseEvent(event);
+
+  assert.match(text, /^id: 1\nevent: log\ndata: \{.*\}\n\n$/);
+  const data = JSON.parse(text.split("\n")[2].slice("data: ".length));
+  assert.equal(data.message, "line one\nline two");
+  assert.equal(data.time, event.time);
+});
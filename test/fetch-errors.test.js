@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FetchError,
+  NotFoundError,
+  RateLimitedError,
+  BlockedError,
+  ChallengeError,
+  TimeoutError,
+  detectBlockPage,
+  errorFromResponse,
+  isChallengePage,
+  parseRetryAfter,
+  toFetchError,
+} from "../fetch-errors.js";
+
+const URL = "https://toonstream.one/episode/spy-x-family-1x1/";
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  assert.equal(parseRetryAfter("120", now), 120_000);
+  assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:00:30 GMT", now), 30_000);
+  assert.equal(parseRetryAfter("soon", now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test("errorFromResponse maps statuses to typed errors", () => {
+  assert.equal(errorFromResponse(URL, { status: 200, body: "<html>ok</html>" }), null);
+
+  const gone = errorFromResponse(URL, { status: 410 });
+  assert.ok(gone instanceof NotFoundError);
+  assert.ok(gone instanceof FetchError);
+  assert.equal(gone.status, 410);
+  assert.match(gone.message, /Failed to fetch .*spy-x-family-1x1.*HTTP 410/);
+
+  const limited = errorFromResponse(URL, { status: 429, headers: { "retry-after": "7" } });
+  assert.ok(limited instanceof RateLimitedError);
+  assert.equal(limited.retryAfterMs, 7000);
+  assert.ok(errorFromResponse(URL, { status: 503 }) instanceof RateLimitedError);
+
+  const blocked = errorFromResponse(URL, { status: 403 });
+  assert.ok(blocked instanceof BlockedError);
+  assert.equal(blocked.challenge, false);
+
+  const other = errorFromResponse(URL, { status: 500 });
+  assert.equal(other.constructor, FetchError);
+});
+
+test("Cloudflare challenge pages are blocked errors even with a 200", () => {
+  const page = "<html><head><title>Just a moment...</title></head><body><script src=\"/cdn-cgi/challenge-platform/x\"></script></body></html>";
+  assert.ok(isChallengePage(page));
+  assert.ok(isChallengePage("", new Headers({ "cf-mitigated": "challenge" })));
+  assert.ok(!isChallengePage("<title>Spy x Family</title>"));
+
+  const err = errorFromResponse(URL, { status: 200, body: page });
+  assert.ok(err instanceof ChallengeError);
+  assert.ok(err instanceof BlockedError);
+  assert.equal(err.challenge, true);
+  assert.equal(err.kind, "challenge");
+});
+
+test("detectBlockPage tells captcha and block pages from normal pages", () => {
+  const captcha = "<html><head><title>Security check</title></head><body><div class=\"cf-turnstile\"></div></body></html>";
+  const commentForm = "<html><head><title>Spy x Family 1x1</title></head><body><div class=\"g-recaptcha\"></div></body></html>";
+  const cfProxied = "<html><head><title>Toonstream</title></head><body><script src=\"/cdn-cgi/challenge-platform/scripts/jsd/main.js\"></script></body></html>";
+  const blockPage = "<html><head><title>Attention Required! | Cloudflare</title></head><body>Sorry, you have been blocked</body></html>";
+
+  assert.equal(detectBlockPage(captcha), "captcha");
+  assert.equal(detectBlockPage(commentForm), null);
+  assert.equal(detectBlockPage(cfProxied), null);
+  assert.equal(detectBlockPage(blockPage), "blocked");
+
+  assert.equal(errorFromResponse(URL, { status: 200, body: captcha }).kind, "captcha");
+  // A block page is only an error when the status says so
+  assert.equal(errorFromResponse(URL, { status: 200, body: blockPage }), null);
+  const blocked = errorFromResponse(URL, { status: 503, body: blockPage });
+  assert.equal(blocked.constructor, BlockedError);
+});
+
+test("toFetchError normalizes axios and fetch failures", () => {
+  const axios404 = Object.assign(new Error("Request failed with status code 404"), {
+    response: { status: 404, headers: {}, data: "" },
+  });
+  assert.ok(toFetchError(axios404, URL) instanceof NotFoundError);
+
+  const axiosTimeout = Object.assign(new Error("timeout of 30000ms exceeded"), { code: "ECONNABORTED" });
+  assert.ok(toFetchError(axiosTimeout, URL) instanceof TimeoutError);
+
+  const abort = new DOMException("The operation timed out", "TimeoutError");
+  assert.ok(toFetchError(abort, URL) instanceof TimeoutError);
+
+  const refused = Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNREFUSED" } });
+  const typed = toFetchError(refused, URL);
+  assert.equal(typed.constructor, FetchError);
+  assert.equal(typed.code, "ECONNREFUSED");
+
+  assert.equal(toFetchError(typed, URL), typed);
+});
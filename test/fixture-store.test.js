@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs";
+import { createFileFixtureStore, makeFixtureKey, stripSecrets, FixtureMissError } from "../fixture-store.js";
+
+function fixtureDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const TMDB_URL = "https://api.themoviedb.org/3/search/tv?query=naruto&api_key=SECRET1&apikey=SECRET2&token=SECRET3";
+
+test("secrets are stripped from the key and never change it", () => {
+  assert.equal(stripSecrets(TMDB_URL), "https://api.themoviedb.org/3/search/tv?query=naruto");
+  const key = makeFixtureKey({ url: TMDB_URL });
+  assert.ok(!/SECRET/.test(key));
+  // Same request with another key (or none) replays the same fixture
+  assert.equal(key, makeFixtureKey({ url: "https://api.themoviedb.org/3/search/tv?query=naruto&api_key=other" }));
+  assert.notEqual(key, makeFixtureKey({ method: "POST", url: TMDB_URL, body: "a=1" }));
+});
+
+test("recorded responses replay with the same body and status, without secrets on disk", async (t) => {
+  const dir = fixtureDir(t);
+  const upstream = async () =>
+    new Response('{"results":[]}', { status: 404, headers: { "content-type": "application/json" } });
+
+  const recorder = createFileFixtureStore({ FIXTURE_MODE: "record", FIXTURE_DIR: dir });
+  const recorded = await recorder.wrapFetch(upstream)(TMDB_URL);
+  assert.equal(recorded.status, 404);
+  assert.equal(await recorded.text(), '{"results":[]}');
+
+  const files = fs.readdirSync(dir);
+  assert.equal(files.length, 1);
+  const saved = fs.readFileSync(path.join(dir, files[0]), "utf8");
+  assert.ok(!saved.includes("SECRET"));
+  assert.equal(JSON.parse(saved).request.url, "https://api.themoviedb.org/3/search/tv?query=naruto");
+
+  const replayer = createFileFixtureStore({ FIXTURE_MODE: "replay", FIXTURE_DIR: dir });
+  const replayFetch = replayer.wrapFetch(() => {
+    throw new Error("replay must not hit the network");
+  });
+  const replayed = await replayFetch(TMDB_URL);
+  assert.equal(replayed.status, 404);
+  assert.equal(replayed.headers.get("content-type"), "application/json");
+  assert.equal(await replayed.text(), '{"results":[]}');
+});
+
+test("a replay miss fails with the request it was looking for", async (t) => {
+  const replayer = createFileFixtureStore({ FIXTURE_MODE: "replay", FIXTURE_DIR: fixtureDir(t) });
+  const replayFetch = replayer.wrapFetch(() => {
+    throw new Error("replay must not hit the network");
+  });
+
+  await assert.rejects(
+    () => replayFetch(TMDB_URL, { method: "post" }),
+    (err) =>
+      err instanceof FixtureMissError &&
+      err.message === "No fixture recorded for POST https://api.themoviedb.org/3/search/tv?query=naruto",
+  );
+});
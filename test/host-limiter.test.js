@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHostLimiter, hostOf } from "../host-limiter.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("hostOf handles strings, Request-like objects and junk", () => {
+  assert.equal(hostOf("https://toonstream.one/episode/x/"), "toonstream.one");
+  assert.equal(hostOf({ url: "http://127.0.0.1:8080/a" }), "127.0.0.1:8080");
+  assert.equal(hostOf("not a url"), "");
+});
+
+test("caps in-flight requests per host but not across hosts", async () => {
+  const limiter = createHostLimiter({ maxConcurrent: 2 });
+  const active = {};
+  const peak = {};
+  const job = (host) =>
+    limiter.schedule(`https://${host}/x`, async () => {
+      active[host] = (active[host] || 0) + 1;
+      peak[host] = Math.max(peak[host] || 0, active[host]);
+      await sleep(20);
+      active[host]--;
+      return host;
+    });
+
+  const results = await Promise.all([
+    ...Array.from({ length: 5 }, () => job("a.test")),
+    ...Array.from({ length: 3 }, () => job("b.test")),
+  ]);
+  assert.equal(results.length, 8);
+  assert.deepEqual(peak, { "a.test": 2, "b.test": 2 });
+});
+
+test("spaces request starts with per-host overrides", async () => {
+  const limiter = createHostLimiter({
+    maxConcurrent: 5,
+    minIntervalMs: 0,
+    hosts: { "slow.test": { minIntervalMs: 40 } },
+  });
+  const starts = [];
+  const t0 = Date.now();
+  await Promise.all(
+    [1, 2, 3].map(() => limiter.schedule("https://slow.test/", () => starts.push(Date.now() - t0))),
+  );
+  assert.ok(starts[1] - starts[0] >= 35, `gap ${starts[1] - starts[0]}`);
+  assert.ok(starts[2] - starts[1] >= 35, `gap ${starts[2] - starts[1]}`);
+});
+
+test("a failing request rejects its caller and frees the slot", async () => {
+  const limiter = createHostLimiter({ maxConcurrent: 1 });
+  const failed = limiter.schedule("https://a.test/", async () => {
+    throw new Error("boom");
+  });
+  const next = limiter.schedule("https://a.test/", async () => "ok");
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, "ok");
+  const { active, queued } = limiter.getStats()["a.test"];
+  assert.deepEqual({ active, queued }, { active: 0, queued: 0 });
+});
+
+test("penalize pauses the host for Retry-After and doubles the interval, reward recovers it", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const limiter = createHostLimiter({ maxConcurrent: 5, minIntervalMs: 0 });
+  await limiter.schedule("https://a.test/", () => {});
+
+  limiter.penalize("https://a.test/", 60);
+  let stats = limiter.getStats()["a.test"];
+  assert.equal(stats.intervalMs, 500);
+  assert.equal(stats.penalties, 1);
+  assert.ok(stats.pausedUntil);
+
+  const t0 = Date.now();
+  await limiter.schedule("https://a.test/", () => {});
+  assert.ok(Date.now() - t0 >= 55, `waited ${Date.now() - t0}ms`);
+
+  // Other hosts are untouched by the pause
+  const t1 = Date.now();
+  await limiter.schedule("https://b.test/", () => {});
+  assert.ok(Date.now() - t1 < 50);
+
+  for (let i = 0; i < 100; i++) limiter.reward("https://a.test/");
+  stats = limiter.getStats()["a.test"];
+  assert.equal(stats.intervalMs, 0);
+});
+
+test("burst allows a few back-to-back requests before the bucket meters them", async () => {
+  const limiter = createHostLimiter({ maxConcurrent: 5, minIntervalMs: 40, burst: 2 });
+  const starts = [];
+  const t0 = Date.now();
+  await Promise.all(
+    [1, 2, 3].map(() => limiter.schedule("https://c.test/", () => starts.push(Date.now() - t0))),
+  );
+  assert.ok(starts[1] < 20, `second start ${starts[1]}`);
+  assert.ok(starts[2] >= 35, `third start ${starts[2]}`);
+});
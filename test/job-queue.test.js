@@ -0,0 +1,197 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import JsonFileStorage from "../storage/json-file-storage.js";
+import JobQueue, { computeBackoff } from "../job-queue.js";
+
+let tmpDir;
+let storage;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-jobs-"));
+  storage = new JsonFileStorage({ filePath: path.join(tmpDir, "db.json") });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("drain runs jobs in order, including ones enqueued by handlers", async () => {
+  const ran = [];
+  const queue = new JobQueue({
+    storage,
+    handlers: {
+      series: async (payload) => {
+        ran.push(`series:${payload.slug}`);
+        await queue.enqueue("episode", `${payload.slug}-1x1`, { n: 1 });
+      },
+      episode: async (payload, job) => {
+        ran.push(job.id);
+      },
+    },
+  });
+
+  await queue.enqueue("episode", "naruto-1x1", {});
+  await queue.enqueue("series", "spy-x-family", { slug: "spy-x-family" });
+  const summary = await queue.drain();
+
+  assert.deepEqual(ran, ["episode:naruto-1x1", "series:spy-x-family", "episode:spy-x-family-1x1"]);
+  assert.deepEqual(summary, { done: 3, retry: 0, dead: 0 });
+  assert.deepEqual(await queue.stats(), { pending: 0, running: 0, done: 3, dead: 0 });
+});
+
+test("concurrency runs jobs in parallel without exceeding the pool size", async () => {
+  let active = 0;
+  let peak = 0;
+  const queue = new JobQueue({
+    storage,
+    concurrency: 3,
+    handlers: {
+      episode: async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        active--;
+      },
+    },
+  });
+
+  for (let i = 1; i <= 8; i++) {
+    await queue.enqueue("episode", `show-1x${i}`, {});
+  }
+  assert.deepEqual(await queue.drain(), { done: 8, retry: 0, dead: 0 });
+  assert.equal(peak, 3);
+});
+
+test("enqueue keeps a pending job and resets a finished one, or a pending one with replace", async () => {
+  const queue = new JobQueue({ storage, handlers: { episode: async () => {} } });
+  await queue.enqueue("episode", "a", { reason: "first" });
+  await queue.enqueue("episode", "a", { reason: "second" });
+  assert.equal((await queue.get("episode:a")).payload.reason, "first");
+
+  await queue.drain();
+  await queue.enqueue("episode", "a", { reason: "third" });
+  const job = await queue.get("episode:a");
+  assert.equal(job.status, "pending");
+  assert.equal(job.payload.reason, "third");
+
+  await queue.enqueue("episode", "a", { reason: "manual" }, { replace: true });
+  assert.equal((await queue.get("episode:a")).payload.reason, "manual");
+  await assert.rejects(() => queue.enqueue("nope", "x"), /Unknown job type/);
+});
+
+test("failed jobs back off and land in the dead letter after max attempts", async () => {
+  let calls = 0;
+  const queue = new JobQueue({
+    storage,
+    maxAttempts: 2,
+    backoffMs: 0,
+    handlers: {
+      episode: async () => {
+        calls++;
+        throw new Error("HTTP 503");
+      },
+    },
+  });
+
+  await queue.enqueue("episode", "broken", {});
+  assert.deepEqual(await queue.drain(), { done: 0, retry: 1, dead: 0 });
+  let job = await queue.get("episode:broken");
+  assert.equal(job.status, "pending");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.last_error, "HTTP 503");
+
+  assert.deepEqual(await queue.drain(), { done: 0, retry: 0, dead: 1 });
+  job = await queue.get("episode:broken");
+  assert.equal(job.status, "dead");
+  assert.equal(calls, 2);
+
+  const retried = await queue.retry("episode:broken");
+  assert.equal(retried.status, "pending");
+  assert.equal(retried.attempts, 0);
+});
+
+test("waitFor resolves with the handler result, the failure, or null on timeout", async () => {
+  const queue = new JobQueue({
+    storage,
+    maxAttempts: 1,
+    handlers: {
+      episode: async (payload) => {
+        if (payload.fail) throw new Error("HTTP 503");
+        return { servers: 3 };
+      },
+    },
+  });
+
+  await queue.enqueue("episode", "naruto-1x1", {});
+  await queue.enqueue("episode", "broken", { fail: true });
+  const done = queue.waitFor("episode:naruto-1x1", 1000);
+  const failed = queue.waitFor("episode:broken", 1000);
+  await queue.drain();
+
+  const outcome = await done;
+  assert.equal(outcome.job.status, "done");
+  assert.deepEqual(outcome.result, { servers: 3 });
+  assert.equal(outcome.error, null);
+  assert.equal((await failed).job.status, "dead");
+  assert.equal((await failed).error, "HTTP 503");
+
+  assert.equal(await queue.waitFor("episode:never-queued", 10), null);
+  assert.equal(queue.waiters.size, 0);
+});
+
+test("jobs retried with no backoff don't hide fresh ones from the drain", async () => {
+  const ran = [];
+  const queue = new JobQueue({
+    storage,
+    batchSize: 2,
+    backoffMs: 0,
+    handlers: {
+      series: async () => {
+        ran.push("series");
+        for (const key of ["c", "d", "e"]) await queue.enqueue("episode", key, {});
+      },
+      episode: async (payload, job) => {
+        ran.push(job.id);
+        if (payload.fail) throw new Error("HTTP 503");
+      },
+    },
+  });
+
+  // The failed jobs are due again at once, ahead of the episodes the series job queues after them
+  for (const [i, key] of ["a", "b", "x"].entries()) {
+    await queue.enqueue("episode", key, { fail: true }, { runAt: `2024-01-01T00:00:0${i}.000Z` });
+  }
+  await queue.enqueue("series", "s", {}, { runAt: "2024-01-01T00:00:05.000Z" });
+
+  assert.deepEqual(await queue.drain(), { done: 4, retry: 3, dead: 0 });
+  assert.deepEqual(ran.slice(-3), ["episode:c", "episode:d", "episode:e"]);
+});
+
+test("jobs interrupted mid-run are recovered from storage after a restart", async () => {
+  await storage.upsertJob({
+    id: "episode:x",
+    type: "episode",
+    payload: {},
+    status: "running",
+    attempts: 1,
+    max_attempts: 5,
+    run_at: new Date().toISOString(),
+  });
+
+  const restarted = new JsonFileStorage({ filePath: storage.filePath });
+  const ran = [];
+  const queue = new JobQueue({ storage: restarted, handlers: { episode: async (p, job) => ran.push(job.id) } });
+  assert.equal(await queue.recover(), 1);
+  await queue.drain();
+  assert.deepEqual(ran, ["episode:x"]);
+});
+
+test("computeBackoff doubles per attempt within jitter", () => {
+  for (const [attempt, base] of [[1, 60_000], [2, 120_000], [4, 480_000]]) {
+    const value = computeBackoff(attempt, 60_000);
+    assert.ok(value >= base * 0.8 && value <= base * 1.2, `${attempt}: ${value}`);
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs";
+import JsonFileStorage from "../storage/json-file-storage.js";
+
+function createStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "db.json");
+  return { storage: new JsonFileStorage({ filePath }), filePath };
+}
+
+test("rows survive a reload from the file", async (t) => {
+  const { storage, filePath } = createStorage(t);
+  await storage.upsertSeries({ slug: "naruto", title: "Naruto" });
+  await storage.upsertEpisode({ series_slug: "naruto", season: 1, episode: 2, title: "Ep 2" });
+  await storage.upsertEpisode({ series_slug: "naruto", season: 1, episode: 2, servers: [{ url: "x" }] });
+  await storage.setState("mirror", { origin: "https://toonstream.one" });
+
+  const reloaded = new JsonFileStorage({ filePath });
+  assert.equal((await reloaded.getSeries("naruto")).title, "Naruto");
+  const episode = await reloaded.getEpisode("naruto", 1, 2);
+  assert.equal(episode.title, "Ep 2");
+  assert.deepEqual(episode.servers, [{ url: "x" }]);
+  assert.deepEqual(await reloaded.getState("mirror"), { origin: "https://toonstream.one" });
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test("jobs move between statuses and finished ones are pruned", async (t) => {
+  const { storage } = createStorage(t);
+  const job = { id: "episode:a", type: "episode", status: "pending", run_at: "2024-01-01T00:00:00.000Z" };
+  await storage.upsertJob(job);
+  await storage.upsertJob({ ...job, id: "episode:b", run_at: "2024-01-02T00:00:00.000Z" });
+  assert.deepEqual(
+    (await storage.listJobs({ status: "pending", dueBefore: "2024-01-01T12:00:00.000Z" })).map((j) => j.id),
+    ["episode:a"],
+  );
+
+  await storage.upsertJob({ ...job, status: "running" });
+  await storage.upsertJob({ ...job, status: "done", finished_at: "2024-01-01T01:00:00.000Z" });
+  assert.deepEqual(await storage.countJobsByStatus(), { pending: 1, running: 0, done: 1, dead: 0 });
+
+  assert.equal(await storage.deleteJobs({ status: "done", finishedBefore: "2024-01-02T00:00:00.000Z" }), 1);
+  assert.equal(await storage.getJob("episode:a"), null);
+  assert.equal((await storage.getJob("episode:b")).status, "pending");
+});
+
+test("a failed write doesn't stop later writes", async (t) => {
+  const { storage, filePath } = createStorage(t);
+  const rename = fs.promises.rename;
+  t.mock.method(fs.promises, "rename", async () => {
+    throw Object.assign(new Error("ENOSPC: no space left on device"), { code: "ENOSPC" });
+  });
+  await assert.rejects(() => storage.setState("a", 1), /ENOSPC/);
+
+  fs.promises.rename.mock.mockImplementation(rename);
+  await storage.setState("b", 2);
+  const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  assert.equal(saved.sync_state.a.value, 1);
+  assert.equal(saved.sync_state.b.value, 2);
+});
+
+test("mutations made before a write starts share it", async (t) => {
+  const { storage, filePath } = createStorage(t);
+  const writes = t.mock.method(storage, "writeFile");
+  await Promise.all([1, 2, 3, 4].map((n) => storage.setState(`k${n}`, n)));
+
+  assert.equal(writes.mock.callCount(), 1);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, "utf8")).sync_state.k4.value, 4);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLinkChecker, allServersDead } from "../link-checker.js";
+import { NotFoundError, RateLimitedError } from "../fetch-errors.js";
+
+function fakeFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push(`${init.method} ${url}`);
+    const route = routes[`${init.method} ${url}`] ?? routes[url];
+    if (route instanceof Error) throw route;
+    if (!route) return new Response("", { status: 404 });
+    return new Response(route.body ?? "", { status: route.status ?? 200 });
+  };
+  return { fetchImpl, calls };
+}
+
+test("allServersDead needs every server to be dead", () => {
+  assert.equal(allServersDead([{ status: "dead" }, { status: "dead" }]), true);
+  assert.equal(allServersDead([{ status: "dead" }, { status: "unknown" }]), false);
+  assert.equal(allServersDead([{ url: "https://a" }]), false);
+  assert.equal(allServersDead([]), false);
+  assert.equal(allServersDead(null), false);
+});
+
+test("probeUrl classifies http and network failures", async () => {
+  const refused = new TypeError("fetch failed");
+  refused.cause = { code: "ECONNREFUSED" };
+  const { fetchImpl } = fakeFetch({
+    "https://ok.example/e/1": { status: 200 },
+    "https://gone.example/e/1": { status: 410 },
+    "https://busy.example/e/1": { status: 503 },
+    "https://down.example/e/1": refused,
+  });
+  const checker = createLinkChecker({ fetchImpl });
+
+  assert.equal((await checker.probeUrl("https://ok.example/e/1")).status, "alive");
+  assert.equal((await checker.probeUrl("https://gone.example/e/1")).status, "dead");
+  assert.equal((await checker.probeUrl("https://busy.example/e/1")).status, "unknown");
+  const down = await checker.probeUrl("https://down.example/e/1");
+  assert.equal(down.status, "dead");
+  assert.equal(down.http_status, null);
+  assert.equal(typeof down.latency_ms, "number");
+});
+
+test("probeUrl falls back to GET and spots removed-file pages", async () => {
+  const { fetchImpl, calls } = fakeFetch({
+    "HEAD https://host.example/e/1": { status: 405 },
+    "GET https://host.example/e/1": { status: 200, body: "<h1>File was deleted</h1>" },
+  });
+  const checker = createLinkChecker({ fetchImpl });
+
+  const probe = await checker.probeUrl("https://host.example/e/1");
+  assert.equal(probe.status, "dead");
+  assert.deepEqual(calls, ["HEAD https://host.example/e/1", "GET https://host.example/e/1"]);
+});
+
+test("checkServers records health and refreshes resolved streams", async () => {
+  const { fetchImpl } = fakeFetch({
+    "https://play.example/v/1": { status: 200 },
+    "https://streamwish.to/e/abc": { status: 200 },
+    "https://mixdrop.ag/e/gone": { status: 200 },
+  });
+  const pages = {
+    "https://streamwish.to/e/abc": `<script>jwplayer().setup({sources:[{file:"https://cdn.example/new.m3u8"}]})</script>`,
+    "https://mixdrop.ag/e/gone": "<html>nothing here</html>",
+  };
+  const checker = createLinkChecker({
+    fetchImpl,
+    fetchHtml: async (url) => pages[url],
+  });
+
+  const servers = await checker.checkServers([
+    { name: "Server 1", url: "https://play.example/v/1", type: "iframe" },
+    { name: "Server 2", url: "https://streamwish.to/e/abc", stream_url: "https://cdn.example/old.m3u8" },
+    { name: "Server 3", url: "https://mixdrop.ag/e/gone" },
+  ]);
+
+  assert.equal(servers[0].status, "alive");
+  assert.equal(servers[0].name, "Server 1");
+  assert.ok(servers[0].last_checked);
+  assert.equal(servers[1].status, "alive");
+  assert.equal(servers[1].stream_url, "https://cdn.example/new.m3u8");
+  assert.equal(servers[2].status, "dead");
+  assert.equal(servers[2].error, "no stream");
+});
+
+test("a known host whose embed page fails to load is unknown, not dead", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { fetchImpl } = fakeFetch({
+    "https://filemoon.sx/e/busy": { status: 200 },
+    "https://filemoon.sx/e/gone": { status: 200 },
+  });
+  const checker = createLinkChecker({
+    fetchImpl,
+    fetchHtml: async (url) => {
+      if (url.endsWith("/busy")) throw new RateLimitedError(url, { status: 429 });
+      throw new NotFoundError(url, { status: 404 });
+    },
+  });
+
+  const [busy, gone] = await checker.checkServers([
+    { url: "https://filemoon.sx/e/busy" },
+    { url: "https://filemoon.sx/e/gone" },
+  ]);
+
+  assert.equal(busy.status, "unknown");
+  assert.match(busy.error, /HTTP 429/);
+  assert.equal(gone.status, "dead");
+  assert.equal(allServersDead([busy, gone]), false);
+});
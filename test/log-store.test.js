@@ -0,0 +1,86 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import LogFileStore, { logFileStoreFromEnv, parseLogCursor } from "../log-store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-logs-"));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function entry(i, fields = {}) {
+  return { timestamp: new Date(Date.UTC(2024, 0, 1, 10, 0, i)).toISOString(), level: "info", message: `line ${i}`, ...fields };
+}
+
+test("rotates by size and by day, and pages back newest first across files", async () => {
+  let now = Date.UTC(2024, 0, 1, 10);
+  const store = new LogFileStore({ dir: tmpDir, maxFileBytes: 200, now: () => now });
+  for (let i = 0; i < 6; i++) store.append(entry(i));
+  now += DAY_MS;
+  for (let i = 6; i < 8; i++) store.append(entry(i));
+  store.close();
+
+  const files = store.files();
+  assert.ok(files.length >= 3);
+  assert.ok(files.includes("toonstream-2024-01-01.1.jsonl"));
+  assert.equal(files.at(-1), "toonstream-2024-01-02.0.jsonl");
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await store.read({ cursor, limit: 3 });
+    assert.ok(page.entries.length <= 3);
+    seen.push(...page.entries.map((e) => e.message));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, [7, 6, 5, 4, 3, 2, 1, 0].map((i) => `line ${i}`));
+});
+
+test("continues today's file after a restart and filters what it reads", async () => {
+  const now = () => Date.UTC(2024, 0, 1, 10);
+  const first = new LogFileStore({ dir: tmpDir, now });
+  first.append(entry(0, { run: "a", level: "warn" }));
+  first.append(entry(1, { run: "a" }));
+  first.close();
+
+  const second = new LogFileStore({ dir: tmpDir, now });
+  second.append(entry(2, { run: "b", level: "error" }));
+  second.close();
+
+  assert.deepEqual(second.files(), ["toonstream-2024-01-01.0.jsonl"]);
+  const { entries, nextCursor } = await second.read({ filter: { run: "a" } });
+  assert.deepEqual(entries.map((e) => e.message), ["line 1", "line 0"]);
+  assert.equal(nextCursor, null);
+  const warnings = await second.read({ filter: { level: "warn" } });
+  assert.deepEqual(warnings.entries.map((e) => e.message), ["line 2", "line 0"]);
+});
+
+test("prunes files past the retention and rejects cursors that aren't log files", async () => {
+  const now = Date.UTC(2024, 0, 10, 10);
+  const old = path.join(tmpDir, "toonstream-2024-01-01.0.jsonl");
+  fs.writeFileSync(old, `${JSON.stringify(entry(0))}\n`);
+  const past = new Date(now - 8 * DAY_MS);
+  fs.utimesSync(old, past, past);
+  fs.writeFileSync(path.join(tmpDir, "notes.txt"), "keep me");
+
+  const store = new LogFileStore({ dir: tmpDir, retentionMs: 7 * DAY_MS, now: () => now });
+  store.append(entry(1));
+  store.close();
+
+  assert.ok(!fs.existsSync(old));
+  assert.ok(fs.existsSync(path.join(tmpDir, "notes.txt")));
+  assert.equal(parseLogCursor("../../etc/passwd:10"), null);
+  assert.deepEqual(parseLogCursor("toonstream-2024-01-10.0.jsonl:4"), { file: "toonstream-2024-01-10.0.jsonl", line: 4 });
+  await assert.rejects(store.read({ cursor: "nope" }), /Invalid log cursor/);
+  assert.equal(logFileStoreFromEnv({ LOG_DIR: "off" }), null);
+  assert.equal(logFileStoreFromEnv({ LOG_DIR: tmpDir, LOG_RETENTION_DAYS: "3" }).retentionMs, 3 * DAY_MS);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetricsRegistry } from "../metrics.js";
+
+test("renders counters and gauges with escaped labels", async () => {
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter("app_requests_total", "Requests by host", { labels: ["host", "status"] });
+  requests.inc({ host: "toonstream.one", status: "200" });
+  requests.inc({ host: "toonstream.one", status: "200" }, 2);
+  requests.inc({ host: 'we"ird\\host', status: "timeout" });
+  metrics.gauge("app_up", "Always one").set({}, 1);
+
+  const text = await metrics.render();
+  assert.match(text, /# HELP app_requests_total Requests by host\n# TYPE app_requests_total counter\n/);
+  assert.match(text, /app_requests_total\{host="toonstream.one",status="200"\} 3\n/);
+  assert.ok(text.includes('app_requests_total{host="we\\"ird\\\\host",status="timeout"} 1'));
+  assert.match(text, /# TYPE app_up gauge\napp_up 1\n$/);
+});
+
+test("histograms render cumulative buckets, sum and count", async () => {
+  const metrics = createMetricsRegistry();
+  const duration = metrics.histogram("run_seconds", "Run duration", { labels: ["kind"], buckets: [1, 10] });
+  duration.observe({ kind: "sync" }, 0.5);
+  duration.observe({ kind: "sync" }, 4);
+  duration.observe({ kind: "sync" }, 30);
+
+  const text = await metrics.render();
+  assert.ok(text.includes('run_seconds_bucket{kind="sync",le="1"} 1'));
+  assert.ok(text.includes('run_seconds_bucket{kind="sync",le="10"} 2'));
+  assert.ok(text.includes('run_seconds_bucket{kind="sync",le="+Inf"} 3'));
+  assert.ok(text.includes('run_seconds_sum{kind="sync"} 34.5'));
+  assert.ok(text.includes('run_seconds_count{kind="sync"} 3'));
+
+  const stop = duration.startTimer({ kind: "crawl" });
+  assert.ok(stop() >= 0);
+  assert.ok((await metrics.render()).includes('run_seconds_count{kind="crawl"} 1'));
+});
+
+test("gauge collect runs at scrape time and a failing collect doesn't break the scrape", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const metrics = createMetricsRegistry();
+  let proxies = ["a:1", "b:2"];
+  metrics.gauge("proxy_score", "Score", {
+    labels: ["proxy"],
+    collect(gauge) {
+      gauge.reset();
+      for (const proxy of proxies) gauge.set({ proxy }, 1);
+    },
+  });
+  metrics.gauge("broken", "Throws", {
+    collect() {
+      throw new Error("boom");
+    },
+  });
+
+  assert.ok((await metrics.render()).includes('proxy_score{proxy="b:2"} 1'));
+  proxies = ["a:1"];
+  const text = await metrics.render();
+  assert.ok(!text.includes("b:2"));
+  assert.ok(text.includes("# TYPE broken gauge"));
+  assert.throws(() => metrics.counter("proxy_score", "dup"), /already registered/);
+});
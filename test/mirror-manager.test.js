@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import MirrorManager, { parseMirrorList, isDomainFailure } from "../mirror-manager.js";
+import { FetchError, NotFoundError, RateLimitedError, TimeoutError } from "../fetch-errors.js";
+
+function quiet(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+}
+
+// Minimal fetch stand-in: routes map origin -> { status, url? } or an Error to throw
+function fakeFetch(routes) {
+  return async (url) => {
+    const route = routes[new URL(url).origin];
+    if (!route || route instanceof Error) throw route || new TypeError("fetch failed");
+    return {
+      status: route.status,
+      url: route.url || url,
+      headers: new Headers(),
+      text: async () => route.body || "<html><title>Toonstream</title></html>",
+    };
+  };
+}
+
+test("parseMirrorList accepts bare hosts and full urls", () => {
+  assert.deepEqual(parseMirrorList("toonstream.co, https://toonstream.one/home/\nhttp://127.0.0.1:8080"), [
+    "https://toonstream.co",
+    "https://toonstream.one",
+    "http://127.0.0.1:8080",
+  ]);
+  assert.deepEqual(parseMirrorList(undefined), []);
+});
+
+test("rewrites mirror urls onto the active origin and leaves others alone", () => {
+  const mirrors = new MirrorManager({ mirrors: ["https://toonstream.co/home/", "https://toonstream.one"] });
+  assert.equal(mirrors.origin, "https://toonstream.co");
+  assert.equal(mirrors.rewriteUrl("https://www.toonstream.one/episode/x-1x1/?a=1"), "https://toonstream.co/episode/x-1x1/?a=1");
+  assert.equal(mirrors.rewriteUrl("https://filemoon.sx/e/abc"), "https://filemoon.sx/e/abc");
+  assert.equal(mirrors.keyFor("https://toonstream.one/episode/x-1x1/"), "/episode/x-1x1/");
+  assert.equal(mirrors.keyFor("https://filemoon.sx/e/abc"), "https://filemoon.sx/e/abc");
+
+  const row = mirrors.rewriteDeep({
+    poster: "https://toonstream.one/wp-content/uploads/p.jpg",
+    servers: [{ url: "https://filemoon.sx/e/abc", intermediate_url: "https://toonstream.one/?trembed=0&trid=1" }],
+    season: 1,
+    title: "https://toonstream.one in a title stays text",
+  });
+  assert.equal(row.poster, "https://toonstream.co/wp-content/uploads/p.jpg");
+  assert.equal(row.servers[0].url, "https://filemoon.sx/e/abc");
+  assert.equal(row.servers[0].intermediate_url, "https://toonstream.co/?trembed=0&trid=1");
+  assert.equal(row.season, 1);
+});
+
+test("isDomainFailure only counts domain-level errors", () => {
+  const url = "https://toonstream.one/";
+  assert.ok(isDomainFailure(new TimeoutError(url)));
+  assert.ok(isDomainFailure(new FetchError(url, "fetch failed", { code: "ENOTFOUND" })));
+  assert.ok(isDomainFailure(new FetchError(url, "HTTP 502", { status: 502 })));
+  assert.ok(!isDomainFailure(new NotFoundError(url)));
+  assert.ok(!isDomainFailure(new RateLimitedError(url, { status: 503 })));
+  assert.ok(!isDomainFailure(new Error("plain")));
+});
+
+test("repeated failures fail over to the next healthy mirror", async (t) => {
+  quiet(t);
+  const switches = [];
+  const mirrors = new MirrorManager({
+    mirrors: ["https://toonstream.one", "https://toonstream.co"],
+    failoverThreshold: 2,
+    fetchImpl: fakeFetch({
+      "https://toonstream.one": new TypeError("fetch failed"),
+      "https://toonstream.co": { status: 200 },
+    }),
+    onSwitch: (origin, reason) => switches.push(origin),
+  });
+  const err = new TimeoutError("https://toonstream.one/home/");
+
+  await mirrors.reportFailure("https://toonstream.one/home/", err);
+  assert.equal(mirrors.origin, "https://toonstream.one");
+  // A 404 neither counts nor resets
+  await mirrors.reportFailure("https://toonstream.one/x/", new NotFoundError("https://toonstream.one/x/"));
+  await mirrors.reportFailure("https://toonstream.one/home/", err);
+
+  assert.equal(mirrors.origin, "https://toonstream.co");
+  assert.deepEqual(switches, ["https://toonstream.co"]);
+  assert.equal(mirrors.getStats().health["https://toonstream.one"].ok, false);
+});
+
+test("a mirror redirecting to a new domain is discovered and adopted", async (t) => {
+  quiet(t);
+  const mirrors = new MirrorManager({
+    mirrors: ["https://toonstream.one"],
+    probePath: "/home/",
+    fetchImpl: fakeFetch({
+      "https://toonstream.one": { status: 200, url: "https://toonstream.love/home/" },
+    }),
+  });
+
+  assert.equal(await mirrors.failover("test"), "https://toonstream.love");
+  assert.deepEqual(mirrors.mirrors, ["https://toonstream.one", "https://toonstream.love"]);
+
+  // Same path on a new domain is a migration, a different path is just a redirect
+  const fresh = new MirrorManager({ mirrors: ["https://toonstream.one"] });
+  assert.equal(fresh.noteRedirect("https://toonstream.one/series/x/", "https://ads.example/landing"), false);
+  assert.equal(fresh.noteRedirect("https://toonstream.one/series/x/", "https://www.toonstream.one/series/x/"), false);
+  assert.equal(fresh.noteRedirect("https://toonstream.one/series/x", "https://toonstream.net/series/x/"), true);
+  assert.equal(fresh.origin, "https://toonstream.net");
+});
+
+test("failover keeps the active mirror when it is healthy or nothing else is", async (t) => {
+  quiet(t);
+  const mirrors = new MirrorManager({
+    mirrors: ["https://toonstream.one", "https://toonstream.co"],
+    fetchImpl: fakeFetch({ "https://toonstream.one": { status: 200 } }),
+  });
+  assert.equal(await mirrors.failover(), "https://toonstream.one");
+
+  const allDown = new MirrorManager({
+    mirrors: ["https://toonstream.one", "https://toonstream.co"],
+    fetchImpl: fakeFetch({}),
+  });
+  assert.equal(await allDown.failover(), "https://toonstream.one");
+  assert.equal(allDown.consecutiveFailures, 0);
+});
@@ -0,0 +1,252 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  normalizeUrl,
+  parseEpisodeCode,
+  extractEpisodeCards,
+  extractSeriesEpisodeLinks,
+  extractPostId,
+  extractNonce,
+  extractSeasonNumbers,
+  extractEpisodeMeta,
+  extractSeriesMeta,
+  extractSeriesUrlFromBreadcrumb,
+  parseSeasonEpisodes,
+  extractSeriesLinks,
+  extractNextPageUrl,
+  isMovieUrl,
+  extractMovieCards,
+  extractMovieMeta,
+  detectLanguages,
+  detectQuality,
+  extractPlayerOptions,
+} from "../toonstream-parser.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const BASE_URL = "https://toonstream.one/home/";
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+}
+
+test("normalizeUrl decodes entities and resolves relative urls", () => {
+  assert.equal(
+    normalizeUrl("/?trembed=0&#038;trid=1&amp;trtype=2", BASE_URL),
+    "https://toonstream.one/?trembed=0&trid=1&trtype=2",
+  );
+  assert.equal(normalizeUrl("javascript:void(0)", BASE_URL), null);
+  assert.equal(normalizeUrl("", BASE_URL), null);
+});
+
+test("parseEpisodeCode reads the NxM code", () => {
+  assert.deepEqual(parseEpisodeCode("https://toonstream.one/episode/naruto-3x12/"), {
+    season: 3,
+    episode: 12,
+  });
+  assert.equal(parseEpisodeCode("https://toonstream.one/episode/naruto-special/"), null);
+});
+
+test("extractEpisodeCards reads homepage cards without duplicates", () => {
+  const cards = extractEpisodeCards(loadFixture("homepage.html"), BASE_URL);
+
+  assert.deepEqual(cards, [
+    {
+      url: "https://toonstream.one/episode/spy-x-family-1x5/",
+      title: "Spy x Family",
+      thumb: "https://image.tmdb.org/t/p/w185/spy-1x5.jpg",
+    },
+    {
+      url: "https://toonstream.one/episode/ranma1-2-2x3/",
+      title: "Ranma 1/2",
+      thumb: "https://toonstream.one/wp-content/uploads/2024/05/ranma-2x3.jpg",
+    },
+    {
+      url: "https://toonstream.one/episode/doraemon-4x12/",
+      title: "Doraemon 4x12",
+      thumb: "https://toonstream.one/wp-content/uploads/doraemon.jpg",
+    },
+  ]);
+});
+
+test("extractEpisodeCards returns nothing for a page without episodes", () => {
+  assert.deepEqual(extractEpisodeCards("<html><body><p>Just a moment...</p></body></html>", BASE_URL), []);
+});
+
+test("extractSeriesEpisodeLinks returns sorted unique coded episodes", () => {
+  const seriesUrl = "https://toonstream.one/series/spy-x-family/";
+  const links = extractSeriesEpisodeLinks(loadFixture("series.html"), seriesUrl);
+
+  assert.deepEqual(
+    links.map((l) => [l.season, l.episode, l.url]),
+    [
+      [1, 1, "https://toonstream.one/episode/spy-x-family-1x1/"],
+      [1, 2, "https://toonstream.one/episode/spy-x-family-1x2/"],
+    ],
+  );
+  assert.equal(links[1].thumb, "https://toonstream.one/wp-content/uploads/spy-1x2.jpg");
+});
+
+test("extractPostId prefers data-post and falls back to the body class", () => {
+  assert.equal(extractPostId(loadFixture("series.html")), "48213");
+  assert.equal(extractPostId(loadFixture("episode.html")), "51877");
+  assert.equal(extractPostId("<html><body></body></html>"), null);
+});
+
+test("extractNonce reads inputs and inline scripts", () => {
+  assert.equal(extractNonce(loadFixture("episode.html")), "e4d2c8a1f0");
+  assert.equal(extractNonce(loadFixture("series.html")), "f3a9c1e2b7");
+  assert.equal(extractNonce("<html><body></body></html>"), null);
+});
+
+test("extractSeasonNumbers lists seasons and defaults to season 1", () => {
+  assert.deepEqual(extractSeasonNumbers(loadFixture("series.html")), [1, 2]);
+  assert.deepEqual(extractSeasonNumbers("<html><body></body></html>"), [1]);
+});
+
+test("extractEpisodeMeta reads title, thumbnail and main poster", () => {
+  assert.deepEqual(extractEpisodeMeta(loadFixture("episode.html"), BASE_URL), {
+    title: "Spy x Family 1x5",
+    thumbnail: "https://toonstream.one/wp-content/uploads/2024/01/spy-x-family-1x5-og.jpg",
+    episode_main_poster: "https://image.tmdb.org/t/p/w780/spy-x-family-1x5-backdrop.jpg",
+  });
+});
+
+test("extractSeriesMeta reads title, description, poster, genres and year", () => {
+  assert.deepEqual(extractSeriesMeta(loadFixture("series.html"), BASE_URL), {
+    title: "Spy x Family",
+    description: "A spy on an undercover mission gets married and adopts a child.",
+    poster: "https://toonstream.one/wp-content/uploads/2024/01/spy-x-family-poster.jpg",
+    genres: ["Action", "Comedy"],
+    year: 2022,
+  });
+});
+
+test("extractSeriesUrlFromBreadcrumb finds the parent series link", () => {
+  assert.equal(
+    extractSeriesUrlFromBreadcrumb(loadFixture("episode.html"), BASE_URL),
+    "https://toonstream.one/series/spy-x-family/",
+  );
+  assert.equal(extractSeriesUrlFromBreadcrumb("<html></html>", BASE_URL), null);
+});
+
+test("parseSeasonEpisodes reads the admin-ajax season response", () => {
+  assert.deepEqual(parseSeasonEpisodes(loadFixture("season-ajax.html"), BASE_URL), [
+    {
+      url: "https://toonstream.one/episode/spy-x-family-2x1/",
+      image: "https://image.tmdb.org/t/p/w185/ep-2x1.jpg",
+      season: 2,
+      episode: 1,
+      title: "Spy x Family 2x1",
+      code: "2x1",
+    },
+    {
+      url: "https://toonstream.one/episode/spy-x-family-2x2/",
+      image: "https://toonstream.one/wp-content/uploads/ep-2x2.jpg",
+      season: 2,
+      episode: 2,
+      title: "Spy x Family 2x2",
+      code: "2x2",
+    },
+  ]);
+  assert.deepEqual(parseSeasonEpisodes("", BASE_URL), []);
+});
+
+test("extractSeriesLinks reads unique series from a listing page", () => {
+  assert.deepEqual(extractSeriesLinks(loadFixture("series-listing.html"), BASE_URL), [
+    {
+      url: "https://toonstream.one/series/spy-x-family/",
+      title: "Spy x Family",
+      thumb: "https://image.tmdb.org/t/p/w500/spy-x-family.jpg",
+    },
+    {
+      url: "https://toonstream.one/series/doraemon/",
+      title: "Doraemon",
+      thumb: "https://toonstream.one/wp-content/uploads/doraemon.jpg",
+    },
+  ]);
+});
+
+test("extractNextPageUrl follows listing pagination", () => {
+  assert.equal(
+    extractNextPageUrl(loadFixture("series-listing.html"), BASE_URL),
+    "https://toonstream.one/series/page/3/",
+  );
+  assert.equal(extractNextPageUrl(loadFixture("homepage.html"), BASE_URL), null);
+});
+
+test("isMovieUrl only matches movie pages", () => {
+  assert.equal(isMovieUrl("https://toonstream.one/movies/doraemon-stand-by-me-2/"), true);
+  assert.equal(isMovieUrl("https://toonstream.one/movies/"), false);
+  assert.equal(isMovieUrl("https://toonstream.one/episode/spy-x-family-1x5/"), false);
+});
+
+test("extractMovieCards reads movie cards from the homepage", () => {
+  assert.deepEqual(extractMovieCards(loadFixture("homepage.html"), BASE_URL), [
+    {
+      url: "https://toonstream.one/movies/doraemon-nobitas-sky-utopia/",
+      title: "Doraemon: Nobita's Sky Utopia",
+      thumb: "https://image.tmdb.org/t/p/w500/sky-utopia.jpg",
+    },
+  ]);
+});
+
+test("extractMovieMeta reads movie details and runtime", () => {
+  assert.deepEqual(extractMovieMeta(loadFixture("movie.html"), BASE_URL), {
+    title: "Doraemon: Nobita's Sky Utopia",
+    description: "Nobita searches for a perfect paradise in the sky.",
+    poster: "https://toonstream.one/wp-content/uploads/2024/03/sky-utopia.jpg",
+    genres: ["Animation"],
+    year: 2023,
+    runtime: 108,
+  });
+});
+
+test("detectLanguages and detectQuality read player labels", () => {
+  assert.deepEqual(detectLanguages("Multi Audio - Hindi-Tamil-Eng"), ["Hindi", "Tamil", "English"]);
+  assert.deepEqual(detectLanguages("Japanese (Sub)"), ["Japanese"]);
+  assert.deepEqual(detectLanguages("Server 1"), []);
+  assert.deepEqual(detectLanguages("Hindi-Tel-Mal"), ["Hindi", "Telugu", "Malayalam"]);
+  assert.deepEqual(detectLanguages("Hin Dub"), ["Hindi"]);
+  assert.deepEqual(detectLanguages("Server (Tam)"), ["Tamil"]);
+  assert.deepEqual(detectLanguages("[Hin/Eng] 720p"), ["Hindi", "English"]);
+  assert.deepEqual(detectLanguages("Audio: Kor"), ["Korean"]);
+  assert.equal(detectQuality("Hindi 1080P"), "1080p");
+  assert.equal(detectQuality("Hindi HD"), "HD");
+  assert.equal(detectQuality("Hindi"), null);
+});
+
+test("detectLanguages ignores short aliases outside a language label", () => {
+  assert.deepEqual(detectLanguages("Tel"), []);
+  assert.deepEqual(detectLanguages("Tel HD"), []);
+  assert.deepEqual(detectLanguages("Server Kan 1080p"), []);
+  assert.deepEqual(detectLanguages("Mal and the Dark Lord"), []);
+  assert.deepEqual(detectLanguages("Jap Player - Kor Mirror"), []);
+  assert.deepEqual(detectLanguages("Tamasha 720p"), []);
+});
+
+test("extractPlayerOptions reads option tabs on episode pages", () => {
+  assert.deepEqual(extractPlayerOptions(loadFixture("episode.html")), [
+    { index: 0, label: "Hindi HD", languages: ["Hindi"], language: "Hindi", quality: "HD" },
+    {
+      index: 1,
+      label: "Multi Audio - Tamil-Telugu-Eng 1080p",
+      languages: ["Tamil", "Telugu", "English"],
+      language: "Multi",
+      quality: "1080p",
+    },
+  ]);
+});
+
+test("extractPlayerOptions reads dooplay player options", () => {
+  const html = `<ul id="playeroptionsul">
+    <li class="dooplay_player_option" data-type="tv" data-post="51877" data-nume="1"><span class="title">Japanese (Sub) 720p</span><span class="server">filemoon.sx</span></li>
+    <li class="dooplay_player_option" data-type="tv" data-post="51877" data-nume="2"><span class="title">Server</span></li>
+  </ul>`;
+  assert.deepEqual(extractPlayerOptions(html), [
+    { index: 1, label: "Japanese (Sub) 720p", languages: ["Japanese"], language: "Japanese", quality: "720p" },
+    { index: 2, label: "Server", languages: [], language: null, quality: null },
+  ]);
+});
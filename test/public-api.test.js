@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import express from "express";
+import JsonFileStorage from "../storage/json-file-storage.js";
+import { createPublicApi } from "../public-api.js";
+
+let server;
+let baseUrl;
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-api-"));
+  const storage = new JsonFileStorage({ filePath: path.join(tmpDir, "db.json") });
+
+  await storage.upsertSeries({ slug: "spy-x-family", title: "Spy x Family", poster: "p.jpg" });
+  await storage.upsertSeries({ slug: "doraemon", title: "Doraemon", poster: "d.jpg" });
+  for (const [season, episode] of [[1, 2], [1, 1], [2, 1]]) {
+    await storage.upsertEpisode({
+      series_slug: "spy-x-family",
+      season,
+      episode,
+      title: `Spy x Family ${season}x${episode}`,
+      servers: [
+        { name: "Hindi HD", url: "https://a.example/e/1", language: "Hindi", languages: ["Hindi"] },
+        { name: "Japanese", url: "https://b.example/e/1", language: "Japanese", languages: ["Japanese"] },
+      ],
+    });
+  }
+  await storage.upsertLatestEpisode({ series_slug: "spy-x-family", season: 1, episode: 1, added_at: "2024-01-01T00:00:00Z" });
+  await storage.upsertLatestEpisode({ series_slug: "spy-x-family", season: 1, episode: 2, added_at: "2024-01-02T00:00:00Z" });
+  await storage.upsertLatestEpisode({ series_slug: "sky-utopia", season: 0, episode: 0, content_type: "movie", added_at: "2024-01-03T00:00:00Z" });
+
+  const app = express();
+  app.use("/api", createPublicApi({ storage }));
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function getJson(pathname, headers = {}) {
+  const res = await fetch(`${baseUrl}${pathname}`, { headers });
+  return { res, body: res.status === 304 ? null : await res.json() };
+}
+
+test("series search filters by title and selects fields", async () => {
+  const { body } = await getJson("/series?q=spy&fields=slug,title");
+  assert.deepEqual(body, {
+    data: [{ slug: "spy-x-family", title: "Spy x Family" }],
+    pagination: { page: 1, limit: 20, hasMore: false },
+  });
+});
+
+test("series list paginates", async () => {
+  const { body } = await getJson("/series?limit=1&page=1&fields=slug");
+  assert.deepEqual(body.data, [{ slug: "doraemon" }]);
+  assert.equal(body.pagination.hasMore, true);
+  const { body: next } = await getJson("/series?limit=1&page=2&fields=slug");
+  assert.deepEqual(next.data, [{ slug: "spy-x-family" }]);
+  assert.equal(next.pagination.hasMore, false);
+});
+
+test("series detail lists seasons", async () => {
+  const { body } = await getJson("/series/spy-x-family");
+  assert.equal(body.data.title, "Spy x Family");
+  assert.deepEqual(body.data.seasons, [
+    { season: 1, episodes: 2 },
+    { season: 2, episodes: 1 },
+  ]);
+  const { res } = await getJson("/series/missing");
+  assert.equal(res.status, 404);
+});
+
+test("season episodes are sorted and omit servers by default", async () => {
+  const { body } = await getJson("/series/spy-x-family/seasons/1");
+  assert.deepEqual(body.data.map((ep) => ep.episode), [1, 2]);
+  assert.equal(body.data[0].servers, undefined);
+  const { res } = await getJson("/series/spy-x-family/seasons/9");
+  assert.equal(res.status, 404);
+});
+
+test("season episodes page like the other lists", async () => {
+  const { body: first } = await getJson("/series/spy-x-family/seasons/1?limit=1");
+  assert.deepEqual(first.data.map((ep) => ep.episode), [1]);
+  assert.deepEqual(first.pagination, { page: 1, limit: 1, hasMore: true });
+  const { body: second } = await getJson("/series/spy-x-family/seasons/1?limit=1&page=2");
+  assert.deepEqual(second.data.map((ep) => ep.episode), [2]);
+  assert.deepEqual(second.pagination, { page: 2, limit: 1, hasMore: false });
+});
+
+test("episode detail filters servers by language", async () => {
+  const { body } = await getJson("/series/spy-x-family/seasons/1/episodes/2?language=hindi");
+  assert.deepEqual(body.data.servers.map((s) => s.name), ["Hindi HD"]);
+  const { res } = await getJson("/series/spy-x-family/seasons/x/episodes/2");
+  assert.equal(res.status, 400);
+});
+
+test("latest feed pages newest first and filters by type", async () => {
+  const { body } = await getJson("/latest?limit=2&fields=series_slug,episode");
+  assert.deepEqual(body.data, [
+    { series_slug: "sky-utopia", episode: 0 },
+    { series_slug: "spy-x-family", episode: 2 },
+  ]);
+  assert.equal(body.pagination.hasMore, true);
+  const { body: episodes } = await getJson("/latest?type=episode&fields=episode");
+  assert.deepEqual(episodes.data, [{ episode: 2 }, { episode: 1 }]);
+});
+
+test("responses carry an ETag and answer 304 when unchanged", async () => {
+  const { res } = await getJson("/series/spy-x-family");
+  const etag = res.headers.get("etag");
+  assert.ok(etag);
+  assert.equal(res.headers.get("cache-control"), "public, max-age=60");
+  // fetch() adds Cache-Control: no-cache to conditional requests, so use plain http like a browser cache would
+  const status = await new Promise((resolve, reject) => {
+    http
+      .get(`${baseUrl}/series/spy-x-family`, { headers: { "If-None-Match": etag } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      })
+      .on("error", reject);
+  });
+  assert.equal(status, 304);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../rate-limit.js";
+
+function request(limiter, ip) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  limiter({ ip }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test("rate limiter blocks an ip after max requests in the window", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const limiter = createRateLimiter({ windowMs: 60_000, max: 2 });
+
+  assert.equal(request(limiter, "1.1.1.1").passed, true);
+  const second = request(limiter, "1.1.1.1");
+  assert.equal(second.passed, true);
+  assert.equal(second.res.headers["X-RateLimit-Remaining"], "0");
+  const blocked = request(limiter, "1.1.1.1");
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.ok(Number(blocked.res.headers["Retry-After"]) > 0);
+  assert.equal(request(limiter, "2.2.2.2").passed, true);
+});
+
+test("Retry-After counts down to the end of the window, which lets the ip back in", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, "now", () => now);
+  const limiter = createRateLimiter({ windowMs: 60_000, max: 1, name: "admin" });
+
+  assert.equal(request(limiter, "1.1.1.1").passed, true);
+  now += 15_000;
+  const blocked = request(limiter, "1.1.1.1");
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.headers["Retry-After"], "45");
+  assert.deepEqual(blocked.res.body, { error: "Too many requests", retryAfter: 45 });
+
+  now += 44_500;
+  assert.equal(request(limiter, "1.1.1.1").res.headers["Retry-After"], "1");
+  // Logged once per window, not per rejected request
+  assert.equal(warn.mock.callCount(), 1);
+
+  now += 500;
+  assert.equal(request(limiter, "1.1.1.1").passed, true);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { unpack, unpackAll } from "../resolvers/helpers.js";
+import { findResolver, resolveStream } from "../resolvers/index.js";
+
+const PACKED =
+  "<script>eval(function(p,a,c,k,e,d){while(c--)if(k[c])p=p.replace(new RegExp('\\\\b'+c.toString(a)+'\\\\b','g'),k[c]);return p}" +
+  "('0().1({2:[{3:\"4://5.6/7/8.9\"}]})',10,10,'jwplayer|setup|sources|file|https|cdn|example|hls|master|m3u8'.split('|'),0,{}))</script>";
+
+function fakePages(pages) {
+  return async (url) => {
+    if (!(url in pages)) throw new Error(`HTTP 404 for ${url}`);
+    return pages[url];
+  };
+}
+
+test("unpack reverses p.a.c.k.e.r scripts", () => {
+  assert.equal(
+    unpack(PACKED),
+    'jwplayer().setup({sources:[{file:"https://cdn.example/hls/master.m3u8"}]})',
+  );
+  assert.equal(unpackAll(PACKED).length, 1);
+  assert.equal(unpack("var a = 1;"), null);
+});
+
+test("findResolver matches hosts and mirrors", () => {
+  assert.equal(findResolver("https://filemoon.sx/e/abc")?.name, "filemoon");
+  assert.equal(findResolver("https://dood.wf/e/abc")?.name, "dood");
+  assert.equal(findResolver("https://d0000d.com/e/abc")?.name, "dood");
+  assert.equal(findResolver("https://voe.sx/e/abc")?.name, "voe");
+  assert.equal(findResolver("https://vidmoly.to/embed-abc.html")?.name, "vidmoly");
+  assert.equal(findResolver("https://awish.pro/e/abc")?.name, "streamwish");
+  assert.equal(findResolver("https://play.zephyrflick.top/video/abc"), null);
+  assert.equal(findResolver("not a url"), null);
+});
+
+test("streamwish resolves a packed jwplayer page to hls", async () => {
+  const stream = await resolveStream("https://streamwish.to/e/abc", {
+    fetchHtml: fakePages({ "https://streamwish.to/e/abc": PACKED }),
+  });
+  assert.deepEqual(stream, {
+    host: "streamwish",
+    stream_url: "https://cdn.example/hls/master.m3u8",
+    stream_type: "hls",
+    headers: { Referer: "https://streamwish.to/", Origin: "https://streamwish.to" },
+  });
+});
+
+test("streamtape rebuilds the robotlink url", async () => {
+  const html = `<script>document.getElementById('robotlink').innerHTML = '//streamtape.com/get_video?id=abc&expires=1&ip=x' + ('xcd&token=real').substring(1).substring(2);</script>`;
+  const stream = await resolveStream("https://streamtape.com/e/abc", {
+    fetchHtml: fakePages({ "https://streamtape.com/e/abc": html }),
+  });
+  assert.equal(
+    stream.stream_url,
+    "https://streamtape.com/get_video?id=abc&expires=1&ip=x&token=real&stream=1",
+  );
+  assert.equal(stream.stream_type, "mp4");
+});
+
+test("dood appends the pass_md5 token to the returned base url", async () => {
+  const stream = await resolveStream("https://dood.wf/e/abc", {
+    fetchHtml: fakePages({
+      "https://dood.wf/e/abc": "$.get('/pass_md5/123-45-67/tok3n', function(data){})",
+      "https://dood.wf/pass_md5/123-45-67/tok3n": "https://cdn.dood.example/u5/abc~",
+    }),
+  });
+  assert.match(stream.stream_url, /^https:\/\/cdn\.dood\.example\/u5\/abc~\w{10}\?token=tok3n&expiry=\d+$/);
+  assert.deepEqual(stream.headers, { Referer: "https://dood.wf/" });
+});
+
+test("voe follows the js redirect and decodes base64 hls", async () => {
+  const hls = "https://delivery.voe.example/master.m3u8";
+  const stream = await resolveStream("https://voe.sx/e/abc", {
+    fetchHtml: fakePages({
+      "https://voe.sx/e/abc": "<script>window.location.href = 'https://lauradaydo.com/e/abc';</script>",
+      "https://lauradaydo.com/e/abc": `<script>var sources = { 'hls': '${btoa(hls)}' };</script>`,
+    }),
+  });
+  assert.equal(stream.stream_url, hls);
+  assert.equal(stream.headers.Referer, "https://lauradaydo.com/");
+});
+
+test("resolveStream returns null for unknown hosts and broken pages", async () => {
+  const fetchHtml = fakePages({ "https://mixdrop.ag/e/abc": "<html></html>" });
+  assert.equal(await resolveStream("https://example.com/e/abc", { fetchHtml }), null);
+  assert.equal(await resolveStream("https://mixdrop.ag/e/abc", { fetchHtml }), null);
+  assert.equal(await resolveStream("https://filemoon.sx/e/gone", { fetchHtml }), null);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs";
+import RunHistory from "../run-history.js";
+import JsonFileStorage from "../storage/json-file-storage.js";
+
+function createHistory(t, options = {}) {
+  t.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "runs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = new JsonFileStorage({ filePath: path.join(dir, "db.json") });
+  const history = new RunHistory({
+    storage,
+    createStats: () => ({ added: 0, failed: 0 }),
+    ...options,
+  });
+  return { history, storage };
+}
+
+test("each run gets its own counters, stages and episode outcomes", async (t) => {
+  const { history } = createHistory(t);
+
+  const first = await history.record("sync", async () => {
+    await history.stage("poll", async () => {
+      history.current().stats.added += 2;
+      history.noteEpisode({ series_slug: "x", season: 1, episode: 1, outcome: "new" });
+    });
+    await history.stage("audit", async () => {});
+    return history.current().record.id;
+  });
+  await history.record("sync", async () => {
+    history.current().stats.failed++;
+  });
+
+  const [latest, earlier] = await history.list({ kind: "sync" });
+  assert.equal(earlier.id, first);
+  assert.equal(earlier.status, "success");
+  assert.deepEqual(earlier.totals, { added: 2, failed: 0 });
+  assert.deepEqual(
+    earlier.stages.map(({ name, status, results }) => ({ name, status, results })),
+    [
+      { name: "poll", status: "success", results: { added: 2 } },
+      { name: "audit", status: "success", results: {} },
+    ],
+  );
+  assert.equal(earlier.episodes[0].outcome, "new");
+  assert.ok(earlier.duration_ms >= 0 && earlier.finished_at);
+  // Counters start over instead of piling up across runs
+  assert.deepEqual(latest.totals, { added: 0, failed: 1 });
+
+  const [summary] = await history.list({ summary: true, limit: 1 });
+  assert.ok(!("episodes" in summary));
+});
+
+test("a failing stage fails the run and keeps the error", async (t) => {
+  const { history } = createHistory(t);
+  let runId;
+  await assert.rejects(
+    history.record("sync", async () => {
+      runId = history.current().record.id;
+      await history.stage("poll", async () => {
+        throw new Error("homepage blocked");
+      });
+    }),
+    /homepage blocked/,
+  );
+
+  const run = await history.get(runId);
+  assert.equal(run.status, "failed");
+  assert.equal(run.stages[0].status, "failed");
+  assert.equal(run.stages[0].error, "homepage blocked");
+  assert.equal(run.errors[0].stage, "poll");
+  assert.equal(run.errors[0].message, "homepage blocked");
+});
+
+test("caps the episode list, marks abandoned runs interrupted and prunes old ones", async (t) => {
+  const { history, storage } = createHistory(t, { maxEpisodes: 2 });
+  await storage.upsertRun({ id: "stale", kind: "sync", status: "running", started_at: "2020-01-01T00:00:00.000Z" });
+  await storage.upsertRun({
+    id: "old",
+    kind: "sync",
+    status: "success",
+    started_at: "2020-01-01T00:00:00.000Z",
+    finished_at: "2020-01-01T00:10:00.000Z",
+  });
+
+  await history.record("crawl", async () => {
+    for (let i = 0; i < 5; i++) history.noteEpisode({ outcome: "new", episode: i });
+  });
+
+  const [crawl] = await history.list({ kind: "crawl" });
+  assert.equal(crawl.episodes.length, 2);
+  assert.equal(crawl.episodes_truncated, 3);
+  assert.equal((await history.get("stale")).status, "interrupted");
+
+  assert.ok((await history.get("stale")).finished_at);
+
+  assert.equal(await history.prune(24 * 60 * 60 * 1000), 1);
+  assert.equal(await history.get("old"), null);
+  assert.ok(await history.get(crawl.id));
+  // Outside a run the helpers are no-ops
+  history.noteEpisode({ outcome: "new" });
+  assert.equal(history.current(), null);
+});
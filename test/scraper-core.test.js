@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createScraper } from "../scraper-core.js";
+
+// The Worker and the Node sync only differ in how they fetch; everything they
+// store comes out of this core, so it is driven here by the parser fixtures.
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+
+const CONFIG = {
+  homeUrl: "https://toonstream.one/home/",
+  ajaxUrl: "https://toonstream.one/wp-admin/admin-ajax.php",
+  tmdbApiKey: "0123456789abcdef0123456789abcdef",
+  embedMaxDepth: 2,
+  resolveStreams: false,
+};
+
+function createFixtureScraper(t, options = {}) {
+  for (const method of ["log", "debug", "warn"]) t.mock.method(console, method, () => {});
+  const pages = {
+    "https://toonstream.one/episode/spy-x-family-1x5/": fixture("episode.html"),
+    "https://toonstream.one/series/spy-x-family/": fixture("series.html"),
+    "https://toonstream.one/home/?trembed=0&trid=51877&trtype=2": '<iframe src="https://filemoon.sx/e/hindi"></iframe>',
+    "https://toonstream.one/home/?trembed=1&trid=51877&trtype=2": '<iframe src="https://vidhide.example/embed/multi"></iframe>',
+  };
+  const fetched = [];
+  const scraper = createScraper({
+    config: CONFIG,
+    async fetchHtml(url) {
+      fetched.push(url);
+      if (!(url in pages)) throw new Error(`HTTP 404 ${url}`);
+      return pages[url];
+    },
+    async postForm() {
+      return fixture("season-ajax.html");
+    },
+    async fetchImpl(url) {
+      fetched.push(url.replace(/api_key=[^&]+/, "api_key=***"));
+      if (url.includes("/search/tv")) return Response.json({ results: [{ id: 120089, name: "SPY x FAMILY" }] });
+      return Response.json({
+        id: 120089,
+        name: "SPY x FAMILY",
+        overview: "Twilight forms a fake family.",
+        vote_average: 8.567,
+        genres: [{ name: "Animation" }],
+        poster_path: "/spy.jpg",
+        number_of_seasons: 2,
+      });
+    },
+    ...options,
+  });
+  return { scraper, fetched };
+}
+
+test("builds the episode record, series context and servers from the fixture pages", async (t) => {
+  const { scraper } = createFixtureScraper(t);
+  const { seriesCtx, code, episodePayload } = await scraper.buildEpisodeRecord(
+    "https://toonstream.one/episode/spy-x-family-1x5/",
+  );
+
+  assert.deepEqual(code, { season: 1, episode: 5 });
+  assert.equal(seriesCtx.slug, "spy-x-family");
+  assert.equal(seriesCtx.url, "https://toonstream.one/series/spy-x-family/");
+  assert.equal(seriesCtx.tmdb_id, 120089);
+  assert.equal(seriesCtx.rating, 8.57);
+  assert.equal(seriesCtx.total_seasons, 2);
+  assert.equal(seriesCtx.poster, "https://image.tmdb.org/t/p/original/spy.jpg");
+
+  assert.equal(episodePayload.title, "Spy x Family 1x5");
+  assert.deepEqual(
+    episodePayload.servers.map((server) => [server.url, server.intermediate_url, server.languages]),
+    [
+      ["https://filemoon.sx/e/hindi", "https://toonstream.one/home/?trembed=0&trid=51877&trtype=2", ["Hindi"]],
+      [
+        "https://vidhide.example/embed/multi",
+        "https://toonstream.one/home/?trembed=1&trid=51877&trtype=2",
+        ["Tamil", "Telugu", "English"],
+      ],
+    ],
+  );
+  assert.deepEqual(episodePayload.languages, ["Hindi", "Tamil", "Telugu", "English"]);
+});
+
+test("series context comes from the runtime's resolver when it passes one", async (t) => {
+  const resolved = [];
+  const { scraper, fetched } = createFixtureScraper(t, {
+    resolveSeriesContext: async (seriesUrl, fallbackTitle) => {
+      resolved.push([seriesUrl, fallbackTitle]);
+      return { slug: "spy-x-family", title: "Spy x Family", poster: "cached.jpg", url: seriesUrl };
+    },
+  });
+
+  const { seriesCtx } = await scraper.buildEpisodeRecord("https://toonstream.one/episode/spy-x-family-1x5/", {
+    card: { title: "Spy x Family 1x5" },
+  });
+
+  assert.equal(seriesCtx.poster, "cached.jpg");
+  assert.deepEqual(resolved, [["https://toonstream.one/series/spy-x-family/", "Spy x Family 1x5"]]);
+  // Neither the series page nor TMDB is fetched again
+  assert.ok(!fetched.includes("https://toonstream.one/series/spy-x-family/"));
+  assert.ok(!fetched.some((url) => url.includes("themoviedb")));
+});
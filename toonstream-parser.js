@@ -0,0 +1,569 @@
+import * as cheerio from "cheerio";
+
+// Pure HTML extractors for toonstream pages. Nothing in here touches the
+// network, env vars or storage so it can be imported from tests and the Worker.
+
+export const DEFAULT_HOME_URL = "https://toonstream.one/home/";
+
+export function decodeHtmlEntities(str) {
+  if (!str) return str;
+  return str
+    .replace(/&#038;/g, '&')
+    .replace(/&#38;/g, '&')
+    .replace(/&amp;/g, '&')
+    .replace(/&#039;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&apos;/g, "'")
+    .replace(/&#034;/g, '"')
+    .replace(/&#34;/g, '"')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+export function normalizeUrl(rawUrl, base = DEFAULT_HOME_URL) {
+  if (!rawUrl || /^javascript:/i.test(rawUrl)) return null;
+  try {
+    // Decode HTML entities before parsing URL
+    const decodedUrl = decodeHtmlEntities(rawUrl);
+    return new URL(decodedUrl, base).href;
+  } catch {
+    return null;
+  }
+}
+
+export function parseEpisodeCode(url) {
+  const match = url.match(/(\d+)x(\d+)/i);
+  if (!match) return null;
+  return {
+    season: parseInt(match[1], 10),
+    episode: parseInt(match[2], 10),
+  };
+}
+
+export function extractEpisodeCards(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const cards = [];
+  const seen = new Set();
+  
+  $('article.episodes, article.post').each((_, el) => {
+    const article = $(el);
+    const anchor = article.find('a[href*="/episode/"], a.lnk-blk[href*="/episode/"]').first();
+    if (!anchor.length) return;
+    
+    const url = normalizeUrl(anchor.attr("href"), baseUrl);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    
+    const titleEl = article.find('.entry-title, h2').first();
+    const title = titleEl.text().trim() || anchor.attr("title") || "";
+    
+    const img = article.find('figure img, .post-thumbnail img, img').first();
+    let thumb = null;
+    if (img.length) {
+      thumb = img.attr("data-src") || img.attr("src") || img.attr("data-lazy-src");
+      if (thumb && thumb.startsWith('//')) {
+        thumb = 'https:' + thumb;
+      } else if (thumb) {
+        thumb = normalizeUrl(thumb, baseUrl);
+      }
+    }
+    
+    cards.push({ url, title, thumb });
+  });
+  
+  $('a[href*="/episode/"], a[href*="/watch/"]').each((_, el) => {
+    const anchor = $(el);
+    const url = normalizeUrl(anchor.attr("href"), baseUrl);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    const title = (anchor.attr("title") || anchor.text()).trim();
+    const img = anchor.find("img").first();
+    let thumb = null;
+    if (img.length) {
+      thumb = img.attr("data-src") || img.attr("src");
+      if (thumb && thumb.startsWith('//')) {
+        thumb = 'https:' + thumb;
+      } else if (thumb) {
+        thumb = normalizeUrl(thumb, baseUrl);
+      }
+    }
+    cards.push({ url, title, thumb });
+  });
+  
+  return cards;
+}
+
+export function extractSeriesEpisodeLinks(seriesHtml, seriesUrl) {
+  const $ = cheerio.load(seriesHtml);
+  const links = [];
+  const seen = new Set();
+
+  const addLink = (anchor) => {
+    const node = $(anchor);
+    const url = normalizeUrl(node.attr("href"), seriesUrl);
+    if (!url || !url.includes("/episode/")) return;
+    const code = parseEpisodeCode(url);
+    if (!code) return;
+    const key = `${code.season}x${code.episode}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const text = node.text().trim();
+    const img = node.find("img").first();
+    const thumb = img.length
+      ? normalizeUrl(img.attr("data-src") || img.attr("src"), seriesUrl)
+      : null;
+
+    links.push({
+      url,
+      season: code.season,
+      episode: code.episode,
+      title: text,
+      thumb,
+    });
+  };
+
+  $('a[href*="/episode/"]').each((_, el) => addLink(el));
+  return links.sort((a, b) => {
+    if (a.season === b.season) return a.episode - b.episode;
+    return a.season - b.season;
+  });
+}
+
+export function extractPostId(html) {
+  const $ = cheerio.load(html);
+  
+  // Look for post ID in common WordPress locations
+  const postIdPatterns = [
+    // From data attributes
+    () => $('[data-post], [data-post-id]').first().attr('data-post') || $('[data-post], [data-post-id]').first().attr('data-post-id'),
+    // From input fields
+    () => $('input[name="post"], input[name="post_id"]').first().val(),
+    // From body class
+    () => {
+      const bodyClass = $('body').attr('class') || '';
+      const match = bodyClass.match(/postid-(\d+)/);
+      return match ? match[1] : null;
+    },
+    // From article tag
+    () => $('article[id^="post-"]').first().attr('id')?.replace('post-', ''),
+    // From script tags
+    () => {
+      const scripts = $('script').toArray();
+      for (const script of scripts) {
+        const content = $(script).html() || '';
+        const patterns = [
+          /"post_id"\s*:\s*"?(\d+)"?/,
+          /'post_id'\s*:\s*'?(\d+)'?/,
+          /post[_-]?id\s*=\s*['"]?(\d+)['"]?/i,
+        ];
+        
+        for (const pattern of patterns) {
+          const match = content.match(pattern);
+          if (match && match[1]) {
+            return match[1];
+          }
+        }
+      }
+      return null;
+    },
+  ];
+  
+  for (const extractFn of postIdPatterns) {
+    const postId = extractFn();
+    if (postId) {
+      return postId;
+    }
+  }
+  
+  return null;
+}
+
+export function extractNonce(html) {
+  const $ = cheerio.load(html);
+  
+  const noncePatterns = [
+    () => $('input[name="_wpnonce"]').first().val(),
+    () => $('input[name="nonce"]').first().val(),
+    () => $('[data-nonce]').first().attr('data-nonce'),
+    () => {
+      const scripts = $('script').toArray();
+      for (const script of scripts) {
+        const content = $(script).html() || '';
+        const patterns = [
+          /["']nonce["']\s*:\s*["']([A-Za-z0-9_-]+)["']/,
+          /["']_wpnonce["']\s*:\s*["']([A-Za-z0-9_-]+)["']/,
+          /nonce\s*=\s*["']([A-Za-z0-9_-]+)["']/,
+          /ajax_nonce\s*[=:]\s*["']([A-Za-z0-9_-]+)["']/,
+          /security\s*[=:]\s*["']([A-Za-z0-9_-]+)["']/,
+          /dooplay\s*=\s*\{[^}]*nonce\s*:\s*["']([A-Za-z0-9_-]+)["']/,
+          /var\s+\w+\s*=\s*\{[^}]*["']nonce["']\s*:\s*["']([A-Za-z0-9_-]+)["']/,
+        ];
+        
+        for (const pattern of patterns) {
+          const match = content.match(pattern);
+          if (match && match[1]) {
+            return match[1];
+          }
+        }
+      }
+      return null;
+    },
+  ];
+  
+  for (const extractFn of noncePatterns) {
+    const nonce = extractFn();
+    if (nonce) {
+      return nonce;
+    }
+  }
+  
+  return null;
+}
+
+export function extractSeasonNumbers(html) {
+  const $ = cheerio.load(html);
+  const seasons = new Set();
+  
+  // Look for season buttons/options
+  $('[data-season], option[value]').each((_, el) => {
+    const seasonAttr = $(el).attr('data-season') || $(el).attr('value');
+    if (seasonAttr && !isNaN(seasonAttr)) {
+      seasons.add(parseInt(seasonAttr, 10));
+    }
+  });
+  
+  // If no seasons found via data attributes, try text content
+  if (seasons.size === 0) {
+    $('.aa-cnt .se-c').each((_, el) => {
+      const text = $(el).find('.se-t').text();
+      const match = text.match(/season\s+(\d+)/i);
+      if (match) {
+        seasons.add(parseInt(match[1], 10));
+      }
+    });
+  }
+  
+  // Default to season 1 if nothing found
+  if (seasons.size === 0) {
+    seasons.add(1);
+  }
+  
+  return Array.from(seasons).sort((a, b) => a - b);
+}
+
+export function extractEpisodeMeta(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const title =
+    $("h1.entry-title").first().text().trim() ||
+    $('meta[property="og:title"]').attr("content") ||
+    $("title").text().trim();
+
+  const thumbnail =
+    $('meta[property="og:image"]').attr("content") ||
+    $("div.post-thumbnail img").attr("src") ||
+    $("div.video-options img").attr("src") ||
+    null;
+
+  return {
+    title: title?.replace(/\s+/g, " ").trim() || null,
+    thumbnail: thumbnail ? normalizeUrl(thumbnail, baseUrl) : null,
+    episode_main_poster: normalizeUrl(
+      $("div.video-options img").attr("src") ||
+        $("div.video-options img").attr("data-src") ||
+        $("div.video-options img").attr("data-lazy-src"),
+      baseUrl,
+    ),
+  };
+}
+
+export function extractSeriesMeta(seriesHtml, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(seriesHtml);
+  const title =
+    $("h1.entry-title").first().text().trim() ||
+    $('meta[property="og:title"]').attr("content") ||
+    $("title").text().trim();
+  const description =
+    $('meta[property="og:description"]').attr("content") ||
+    $("div.entry-content p").first().text().trim() ||
+    "";
+  const thumbnail =
+    $('meta[property="og:image"]').attr("content") ||
+    $("div.post-thumbnail img").attr("src") ||
+    null;
+  const genres = [];
+  $('a[rel="tag"], .genres a').each((_, el) => {
+    const name = $(el).text().trim();
+    if (name && !genres.includes(name)) genres.push(name);
+  });
+  const yearMatch = $("span.year, .year").first().text().match(/\d{4}/);
+  const year = yearMatch ? parseInt(yearMatch[0], 10) : null;
+  return {
+    title: title?.replace(/\s+/g, " ").trim() || null,
+    description: description?.replace(/\s+/g, " ").trim() || null,
+    poster: thumbnail ? normalizeUrl(thumbnail, baseUrl) : null,
+    genres,
+    year,
+  };
+}
+
+export function extractSeriesUrlFromBreadcrumb(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const breadcrumbs = $(
+    'nav.breadcrumb a[href*="/series/"], .entry-meta a[href*="/series/"]',
+  );
+  const last = breadcrumbs.last();
+  return normalizeUrl(last.attr("href"), baseUrl);
+}
+
+export function parseSeasonEpisodes(html, baseUrl = DEFAULT_HOME_URL) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const episodes = [];
+  
+  // Parse episode list items
+  $('li').each((_, el) => {
+    const $li = $(el);
+    const $article = $li.find('article.post, article.episodes');
+    
+    if ($article.length === 0) return;
+    
+    // Extract episode image
+    const $img = $article.find('img, .post-thumbnail img');
+    let imageUrl = null;
+    if ($img.length > 0) {
+      imageUrl = $img.attr('data-src') || $img.attr('src') || $img.attr('data-lazy-src');
+      // Fix protocol-relative URLs
+      if (imageUrl && imageUrl.startsWith('//')) {
+        imageUrl = 'https:' + imageUrl;
+      } else if (imageUrl) {
+        imageUrl = normalizeUrl(imageUrl, baseUrl);
+      }
+    }
+    
+    // Extract episode URL
+    const $link = $article.find('a.lnk-blk, a[href*="/episode/"]');
+    const episodeUrl = normalizeUrl($link.attr('href'), baseUrl);
+    
+    // Extract episode code (e.g., "1x1")
+    const episodeCode = $article.find('.num-epi, .entry-header span').first().text().trim();
+    const codeMatch = episodeCode.match(/(\d+)x(\d+)/);
+    
+    // Extract title
+    const title = $article.find('.entry-title, h2').first().text().trim();
+    
+    if (episodeUrl && codeMatch) {
+      episodes.push({
+        url: episodeUrl,
+        image: imageUrl,
+        season: parseInt(codeMatch[1], 10),
+        episode: parseInt(codeMatch[2], 10),
+        title: title,
+        code: episodeCode,
+      });
+    }
+  });
+  
+  return episodes;
+}
+
+export function extractSeriesLinks(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const series = [];
+  const seen = new Set();
+
+  $('article a[href*="/series/"], a.lnk-blk[href*="/series/"]').each((_, el) => {
+    const anchor = $(el);
+    const url = normalizeUrl(anchor.attr("href"), baseUrl);
+    if (!url) return;
+
+    // Skip the listing itself and its pagination links
+    const path = new URL(url).pathname.replace(/\/+$/, "");
+    if (!/\/series\/[^/]+$/.test(path) || /\/series\/page$/.test(path)) return;
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    const article = anchor.closest("article");
+    const title =
+      article.find(".entry-title, h2").first().text().trim() ||
+      anchor.attr("title") ||
+      anchor.text().trim();
+
+    const img = article.find("img").first();
+    let thumb = null;
+    if (img.length) {
+      thumb = img.attr("data-src") || img.attr("src") || img.attr("data-lazy-src");
+      if (thumb && thumb.startsWith('//')) {
+        thumb = 'https:' + thumb;
+      } else if (thumb) {
+        thumb = normalizeUrl(thumb, baseUrl);
+      }
+    }
+
+    series.push({ url, title, thumb });
+  });
+
+  return series;
+}
+
+export function extractNextPageUrl(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const href =
+    $('link[rel="next"]').attr("href") ||
+    $("a.next.page-numbers, .nav-links a.next, .pagination a.next").first().attr("href");
+  return normalizeUrl(href, baseUrl);
+}
+
+export function isMovieUrl(url) {
+  try {
+    return /\/movies?\/[^/]+\/?$/.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+export function extractMovieCards(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const cards = [];
+  const seen = new Set();
+
+  $('a[href*="/movies/"], a[href*="/movie/"]').each((_, el) => {
+    const anchor = $(el);
+    const url = normalizeUrl(anchor.attr("href"), baseUrl);
+    if (!url || !isMovieUrl(url) || seen.has(url)) return;
+    seen.add(url);
+
+    const article = anchor.closest("article");
+    const title =
+      article.find(".entry-title, h2").first().text().trim() ||
+      anchor.attr("title") ||
+      anchor.text().trim();
+
+    const img = (article.length ? article : anchor).find("img").first();
+    let thumb = null;
+    if (img.length) {
+      thumb = img.attr("data-src") || img.attr("src") || img.attr("data-lazy-src");
+      if (thumb && thumb.startsWith('//')) {
+        thumb = 'https:' + thumb;
+      } else if (thumb) {
+        thumb = normalizeUrl(thumb, baseUrl);
+      }
+    }
+
+    cards.push({ url, title, thumb });
+  });
+
+  return cards;
+}
+
+export function extractMovieMeta(html, baseUrl = DEFAULT_HOME_URL) {
+  const $ = cheerio.load(html);
+  const meta = extractSeriesMeta(html, baseUrl);
+  const durationMatch = $(".duration, span.time").first().text().match(/(?:(\d+)\s*h)?\s*(\d+)\s*m/i);
+  const runtime = durationMatch
+    ? parseInt(durationMatch[1] || "0", 10) * 60 + parseInt(durationMatch[2], 10)
+    : null;
+  return { ...meta, runtime };
+}
+
+// [name, full names (count anywhere), short aliases (only in a language label)]
+const LANGUAGE_ALIASES = [
+  ["Hindi", ["hindi"], ["hin"]],
+  ["Tamil", ["tamil"], ["tam"]],
+  ["Telugu", ["telugu"], ["tel"]],
+  ["Malayalam", ["malayalam"], ["mal"]],
+  ["Kannada", ["kannada"], ["kan"]],
+  ["Bengali", ["bengali", "bangla"], []],
+  ["English", ["english"], ["eng"]],
+  ["Japanese", ["japanese"], ["jap", "jpn"]],
+  ["Korean", ["korean"], ["kor"]],
+];
+const LANGUAGE_LABEL_WORDS = new Set(["audio", "dub", "dubbed", "sub", "subbed", "subs", "multi", "dual"]);
+
+function lookupLanguage(token) {
+  for (const [name, full, short] of LANGUAGE_ALIASES) {
+    if (full.includes(token)) return { name, full: true };
+    if (short.includes(token)) return { name, full: false };
+  }
+  return null;
+}
+
+// "Multi Audio - Hindi-Tamil-Eng" -> ["Hindi", "Tamil", "English"]. A short
+// alias ("Tel", "Mal") is also a server name or part of a title, so it only
+// counts inside brackets, next to audio / dub / sub / multi, or in a run of
+// languages with a full name in it.
+export function detectLanguages(label) {
+  if (!label) return [];
+  const found = new Set();
+
+  for (const [, group] of label.matchAll(/[([]([^)\]]*)[)\]]/g)) {
+    for (const token of group.toLowerCase().split(/[^a-z]+/)) {
+      const language = lookupLanguage(token);
+      if (language) found.add(language.name);
+    }
+  }
+
+  const tokens = label.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  for (let i = 0; i < tokens.length; ) {
+    let end = i;
+    while (end < tokens.length && lookupLanguage(tokens[end])) end++;
+    if (end === i) {
+      i++;
+      continue;
+    }
+    const run = tokens.slice(i, end).map(lookupLanguage);
+    const labelled =
+      run.some((language) => language.full) ||
+      LANGUAGE_LABEL_WORDS.has(tokens[i - 1]) ||
+      LANGUAGE_LABEL_WORDS.has(tokens[end]);
+    for (const language of run) {
+      if (language.full || labelled) found.add(language.name);
+    }
+    i = end;
+  }
+
+  return LANGUAGE_ALIASES.filter(([name]) => found.has(name)).map(([name]) => name);
+}
+
+export function detectQuality(label) {
+  const match = (label || "").match(/\b(4k|2160p|1440p|1080p|720p|480p|360p|fhd|hd|sd|cam)\b/i);
+  if (!match) return null;
+  const quality = match[1].toLowerCase();
+  return /^\d+p$/.test(quality) ? quality : quality.toUpperCase();
+}
+
+function describeOption(label) {
+  const languages = detectLanguages(label);
+  return {
+    label,
+    languages,
+    language: languages.length > 1 ? "Multi" : languages[0] || null,
+    quality: detectQuality(label),
+  };
+}
+
+// Reads the label of every player option, keyed by 0-based index: dooplay
+// `li.dooplay_player_option[data-nume]` and torofilm `a[href="#options-N"]` tabs
+export function extractPlayerOptions(html) {
+  const $ = cheerio.load(html);
+  const options = new Map();
+
+  $("li.dooplay_player_option").each((_, el) => {
+    const $el = $(el);
+    const index = parseInt($el.attr("data-nume"), 10);
+    if (Number.isNaN(index) || options.has(index)) return;
+    const label = ($el.find(".title").first().text() || $el.text()).replace(/\s+/g, " ").trim();
+    options.set(index, { index, ...describeOption(label) });
+  });
+
+  $('a[href^="#options-"]').each((_, el) => {
+    const $el = $(el);
+    const index = parseInt(($el.attr("href") || "").replace("#options-", ""), 10);
+    if (Number.isNaN(index) || options.has(index)) return;
+    const label = ($el.find(".server").first().text() || $el.text()).replace(/\s+/g, " ").trim();
+    options.set(index, { index, ...describeOption(label) });
+  });
+
+  return [...options.values()].sort((a, b) => a.index - b.index);
+}
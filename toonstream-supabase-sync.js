@@ -1,12 +1,46 @@
 import "dotenv/config";
 import axios from "axios";
-import * as cheerio from "cheerio";
-import { createClient } from "@supabase/supabase-js";
 import ProxyManager from "./proxy-manager.js";
+import { createStorage, getRequiredStorageEnv } from "./storage/index.js";
+import { createFileFixtureStore } from "./fixture-store.js";
+import { createLinkChecker, allServersDead } from "./link-checker.js";
+import JobQueue, { makeJobId } from "./job-queue.js";
+import { createHostLimiter, hostOf } from "./host-limiter.js";
+import { createMetricsRegistry } from "./metrics.js";
+import RunHistory from "./run-history.js";
+import MirrorManager, { parseMirrorList } from "./mirror-manager.js";
+import { logger, withLogContext, addLogContext } from "./logger.js";
+import { logFileStoreFromEnv } from "./log-store.js";
+import EventBus from "./event-bus.js";
+import {
+  NotFoundError,
+  RateLimitedError,
+  BlockedError,
+  ChallengeError,
+  TimeoutError,
+  errorFromResponse,
+  toFetchError,
+} from "./fetch-errors.js";
+import {
+  DEFAULT_HOME_URL,
+  extractEpisodeCards,
+  extractPostId,
+  extractNonce,
+  extractSeasonNumbers,
+  extractSeriesLinks,
+  extractNextPageUrl,
+  extractMovieCards,
+  parseEpisodeCode,
+} from "./toonstream-parser.js";
+import {
+  createScraper,
+  buildLatestEpisodePayload,
+  buildLatestMoviePayload,
+  extractSeriesSlugFromUrl,
+} from "./scraper-core.js";
 
 const REQUIRED_ENV = [
-  "SUPABASE_URL",
-  "SUPABASE_SERVICE_ROLE_KEY",
+  ...getRequiredStorageEnv(),
   "TMDB_API_KEY",
 ];
 
@@ -16,24 +50,36 @@ if (missing.length) {
   process.exit(1);
 }
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-);
+// Shared with sync-server.js so the public API reads the same (cached) storage
+export const storage = createStorage();
 
 const CONFIG = {
-  homeUrl: process.env.TOONSTREAM_HOME_URL || "https://toonstream.one/home/",
+  homeUrl: process.env.TOONSTREAM_HOME_URL || DEFAULT_HOME_URL,
   pollIntervalMs: Number(process.env.POLL_INTERVAL_MS || 60_000),
   requestTimeout: 30_000,
   maxRetries: 3,
   maxParallelSeriesFetch: Number(process.env.MAX_PARALLEL_SERIES || 4),
+  hostMaxConcurrent: Number(process.env.HOST_MAX_CONCURRENT || 2),
+  hostMinIntervalMs: Number(process.env.HOST_MIN_INTERVAL_MS || 250),
+  toonstreamMinIntervalMs: Number(process.env.TOONSTREAM_MIN_INTERVAL_MS || 750),
   embedMaxDepth: Number(process.env.EMBED_MAX_DEPTH || 3),
-  toonstreamCookies: process.env.TOONSTREAM_COOKIES?.trim() || null,
-  ajaxUrl:
-    process.env.TOONSTREAM_AJAX_URL ||
-    "https://toonstream.one/wp-admin/admin-ajax.php",
+  resolveStreams: process.env.RESOLVE_STREAMS !== "false",
+  // Several cookie sets separated by "||" are rotated through on challenges
+  toonstreamCookieJars: (process.env.TOONSTREAM_COOKIES || "")
+    .split("||")
+    .map((jar) => jar.trim())
+    .filter(Boolean),
+  toonstreamUserAgent: process.env.TOONSTREAM_USER_AGENT?.trim() || null,
+  tmdbApiKey: process.env.TMDB_API_KEY,
 };
 
+CONFIG.ajaxUrl =
+  process.env.TOONSTREAM_AJAX_URL ||
+  new URL("/wp-admin/admin-ajax.php", CONFIG.homeUrl).href;
+
+// TOONSTREAM_HOME_URL's origin is the primary, TOONSTREAM_MIRRORS the fallbacks
+CONFIG.mirrors = [CONFIG.homeUrl, ...parseMirrorList(process.env.TOONSTREAM_MIRRORS)];
+
 const defaultFallbacks = [
   `${CONFIG.homeUrl}home/`,
   `${CONFIG.homeUrl}page/1/`,
@@ -48,6 +94,14 @@ CONFIG.homepageCandidates = Array.from(
   new Set([CONFIG.homeUrl, ...envFallbacks, ...defaultFallbacks]),
 );
 
+CONFIG.seriesListUrl =
+  process.env.TOONSTREAM_SERIES_LIST_URL ||
+  new URL("/series/", CONFIG.homeUrl).href;
+
+CONFIG.movieListUrl =
+  process.env.TOONSTREAM_MOVIE_LIST_URL ||
+  new URL("/movies/", CONFIG.homeUrl).href;
+
 const USER_AGENTS = [
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
@@ -55,41 +109,315 @@ const USER_AGENTS = [
   "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
 ];
 
-const TMDB_BASE_URL = "https://api.themoviedb.org/3";
-const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/original";
+const MIRROR_STATE_KEY = "toonstream_mirror";
 
-const TOONSTREAM_HOST = (() => {
+const seriesCache = new Map();
+const processedEpisodes = new Set();
+export const proxyManager = new ProxyManager();
+const fixtures = createFileFixtureStore();
+
+// Every outgoing request goes through here, toonstream gets the widest spacing
+const hostLimiter = createHostLimiter({
+  maxConcurrent: CONFIG.hostMaxConcurrent,
+  minIntervalMs: CONFIG.hostMinIntervalMs,
+  hosts: (host) =>
+    mirrors.isMirrorHost(host) ? { minIntervalMs: CONFIG.toonstreamMinIntervalMs } : null,
+});
+const fixtureFetch = fixtures.wrapFetch(async (url, init) => {
+  let response;
   try {
-    return new URL(CONFIG.homeUrl).hostname.replace(/^www\./, "");
-  } catch {
-    return null;
+    response = await hostLimiter.schedule(url, () => fetch(url, init));
+  } catch (err) {
+    noteResponse(url, toFetchError(err, url));
+    throw err;
   }
-})();
-
-const TOONSTREAM_ORIGIN = (() => {
-  try {
-    return new URL(CONFIG.homeUrl).origin;
-  } catch {
-    return CONFIG.homeUrl;
+  noteResponse(
+    url,
+    errorFromResponse(url, { status: response.status, headers: response.headers }),
+    response.status,
+  );
+  return response;
+});
+
+// Feeds the adaptive per-host throttle: 429 / challenge pages slow the host down,
+// anything else speeds it back up. Also counts the response for /metrics.
+function noteResponse(url, err, status = null) {
+  const label = err
+    ? err.status ?? (err instanceof TimeoutError ? "timeout" : "error")
+    : status ?? "ok";
+  fetchResponses.inc({ host: hostOf(url), status: String(label) });
+  if (err instanceof RateLimitedError || (err instanceof BlockedError && err.challenge)) {
+    hostLimiter.penalize(url, err.retryAfterMs);
+  } else if (!err) {
+    hostLimiter.reward(url);
   }
-})();
+}
 
-const seriesCache = new Map();
-const processedEpisodes = new Set();
-const proxyManager = new ProxyManager();
+const mirrors = new MirrorManager({
+  mirrors: CONFIG.mirrors,
+  probePath: new URL(CONFIG.homeUrl).pathname,
+  fetchImpl: fixtureFetch,
+  timeoutMs: CONFIG.requestTimeout,
+  failoverThreshold: Number(process.env.MIRROR_FAILOVER_THRESHOLD || 3),
+  // The next run (and the server after a restart) starts on the working mirror
+  onSwitch: (origin, reason) =>
+    storage
+      .setState(MIRROR_STATE_KEY, { origin, reason, switchedAt: new Date().toISOString() })
+      .catch((err) => console.warn(`⚠️ Failed to save mirror state: ${err.message}`)),
+});
+
+const scraper = createScraper({
+  config: CONFIG,
+  mirrors,
+  fetchHtml: (url, options) => fetchHtmlWithRetry(url, CONFIG.maxRetries, options),
+  postForm: postToonstreamForm,
+  fetchImpl: fixtureFetch,
+  resolveSeriesContext,
+});
+
+const linkChecker = createLinkChecker({
+  fetchImpl: fixtureFetch,
+  fetchHtml: (url, options) => fetchHtmlWithRetry(url, 1, options),
+  timeoutMs: CONFIG.requestTimeout,
+  referer: () => mirrors.origin + "/",
+});
+
+const {
+  isToonstreamUrl,
+  buildSeriesUrlFromSlug,
+  buildEpisodeUrl,
+  buildEpisodeRecord,
+  buildMovieRecord,
+  fetchEpisodeDataFromAPI,
+} = scraper;
 
 // Track which series are completely synced
 const completedSeries = new Set();
 
-// Statistics tracking
-const stats = {
-  newEpisodes: 0,
-  updatedEpisodes: 0,
-  failedEpisodes: 0,
-  skippedEpisodes: 0,
-  totalServers: 0,
-  seriesProcessed: new Set(),
-};
+// Statistics tracking, fresh for every run
+function createRunStats() {
+  return {
+    newEpisodes: 0,
+    updatedEpisodes: 0,
+    failedEpisodes: 0,
+    skippedEpisodes: 0,
+    newMovies: 0,
+    updatedMovies: 0,
+    failedMovies: 0,
+    failedSeries: 0,
+    failedCrawlLinks: 0,
+    totalServers: 0,
+    seriesProcessed: new Set(),
+    challenges: 0,
+    blocked: 0,
+    lastChallengeAt: null,
+  };
+}
+
+export const runHistory = new RunHistory({
+  storage,
+  createStats: createRunStats,
+  summarize: ({ seriesProcessed, ...counters }) => ({ ...counters, seriesProcessed: seriesProcessed.size }),
+});
+
+// Live feed for /events: runs, stages, episode outcomes (and log lines, wired by the server)
+export const events = new EventBus();
+
+// Work outside start() / crawl() / checkLinks() still counts somewhere
+const detachedStats = createRunStats();
+
+function currentStats() {
+  return runHistory.current()?.stats || detachedStats;
+}
+
+const RUN_RETENTION_MS = Number(process.env.RUN_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// Prometheus metrics, served by sync-server.js on /metrics
+export const metrics = createMetricsRegistry();
+const runsTotal = metrics.counter("toonstream_sync_runs_total", "Sync runs by kind and result", {
+  labels: ["kind", "result"],
+});
+const runDuration = metrics.histogram("toonstream_sync_run_duration_seconds", "Duration of sync runs", {
+  labels: ["kind"],
+});
+const lastRunSuccess = metrics.gauge(
+  "toonstream_sync_last_success_timestamp_seconds",
+  "Unix time of the last successful run",
+  { labels: ["kind"] },
+);
+const stageDuration = metrics.histogram("toonstream_sync_stage_duration_seconds", "Duration of sync run stages", {
+  labels: ["stage"],
+});
+const episodeOutcomes = metrics.counter("toonstream_episodes_total", "Episodes by sync outcome", {
+  labels: ["outcome"],
+});
+const movieOutcomes = metrics.counter("toonstream_movies_total", "Movies by sync outcome", {
+  labels: ["outcome"],
+});
+const otherFailures = metrics.counter(
+  "toonstream_failures_total",
+  "Series syncs and crawl listing links that failed (episodes and movies count in their own totals)",
+  { labels: ["type"] },
+);
+const tmdbLookups = metrics.counter("toonstream_tmdb_lookups_total", "TMDB lookups by result (hit / miss)", {
+  labels: ["type", "result"],
+});
+const fetchResponses = metrics.counter(
+  "toonstream_fetch_responses_total",
+  "Outgoing requests by host and HTTP status (timeout / error when no response came back)",
+  { labels: ["host", "status"] },
+);
+const blockedRequests = metrics.counter("toonstream_blocked_requests_total", "Challenge, captcha and block pages", {
+  labels: ["kind"],
+});
+metrics.gauge("toonstream_proxies", "Proxies by state", {
+  labels: ["state"],
+  collect(gauge) {
+    const proxyStats = proxyManager.getStats();
+    gauge.set({ state: "active" }, proxyStats.active);
+    gauge.set({ state: "cooling_down" }, proxyStats.coolingDown);
+  },
+});
+metrics.gauge("toonstream_proxy_score", "Proxy selection weight (success rate and latency)", {
+  labels: ["proxy", "url"],
+  collect(gauge) {
+    gauge.reset();
+    for (const entry of proxyManager.getStats().proxies) gauge.set({ proxy: entry.id, url: entry.proxy }, entry.score);
+  },
+});
+metrics.gauge("toonstream_proxy_success_ratio", "Proxy success rate over its health window", {
+  labels: ["proxy", "url"],
+  collect(gauge) {
+    gauge.reset();
+    for (const entry of proxyManager.getStats().proxies) {
+      if (entry.successRate != null) gauge.set({ proxy: entry.id, url: entry.proxy }, entry.successRate);
+    }
+  },
+});
+metrics.gauge("toonstream_proxy_latency_seconds", "Moving average proxy latency", {
+  labels: ["proxy", "url"],
+  collect(gauge) {
+    gauge.reset();
+    for (const entry of proxyManager.getStats().proxies) {
+      if (entry.latencyMs != null) gauge.set({ proxy: entry.id, url: entry.proxy }, entry.latencyMs / 1000);
+    }
+  },
+});
+
+const EPISODE_STATS = { new: "newEpisodes", updated: "updatedEpisodes", failed: "failedEpisodes", skipped: "skippedEpisodes" };
+const MOVIE_STATS = { new: "newMovies", updated: "updatedMovies", failed: "failedMovies" };
+const FAILURE_STATS = { series: "failedSeries", crawl: "failedCrawlLinks" };
+
+// Each outcome goes out with the run's totals so far, as progress
+function publishOutcome(entry) {
+  events.publish("episode", {
+    run: runHistory.current()?.record.id || null,
+    ...entry,
+    totals: runHistory.summarize(currentStats()),
+  });
+}
+
+// details: { series_slug, season, episode, url, reason, error } for the run report
+function countEpisode(outcome, details = {}) {
+  currentStats()[EPISODE_STATS[outcome]]++;
+  episodeOutcomes.inc({ outcome });
+  runHistory.noteEpisode({ type: "episode", outcome, ...details });
+  publishOutcome({ type: "episode", outcome, ...details });
+}
+
+function countMovie(outcome, details = {}) {
+  currentStats()[MOVIE_STATS[outcome]]++;
+  movieOutcomes.inc({ outcome });
+  runHistory.noteEpisode({ type: "movie", outcome, ...details });
+  publishOutcome({ type: "movie", outcome, ...details });
+}
+
+// A series or crawl listing link that failed is not a failed episode
+function countFailure(type, details = {}) {
+  currentStats()[FAILURE_STATS[type]]++;
+  otherFailures.inc({ type });
+  runHistory.noteEpisode({ type, outcome: "failed", ...details });
+  publishOutcome({ type, outcome: "failed", ...details });
+}
+
+// Records the run in sync_runs and times it into the run metrics; failures
+// are whatever the run throws
+// Runs share the job queue, and a drain runs in the context of the run that
+// started it, so they take turns: one that starts while another is going
+// waits for it, and each run's results stay its own
+let runTurn = Promise.resolve();
+let activeRun = null;
+
+function inTurn(fn) {
+  const turn = runTurn.then(fn);
+  runTurn = turn.catch(() => {});
+  return turn;
+}
+
+// { id, kind, started_at } of the run going on in this process, or null
+export function getActiveRun() {
+  return activeRun;
+}
+
+function recordRun(kind, run) {
+  return inTurn(() => recordRunNow(kind, run));
+}
+
+async function recordRunNow(kind, run) {
+  const endTimer = runDuration.startTimer({ kind });
+  let record = null;
+  try {
+    // Every log line of the run carries its id (the one /runs shows)
+    const result = await runHistory.record(kind, () => {
+      record = runHistory.current().record;
+      activeRun = { id: record.id, kind, started_at: record.started_at };
+      events.publish("run", { run: record.id, kind, status: record.status, started_at: record.started_at });
+      return withLogContext({ run: record.id, kind }, run);
+    });
+    runsTotal.inc({ kind, result: "success" });
+    lastRunSuccess.set({ kind }, Math.floor(Date.now() / 1000));
+    return result;
+  } catch (err) {
+    runsTotal.inc({ kind, result: "failure" });
+    throw err;
+  } finally {
+    endTimer();
+    activeRun = null;
+    if (record) {
+      events.publish("run", {
+        run: record.id,
+        kind,
+        status: record.status,
+        duration_ms: record.duration_ms,
+        totals: record.totals,
+      });
+    }
+  }
+}
+
+async function timeStage(stage, run) {
+  const endTimer = stageDuration.startTimer({ stage });
+  const runId = runHistory.current()?.record.id || null;
+  events.publish("stage", { run: runId, stage, status: "running" });
+  let status = "failed";
+  try {
+    const result = await runHistory.stage(stage, run);
+    status = "success";
+    return result;
+  } finally {
+    const seconds = endTimer();
+    // The stage entry of sync_runs, when there is a run
+    const recorded = runHistory.current()?.record.stages.findLast((entry) => entry.name === stage);
+    events.publish("stage", {
+      run: runId,
+      stage,
+      status,
+      duration_ms: recorded?.duration_ms ?? Math.round(seconds * 1000),
+      results: recorded?.results || {},
+      error: recorded?.error,
+    });
+  }
+}
 
 function makeEpisodeKey(slug, season, episode) {
   return `${slug}::${season}x${episode}`;
@@ -107,89 +435,70 @@ function getUA() {
   return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
 }
 
-function cleanSlug(name) {
-  return (name || "item")
-    .toLowerCase()
-    .replace(/['"]/g, "")
-    .replace(/[^\w\s-]/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-+|-+$/g, "");
-}
-
-function decodeHtmlEntities(str) {
-  if (!str) return str;
-  return str
-    .replace(/&#038;/g, '&')
-    .replace(/&#38;/g, '&')
-    .replace(/&amp;/g, '&')
-    .replace(/&#039;/g, "'")
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'")
-    .replace(/&#034;/g, '"')
-    .replace(/&#34;/g, '"')
-    .replace(/&quot;/g, '"')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>');
-}
-
-function normalizeUrl(rawUrl, base = CONFIG.homeUrl) {
-  if (!rawUrl || /^javascript:/i.test(rawUrl)) return null;
-  try {
-    // Decode HTML entities before parsing URL
-    const decodedUrl = decodeHtmlEntities(rawUrl);
-    return new URL(decodedUrl, base).href;
-  } catch {
-    return null;
-  }
-}
+// cf_clearance cookies only work with the user agent that solved the challenge,
+// so toonstream requests keep one identity until a challenge forces a new one
+const toonstreamIdentity = {
+  userAgent: CONFIG.toonstreamUserAgent || getUA(),
+  cookieIndex: 0,
+};
 
-function isToonstreamUrl(url) {
-  if (!url || !TOONSTREAM_HOST) return false;
-  try {
-    const hostname = new URL(url).hostname.replace(/^www\./, "");
-    return hostname === TOONSTREAM_HOST;
-  } catch {
-    return false;
-  }
+function currentToonstreamCookies() {
+  return CONFIG.toonstreamCookieJars[toonstreamIdentity.cookieIndex] || null;
 }
 
-function extractSeriesSlugFromUrl(seriesUrl) {
-  try {
-    const u = new URL(seriesUrl);
-    const parts = u.pathname.split("/").filter(Boolean);
-    return parts.pop() || null;
-  } catch {
-    return null;
+function rotateToonstreamIdentity(proxy) {
+  const changes = [];
+  const jars = CONFIG.toonstreamCookieJars;
+  if (jars.length > 1) {
+    toonstreamIdentity.cookieIndex = (toonstreamIdentity.cookieIndex + 1) % jars.length;
+    changes.push(`cookie set ${toonstreamIdentity.cookieIndex + 1}/${jars.length}`);
   }
-}
-
-function deriveSeriesUrlFromEpisode(episodeUrl) {
-  try {
-    const u = new URL(episodeUrl);
-    const parts = u.pathname.split("/").filter(Boolean);
-    const episodeSlug = parts[1] || parts[parts.length - 1] || "";
-    if (!episodeSlug) return null;
-    const baseSlug = episodeSlug.replace(/-\d+x\d+$/i, "") || episodeSlug;
-    return `${CONFIG.homeUrl}series/${baseSlug}/`;
-  } catch {
-    return null;
+  // A pinned user agent belongs to the cookies, rotating it would void them
+  if (!CONFIG.toonstreamUserAgent) {
+    const others = USER_AGENTS.filter((ua) => ua !== toonstreamIdentity.userAgent);
+    toonstreamIdentity.userAgent = others[Math.floor(Math.random() * others.length)];
+    changes.push("user agent");
+  }
+  if (proxy) {
+    proxyManager.markProxyAsFailed(proxy, "challenge");
+    changes.push("proxy");
+  }
+  if (changes.length > 0) {
+    console.warn(`   🔄 Rotating ${changes.join(", ")} after challenge`);
   }
 }
 
-function buildSeriesUrlFromSlug(seriesSlug) {
-  if (!seriesSlug) return null;
-  return `${CONFIG.homeUrl}series/${seriesSlug}/`;
+function recordBlock(err) {
+  blockedRequests.inc({ kind: err instanceof ChallengeError ? err.kind : "blocked" });
+  const stats = currentStats();
+  if (err instanceof ChallengeError) {
+    stats.challenges++;
+    stats.lastChallengeAt = new Date().toISOString();
+  } else {
+    stats.blocked++;
+  }
 }
 
-function buildEpisodeUrl(seriesSlug, season, episode) {
-  if (!seriesSlug) return null;
-  return `${CONFIG.homeUrl}episode/${seriesSlug}-${season}x${episode}/`;
+// Counters of the latest run for /status: a climbing challenge count means
+// TOONSTREAM_COOKIES needs refreshing
+export function getFetchStats() {
+  const stats = runHistory.latest?.stats || detachedStats;
+  return {
+    challenges: stats.challenges,
+    blocked: stats.blocked,
+    lastChallengeAt: stats.lastChallengeAt,
+    cookieSet: CONFIG.toonstreamCookieJars.length
+      ? `${toonstreamIdentity.cookieIndex + 1}/${CONFIG.toonstreamCookieJars.length}`
+      : null,
+    hosts: hostLimiter.getStats(),
+    mirrors: mirrors.getStats(),
+  };
 }
 
 function buildRequestHeaders(url, options = {}) {
+  const toonstream = isToonstreamUrl(url);
   const headers = {
-    "User-Agent": getUA(),
+    "User-Agent": toonstream ? toonstreamIdentity.userAgent : getUA(),
     Accept:
       "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
     "Accept-Language": "en-US,en;q=0.9",
@@ -206,19 +515,20 @@ function buildRequestHeaders(url, options = {}) {
     Object.assign(headers, options.headers);
   }
 
-  if (isToonstreamUrl(url)) {
+  if (toonstream) {
     if (!headers.Referer) {
       headers.Referer = CONFIG.homeUrl;
     }
 
-    headers.Origin = TOONSTREAM_ORIGIN;
+    headers.Origin = mirrors.origin;
     headers["Sec-Fetch-Dest"] = "document";
     headers["Sec-Fetch-Mode"] = "navigate";
     headers["Sec-Fetch-Site"] = "same-origin";
     headers["Sec-Fetch-User"] = "?1";
 
-    if (CONFIG.toonstreamCookies) {
-      headers.Cookie = CONFIG.toonstreamCookies;
+    const cookies = currentToonstreamCookies();
+    if (cookies) {
+      headers.Cookie = cookies;
     }
   }
 
@@ -232,16 +542,21 @@ async function fetchHtmlWithRetry(
 ) {
   let lastErr = null;
   let currentProxy = null;
+
+  const recorded = await fixtures.lookup({ url });
+  if (recorded) return String(recorded.body || "");
   
   for (let attempt = 1; attempt <= retries; attempt++) {
+    // Re-read every attempt, a failover in between moves the request to the new mirror
+    const requestUrl = mirrors.rewriteUrl(url);
     try {
-      // Get proxy for this attempt
-      currentProxy = proxyManager.getNextProxy();
+      // Get proxy for this attempt, a session keeps one exit IP across a chain
+      currentProxy = proxyManager.getNextProxy(options.session);
       const proxyAgent = proxyManager.getProxyAgent(currentProxy);
       
       const config = {
         timeout: options.timeout || CONFIG.requestTimeout,
-        headers: buildRequestHeaders(url, options),
+        headers: buildRequestHeaders(requestUrl, options),
         responseType: "text",
         maxRedirects: 5,
         decompress: true,
@@ -254,998 +569,163 @@ async function fetchHtmlWithRetry(
         config.httpsAgent = proxyAgent;
       }
       
-      const res = await axios.get(url, config);
-      return String(res.data || "");
-    } catch (err) {
-      lastErr = err;
-      
-      // Mark proxy as failed if we're using one
-      if (
-        currentProxy &&
-        (err.code === "ECONNREFUSED" || err.code === "ETIMEDOUT")
-      ) {
-        proxyManager.markProxyAsFailed(currentProxy);
-      }
-
-      const status = err.response?.status;
-      if (status) {
-        console.warn(
-          `  ⚠️ Request failed (${status}) for ${url} (attempt ${attempt}/${retries})`,
-        );
-      }
-      
-      await delay(500 * attempt);
-    }
-  }
-  throw new Error(
-    `Failed to fetch ${url}: ${lastErr?.message || "unknown error"}`,
-  );
-}
-
-function cleanTitleForTMDB(title) {
-  if (!title) return title;
-  
-  let cleaned = title;
-  
-  // Handle special anime naming patterns
-  // ranma1-2 or ranma-1-2 -> ranma 1/2
-  cleaned = cleaned.replace(/(\w+)1[-\/]2/gi, '$1 1/2');
-  cleaned = cleaned.replace(/(\w+)-1[-\/]2/gi, '$1 1/2');
-  
-  // Convert dashes to spaces for slug-like titles (spy-x-family -> spy x family)
-  // But preserve special patterns like "1/2"
-  cleaned = cleaned.replace(/-/g, ' ');
-  
-  // Remove season/episode info
-  cleaned = cleaned.replace(/[:\-–—]+\s*Season\s*\d+/gi, '');
-  cleaned = cleaned.replace(/\s*Season\s*\d+/gi, '');
-  cleaned = cleaned.replace(/\s*S\d+E?\d*/gi, '');
-  cleaned = cleaned.replace(/\s*\d+x\d+/gi, '');
-  
-  // Remove language/quality tags
-  cleaned = cleaned.replace(/\s*(Dub|Sub|Dubbed|Subbed|English|Japanese|Hindi|Hindi Dub)\s*/gi, ' ');
-  cleaned = cleaned.replace(/\s*(1080p|720p|480p|HD|4K)\s*/gi, ' ');
-  
-  // Remove brackets and their contents
-  cleaned = cleaned.replace(/\([^)]*\)/g, '');
-  cleaned = cleaned.replace(/\[[^\]]*\]/g, '');
-  
-  // Clean up multiple spaces
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-  
-  return cleaned;
-}
-
-function extractSeriesNameFromSlug(slug) {
-  if (!slug) return null;
-  
-  // Remove episode code pattern (e.g., -3x1, -1x5)
-  let name = slug.replace(/-\d+x\d+$/i, '');
-  
-  // Handle special patterns
-  // ranma1-2 -> ranma 1/2
-  name = name.replace(/(\w+)1-2$/i, '$1 1/2');
-  
-  // Convert dashes to spaces
-  name = name.replace(/-/g, ' ');
-  
-  // Capitalize words
-  name = name.replace(/\b\w/g, c => c.toUpperCase());
-  
-  return name.trim();
-}
-
-async function searchTMDB(title, type = "tv") {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey) {
-    console.log(`   ⚠️ TMDB API key not found in environment`);
-    return null;
-  }
-  
-  // Check if API key looks valid (should be 32 hex chars)
-  if (apiKey.length < 20) {
-    console.log(`   ⚠️ TMDB API key appears invalid (too short)`);
-    return null;
-  }
-  
-  const cleanedTitle = cleanTitleForTMDB(title);
-  console.log(`   🔎 TMDB: Cleaned title "${title}" -> "${cleanedTitle}"`);
-  
-  // Try multiple search strategies
-  const searchQueries = [cleanedTitle];
-  
-  // Add variations if the cleaned title is different
-  if (cleanedTitle !== title) {
-    searchQueries.push(title);
-  }
-  
-  // For anime, try removing common suffixes
-  const withoutSuffix = cleanedTitle
-    .replace(/\s*(the animation|the series|movie|ova|special)$/i, '')
-    .trim();
-  if (withoutSuffix && withoutSuffix !== cleanedTitle) {
-    searchQueries.push(withoutSuffix);
-  }
-  
-  for (const query of searchQueries) {
-    const url = `${TMDB_BASE_URL}/search/${type}?api_key=${apiKey}&query=${encodeURIComponent(query)}&language=en-US`;
-    
-    try {
-      const res = await fetch(url);
-      if (!res.ok) {
-        console.log(`   ⚠️ TMDB API error: ${res.status} ${res.statusText}`);
-        if (res.status === 401) {
-          console.log(`   ⚠️ TMDB API key is invalid or expired. Please update TMDB_API_KEY.`);
-        }
-        return null;
-      }
-      const json = await res.json();
-      
-      if (json.results && json.results.length > 0) {
-        console.log(`   ✓ TMDB: Found ${json.results.length} results for "${query}", using: "${json.results[0].name || json.results[0].title}"`);
-        return json.results[0].id;
-      }
-      
-      console.log(`   ℹ️ TMDB: No results for "${query}"`);
-    } catch (err) {
-      console.log(`   ⚠️ TMDB search error: ${err.message}`);
-    }
-  }
-  
-  return null;
-}
-
-async function fetchTMDBDetails(tmdbId, type = "tv") {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey || !tmdbId) return null;
-  const url = `${TMDB_BASE_URL}/${type}/${tmdbId}?api_key=${apiKey}&language=en-US&append_to_response=images`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  const posters = [];
-  if (data.poster_path) posters.push(`${TMDB_IMAGE_BASE}${data.poster_path}`);
-  data.images?.posters?.slice(0, 5).forEach((img) => {
-    const src = `${TMDB_IMAGE_BASE}${img.file_path}`;
-    if (!posters.includes(src)) posters.push(src);
-  });
-  const backdrops = [];
-  if (data.backdrop_path)
-    backdrops.push(`${TMDB_IMAGE_BASE}${data.backdrop_path}`);
-  data.images?.backdrops?.slice(0, 5).forEach((img) => {
-    const src = `${TMDB_IMAGE_BASE}${img.file_path}`;
-    if (!backdrops.includes(src)) backdrops.push(src);
-  });
-  return {
-    tmdb_id: data.id,
-    title: data.name || data.title || null,
-    description: data.overview || null,
-    rating: data.vote_average ? parseFloat(data.vote_average.toFixed(2)) : null,
-    popularity: data.popularity ? parseFloat(data.popularity.toFixed(3)) : null,
-    status: data.status || null,
-    genres: data.genres?.map((g) => g.name) || [],
-    studios: data.production_companies?.map((c) => c.name) || [],
-    release_date: data.first_air_date || data.release_date || null,
-    total_seasons: data.number_of_seasons || null,
-    total_episodes: data.number_of_episodes || null,
-    runtime: data.runtime || null,
-    posters,
-    backdrops,
-    poster: posters[0] || null,
-    banner_image: backdrops[0] || null,
-  };
-}
-
-async function getTMDBData(title, isMovie = false) {
-  const type = isMovie ? "movie" : "tv";
-  console.log(`   🎬 TMDB: Searching for "${title}" (${type})...`);
-  const tmdbId = await searchTMDB(title, type);
-  if (!tmdbId) {
-    console.log(`   ⚠️ TMDB: No results found for "${title}"`);
-    return null;
-  }
-  console.log(`   ✓ TMDB: Found ID ${tmdbId} for "${title}"`);
-  const details = await fetchTMDBDetails(tmdbId, type);
-  if (details) {
-    console.log(`   ✓ TMDB: Fetched details - Rating: ${details.rating}, Genres: ${details.genres?.slice(0, 3).join(', ')}`);
-  }
-  return details;
-}
-
-function extractEpisodeCards(html) {
-  const $ = cheerio.load(html);
-  const cards = [];
-  const seen = new Set();
-  
-  $('article.episodes, article.post').each((_, el) => {
-    const article = $(el);
-    const anchor = article.find('a[href*="/episode/"], a.lnk-blk[href*="/episode/"]').first();
-    if (!anchor.length) return;
-    
-    const url = normalizeUrl(anchor.attr("href"));
-    if (!url || seen.has(url)) return;
-    seen.add(url);
-    
-    const titleEl = article.find('.entry-title, h2').first();
-    const title = titleEl.text().trim() || anchor.attr("title") || "";
-    
-    const img = article.find('figure img, .post-thumbnail img, img').first();
-    let thumb = null;
-    if (img.length) {
-      thumb = img.attr("data-src") || img.attr("src") || img.attr("data-lazy-src");
-      if (thumb && thumb.startsWith('//')) {
-        thumb = 'https:' + thumb;
-      } else if (thumb) {
-        thumb = normalizeUrl(thumb);
-      }
-    }
-    
-    cards.push({ url, title, thumb });
-  });
-  
-  $('a[href*="/episode/"], a[href*="/watch/"]').each((_, el) => {
-    const anchor = $(el);
-    const url = normalizeUrl(anchor.attr("href"));
-    if (!url || seen.has(url)) return;
-    seen.add(url);
-    const title = (anchor.attr("title") || anchor.text()).trim();
-    const img = anchor.find("img").first();
-    let thumb = null;
-    if (img.length) {
-      thumb = img.attr("data-src") || img.attr("src");
-      if (thumb && thumb.startsWith('//')) {
-        thumb = 'https:' + thumb;
-      } else if (thumb) {
-        thumb = normalizeUrl(thumb);
-      }
-    }
-    cards.push({ url, title, thumb });
-  });
-  
-  return cards;
-}
-
-function extractSeriesEpisodeLinks(seriesHtml, seriesUrl) {
-  const $ = cheerio.load(seriesHtml);
-  const links = [];
-  const seen = new Set();
-
-  const addLink = (anchor) => {
-    const node = $(anchor);
-    const url = normalizeUrl(node.attr("href"), seriesUrl);
-    if (!url || !url.includes("/episode/")) return;
-    const code = parseEpisodeCode(url);
-    if (!code) return;
-    const key = `${code.season}x${code.episode}`;
-    if (seen.has(key)) return;
-    seen.add(key);
-
-    const text = node.text().trim();
-    const img = node.find("img").first();
-    const thumb = img.length
-      ? normalizeUrl(img.attr("data-src") || img.attr("src"), seriesUrl)
-      : null;
-
-    links.push({
-      url,
-      season: code.season,
-      episode: code.episode,
-      title: text,
-      thumb,
-    });
-  };
-
-  $('a[href*="/episode/"]').each((_, el) => addLink(el));
-  return links.sort((a, b) => {
-    if (a.season === b.season) return a.episode - b.episode;
-    return a.season - b.season;
-  });
-}
-
-function parseEpisodeCode(url) {
-  const match = url.match(/(\d+)x(\d+)/i);
-  if (!match) return null;
-  return {
-    season: parseInt(match[1], 10),
-    episode: parseInt(match[2], 10),
-  };
-}
-
-async function extractRealVideoUrl(intermediateUrl, options = {}) {
-  const visited = new Set();
-  const MAX_DEPTH = CONFIG.embedMaxDepth + 2; // Increase depth for better resolution
-
-  const needsFollow = (url) => {
-    if (!url) return false;
-    if (url.includes("trembed")) return true;
-    if (url.includes("trid=")) return true;
-    if (url.includes("trtype=")) return true;
-    if (isToonstreamUrl(url)) return true;
-    // Follow embed/player URLs
-    if (url.includes("/embed/") || url.includes("/player/") || url.includes("/e/")) return true;
-    return false;
-  };
-
-  const isVideoUrl = (url) => {
-    if (!url) return false;
-    // Check for common video file extensions
-    const videoExtensions = ['.mp4', '.m3u8', '.webm', '.mkv', '.avi', '.mov', '.flv'];
-    const lowerUrl = url.toLowerCase();
-    for (const ext of videoExtensions) {
-      if (lowerUrl.includes(ext)) return true;
-    }
-    // Check for common video streaming patterns
-    if (url.includes('/video/') || url.includes('/stream/') || url.includes('/hls/')) return true;
-    if (url.includes('googlevideo.com') || url.includes('googleusercontent.com')) return true;
-    if (url.includes('streamtape') || url.includes('filemoon') || url.includes('voe.sx')) return true;
-    if (url.includes('dood') || url.includes('mixdrop') || url.includes('streamlare')) return true;
-    return false;
-  };
-
-  const resolve = async (url, depth = 0) => {
-    if (!url) return null;
-    if (visited.has(url)) return url;
-    if (depth > MAX_DEPTH) return url;
-
-    visited.add(url);
-    console.log(`   🔍 [Depth ${depth}] Resolving: ${url.substring(0, 80)}...`);
-
-    let html;
-    try {
-      html = await fetchHtmlWithRetry(url, CONFIG.maxRetries, {
-        referer: options.referer || options.parent || CONFIG.homeUrl,
+      let startedAt = 0;
+      const res = await hostLimiter.schedule(requestUrl, () => {
+        startedAt = Date.now();
+        return axios.get(requestUrl, config);
       });
-    } catch (err) {
-      console.warn(
-        `  ⚠️ Failed to load embed ${url} (depth ${depth}): ${err.message}`,
-      );
-      // Return null if we can't fetch the URL - don't return the failed URL
-      return null;
-    }
-
-    const $ = cheerio.load(html);
-
-    const pickDirectVideo = () => {
-      const videoTags = $("video, source");
-      for (let i = 0; i < videoTags.length; i++) {
-        const node = $(videoTags[i]);
-        const src = node.attr("src") || node.attr("data-src");
-        const normalized = normalizeUrl(src, url);
-        if (normalized && !normalized.startsWith("blob:")) {
-          console.log(`      ✓ Found video source: ${normalized.substring(0, 60)}...`);
-          return normalized;
-        }
-      }
-      return null;
-    };
-
-    const pickIframe = () => {
-      const iframes = $("iframe");
-      const iframeUrls = [];
-      for (let i = 0; i < iframes.length; i++) {
-        const iframe = $(iframes[i]);
-        const raw =
-          iframe.attr("src") ||
-          iframe.attr("data-src") ||
-          iframe.attr("data-lazy-src");
-        const normalized = normalizeUrl(raw, url);
-        if (normalized && normalized !== url && !visited.has(normalized)) {
-          iframeUrls.push(normalized);
-        }
-      }
-      // Return the first iframe that is not the current URL
-      return iframeUrls[0] || null;
-    };
-
-    const pickFromScripts = () => {
-      const scripts = $("script").toArray();
-      const allCandidates = [];
-      
-      // More comprehensive patterns for video URLs
-      const patterns = [
-        // Direct video source patterns
-        /["']?(?:src|file|source|url|video_url|stream_url)["']?\s*[:=]\s*["']([^"']+\.(?:mp4|m3u8|webm)[^"']*)/gi,
-        // Embed/iframe patterns
-        /(?:iframe|embed|player).*?src=["']([^"']+)["']/gi,
-        // JSON-style patterns
-        /"(?:url|file|src|source)":\s*"([^"]+)"/gi,
-        /'(?:url|file|src|source)':\s*'([^']+)'/gi,
-        // Player setup patterns
-        /(?:player|jwplayer|videojs).*?["']?(?:file|src|source)["']?\s*[:=]\s*["']([^"']+)/gi,
-        // Direct URL patterns (for .mp4, .m3u8, etc.)
-        /https?:\/\/[^\s"'<>\]]+\.(?:mp4|m3u8|webm)/gi,
-        // Generic HTTPS URLs in scripts
-        /https?:\/\/[^\s"'<>\]]+/gi,
-      ];
-
-      for (const script of scripts) {
-        const content = $(script).html() || "";
-        for (const pattern of patterns) {
-          pattern.lastIndex = 0; // Reset regex state
-          const matches = content.matchAll(pattern);
-          for (const match of matches) {
-            const candidate = match[1] || match[0];
-            if (candidate) {
-              const normalized = normalizeUrl(candidate, url);
-              if (normalized && normalized !== url && !visited.has(normalized)) {
-                allCandidates.push(normalized);
-              }
-            }
-          }
-        }
-      }
-
-      // Prioritize video URLs
-      const videoUrl = allCandidates.find(u => isVideoUrl(u));
-      if (videoUrl) {
-        console.log(`      ✓ Found video in script: ${videoUrl.substring(0, 60)}...`);
-        return videoUrl;
-      }
-
-      // Otherwise return first embed/iframe URL for further processing
-      const embedUrl = allCandidates.find(u => needsFollow(u) || u.includes('/embed/') || u.includes('/player/'));
-      if (embedUrl) {
-        return embedUrl;
-      }
-
-      return allCandidates[0] || null;
-    };
-
-    // Check for direct video first
-    const directVideo = pickDirectVideo();
-    if (directVideo && isVideoUrl(directVideo)) {
-      return directVideo;
-    }
-
-    // Check iframes FIRST - prefer iframe over script URLs
-    const iframeUrl = pickIframe();
-    
-    // If we have an iframe URL, follow it (this is likely the real video player)
-    if (iframeUrl && depth < MAX_DEPTH) {
-      const iframeNotToonstream = !iframeUrl.includes('toonstream.one') && 
-                                  !iframeUrl.includes('trembed') && 
-                                  !iframeUrl.includes('trid=') &&
-                                  !iframeUrl.includes('trtype=');
-      
-      // Check if iframe points to a known video player domain
-      const isVideoPlayer = iframeUrl.includes('play.') || 
-                           iframeUrl.includes('player.') ||
-                           iframeUrl.includes('/video/') ||
-                           iframeUrl.includes('/embed/') ||
-                           iframeUrl.includes('/e/') ||
-                           iframeUrl.includes('/t/') ||
-                           iframeUrl.includes('zephyrflick') ||
-                           iframeUrl.includes('filemoon') ||
-                           iframeUrl.includes('streamtape') ||
-                           iframeUrl.includes('dood') ||
-                           iframeUrl.includes('voe.sx') ||
-                           iframeUrl.includes('mixdrop') ||
-                           iframeUrl.includes('emturbovid') ||
-                           iframeUrl.includes('turbovid') ||
-                           iframeUrl.includes('vidmoly') ||
-                           iframeUrl.includes('streamwish') ||
-                           iframeUrl.includes('vidhide') ||
-                           iframeUrl.includes('vidguard') ||
-                           iframeUrl.includes('vidsrc') ||
-                           iframeUrl.includes('embedsito') ||
-                           iframeUrl.includes('upstream') ||
-                           iframeUrl.includes('mp4upload') ||
-                           iframeUrl.includes('okru') ||
-                           iframeUrl.includes('sbplay') ||
-                           iframeUrl.includes('streamsb') ||
-                           iframeUrl.includes('vidcloud') ||
-                           iframeUrl.includes('goload') ||
-                           iframeUrl.includes('gogo');
-      
-      // If iframe URL is from external domain (not toonstream), return it directly
-      if (iframeNotToonstream && (isVideoPlayer || isVideoUrl(iframeUrl))) {
-        console.log(`      ✓ Found video player iframe: ${iframeUrl.substring(0, 60)}...`);
-        return iframeUrl;
-      }
-      
-      // If external domain but not recognized player, still return it (it's the real embed URL)
-      if (iframeNotToonstream && iframeUrl.startsWith('http')) {
-        console.log(`      ✓ Found external iframe: ${iframeUrl.substring(0, 60)}...`);
-        return iframeUrl;
-      }
-      
-      // Follow the iframe to find the actual video (only if it's still a toonstream URL)
-      if (needsFollow(iframeUrl)) {
-        return resolve(iframeUrl, depth + 1);
-      }
-    }
-
-    // Check scripts for video URLs (only if no good iframe found)
-    const scriptUrl = pickFromScripts();
-    
-    // Only use script URL if it's an actual video URL or needs to be followed
-    if (scriptUrl) {
-      if (isVideoUrl(scriptUrl)) {
-        return scriptUrl;
-      }
-      // Don't follow random script URLs - they're often ads/trackers
-      // Only follow if it looks like a video embed
-      if (needsFollow(scriptUrl) && depth < MAX_DEPTH) {
-        return resolve(scriptUrl, depth + 1);
-      }
-    }
-
-    // If we have an iframe, follow it even if not a known player
-    if (iframeUrl && depth < MAX_DEPTH) {
-      return resolve(iframeUrl, depth + 1);
-    }
-    
-    // Fallback to direct video or original URL
-    return directVideo || url;
-  };
-
-  const result = await resolve(intermediateUrl, 0);
-  console.log(`   📹 Final resolved URL: ${result ? result.substring(0, 60) + '...' : 'none'}`);
-  return result;
-}
+      proxyManager.reportSuccess(currentProxy, Date.now() - startedAt);
+      const body = String(res.data || "");
+      // Cloudflare sometimes serves its challenge with a 200
+      const blocked = errorFromResponse(requestUrl, { status: res.status, headers: res.headers, body });
+      if (blocked) throw blocked;
+      noteResponse(requestUrl, null, res.status);
+      mirrors.reportSuccess(requestUrl);
+      mirrors.noteRedirect(requestUrl, res.request?.res?.responseUrl);
+      await fixtures.record({ url }, { status: res.status, body });
+      return body;
+    } catch (rawErr) {
+      const err = toFetchError(rawErr, requestUrl);
+      lastErr = err;
+      noteResponse(requestUrl, err);
+      await mirrors.reportFailure(requestUrl, err);
 
-function extractPostId(html) {
-  const $ = cheerio.load(html);
-  
-  // Look for post ID in common WordPress locations
-  const postIdPatterns = [
-    // From data attributes
-    () => $('[data-post], [data-post-id]').first().attr('data-post') || $('[data-post], [data-post-id]').first().attr('data-post-id'),
-    // From input fields
-    () => $('input[name="post"], input[name="post_id"]').first().val(),
-    // From body class
-    () => {
-      const bodyClass = $('body').attr('class') || '';
-      const match = bodyClass.match(/postid-(\d+)/);
-      return match ? match[1] : null;
-    },
-    // From article tag
-    () => $('article[id^="post-"]').first().attr('id')?.replace('post-', ''),
-    // From script tags
-    () => {
-      const scripts = $('script').toArray();
-      for (const script of scripts) {
-        const content = $(script).html() || '';
-        const patterns = [
-          /"post_id"\s*:\s*"?(\d+)"?/,
-          /'post_id'\s*:\s*'?(\d+)'?/,
-          /post[_-]?id\s*=\s*['"]?(\d+)['"]?/i,
-        ];
-        
-        for (const pattern of patterns) {
-          const match = content.match(pattern);
-          if (match && match[1]) {
-            return match[1];
-          }
-        }
+      // No response at all, or an IP block, is the proxy's fault; challenges
+      // cool it down through the identity rotation below
+      if (currentProxy && (err.status == null || (err instanceof BlockedError && !err.challenge))) {
+        proxyManager.markProxyAsFailed(currentProxy, err.code || err.name);
       }
-      return null;
-    },
-  ];
-  
-  for (const extractFn of postIdPatterns) {
-    const postId = extractFn();
-    if (postId) {
-      return postId;
-    }
-  }
-  
-  return null;
-}
 
-function extractNonce(html) {
-  const $ = cheerio.load(html);
-  
-  const noncePatterns = [
-    () => $('input[name="_wpnonce"]').first().val(),
-    () => $('input[name="nonce"]').first().val(),
-    () => $('[data-nonce]').first().attr('data-nonce'),
-    () => {
-      const scripts = $('script').toArray();
-      for (const script of scripts) {
-        const content = $(script).html() || '';
-        const patterns = [
-          /["']nonce["']\s*:\s*["']([A-Za-z0-9_-]+)["']/,
-          /["']_wpnonce["']\s*:\s*["']([A-Za-z0-9_-]+)["']/,
-          /nonce\s*=\s*["']([A-Za-z0-9_-]+)["']/,
-          /ajax_nonce\s*[=:]\s*["']([A-Za-z0-9_-]+)["']/,
-          /security\s*[=:]\s*["']([A-Za-z0-9_-]+)["']/,
-          /dooplay\s*=\s*\{[^}]*nonce\s*:\s*["']([A-Za-z0-9_-]+)["']/,
-          /var\s+\w+\s*=\s*\{[^}]*["']nonce["']\s*:\s*["']([A-Za-z0-9_-]+)["']/,
-        ];
-        
-        for (const pattern of patterns) {
-          const match = content.match(pattern);
-          if (match && match[1]) {
-            return match[1];
-          }
-        }
-      }
-      return null;
-    },
-  ];
-  
-  for (const extractFn of noncePatterns) {
-    const nonce = extractFn();
-    if (nonce) {
-      return nonce;
-    }
-  }
-  
-  return null;
-}
+      // A missing page stays missing, retrying only costs requests
+      if (err instanceof NotFoundError) throw err;
 
-async function fetchEpisodeDataFromAPI(postId, season, nonce = null) {
-  if (!postId || !season) return null;
-  
-  try {
-    const url = CONFIG.ajaxUrl;
-    const params = new URLSearchParams({
-      action: 'action_select_season',
-      season: season.toString(),
-      post: postId,
-    });
-    
-    if (nonce) {
-      params.append('nonce', nonce);
-      params.append('_wpnonce', nonce);
-    }
-    
-    const response = await axios.post(url, params, {
-      timeout: CONFIG.requestTimeout,
-      headers: {
-        "User-Agent": getUA(),
-        "Content-Type": "application/x-www-form-urlencoded",
-        Referer: CONFIG.homeUrl,
-        Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-        "X-Requested-With": "XMLHttpRequest",
-        ...(CONFIG.toonstreamCookies
-          ? { Cookie: CONFIG.toonstreamCookies }
-          : {}),
-      },
-    });
-    
-    const html = String(response.data || '');
-    if (!html) return null;
-    
-    const $ = cheerio.load(html);
-    const episodes = [];
-    
-    // Parse episode list items
-    $('li').each((_, el) => {
-      const $li = $(el);
-      const $article = $li.find('article.post, article.episodes');
-      
-      if ($article.length === 0) return;
-      
-      // Extract episode image
-      const $img = $article.find('img, .post-thumbnail img');
-      let imageUrl = null;
-      if ($img.length > 0) {
-        imageUrl = $img.attr('data-src') || $img.attr('src') || $img.attr('data-lazy-src');
-        // Fix protocol-relative URLs
-        if (imageUrl && imageUrl.startsWith('//')) {
-          imageUrl = 'https:' + imageUrl;
-        } else if (imageUrl) {
-          imageUrl = normalizeUrl(imageUrl);
+      if (err instanceof BlockedError) {
+        recordBlock(err);
+        if (err instanceof ChallengeError && isToonstreamUrl(requestUrl)) {
+          rotateToonstreamIdentity(currentProxy);
         }
       }
-      
-      // Extract episode URL
-      const $link = $article.find('a.lnk-blk, a[href*="/episode/"]');
-      const episodeUrl = normalizeUrl($link.attr('href'));
-      
-      // Extract episode code (e.g., "1x1")
-      const episodeCode = $article.find('.num-epi, .entry-header span').first().text().trim();
-      const codeMatch = episodeCode.match(/(\d+)x(\d+)/);
-      
-      // Extract title
-      const title = $article.find('.entry-title, h2').first().text().trim();
-      
-      if (episodeUrl && codeMatch) {
-        episodes.push({
-          url: episodeUrl,
-          image: imageUrl,
-          season: parseInt(codeMatch[1], 10),
-          episode: parseInt(codeMatch[2], 10),
-          title: title,
-          code: episodeCode,
-        });
-      }
-    });
-    
-    return episodes;
-  } catch (err) {
-    console.warn(`  ⚠️ Failed to fetch episode data from API: ${err.message}`);
-    return null;
-  }
-}
 
-async function extractEmbeds(html, episodeUrl) {
-  const $ = cheerio.load(html);
-  const serverOptions = [];
-  const seen = new Set();
-  
-  // First, look for player options (dooplay_player_option) to build trembed URLs
-  $('li.dooplay_player_option').each((_, el) => {
-    const $el = $(el);
-    const type = $el.attr('data-type');
-    const post = $el.attr('data-post');
-    const nume = $el.attr('data-nume');
-    
-    if (post && nume) {
-      const trembedUrl = `https://toonstream.one/?trembed=${nume}&trid=${post}&trtype=${type || '2'}`;
-      if (!seen.has(trembedUrl)) {
-        seen.add(trembedUrl);
-        serverOptions.push({
-          name: `Server ${parseInt(nume) + 1}`,
-          trembedUrl,
-          option: parseInt(nume) + 1,
-        });
-      }
-    }
-  });
-  
-  // Also look for direct iframes that might already be external URLs
-  $("iframe").each((_, el) => {
-    const src =
-      $(el).attr("src") ||
-      $(el).attr("data-src") ||
-      $(el).attr("data-lazy-src");
-    const url = normalizeUrl(src);
-    if (url && !seen.has(url)) {
-      seen.add(url);
-      // Check if this is already an external video URL (not toonstream)
-      const isExternal = !url.includes('toonstream.one') && 
-                         !url.includes('trembed') && 
-                         !url.includes('trid=');
-      serverOptions.push({
-        name: `Server ${serverOptions.length + 1}`,
-        trembedUrl: isExternal ? null : url,
-        directUrl: isExternal ? url : null,
-        option: serverOptions.length + 1,
-      });
-    }
-  });
-  
-  // Now fetch real video URLs from trembed URLs
-  const embeds = [];
-  for (let i = 0; i < serverOptions.length; i++) {
-    const server = serverOptions[i];
-    
-    // If we already have a direct external URL, use it
-    if (server.directUrl) {
-      console.log(`   ✓ Direct external URL: ${server.directUrl.substring(0, 60)}...`);
-      embeds.push({ 
-        name: server.name,
-        url: server.directUrl,
-        real_video: server.directUrl,
-        type: 'iframe',
-        option: server.option,
-      });
-      continue;
-    }
-    
-    // Otherwise, resolve the trembed URL
-    if (server.trembedUrl) {
-      console.log(`   🔍 Resolving: ${server.trembedUrl.substring(0, 60)}...`);
-      const realVideoUrl = await extractRealVideoUrl(server.trembedUrl, {
-        referer: episodeUrl,
-        parent: episodeUrl,
-      });
-      
-      // Only add if we got a valid external URL (not the same as trembed URL)
-      if (realVideoUrl && 
-          realVideoUrl !== server.trembedUrl &&
-          !realVideoUrl.includes('toonstream.one') &&
-          !realVideoUrl.includes('trembed')) {
-        console.log(`   ✓ Resolved to: ${realVideoUrl.substring(0, 60)}...`);
-        embeds.push({ 
-          name: server.name,
-          url: realVideoUrl,
-          real_video: realVideoUrl,
-          type: 'iframe',
-          intermediate_url: server.trembedUrl,
-          option: server.option,
-        });
-      } else {
-        console.warn(`   ⚠️ Could not resolve: ${server.trembedUrl.substring(0, 60)}...`);
+      if (err.status) {
+        console.warn(
+          `  ⚠️ Request failed (${err.status} ${err.name}) for ${requestUrl} (attempt ${attempt}/${retries})`,
+        );
       }
       
-      // Small delay to avoid overwhelming the server
-      await delay(300);
+      // Rate limited hosts are already paused by the limiter, so only
+      // other failures wait here before the next attempt
+      if (attempt < retries && !(err instanceof RateLimitedError)) {
+        await delay(500 * attempt);
+      }
     }
   }
-  
-  return embeds;
+  throw lastErr;
 }
 
-function extractEpisodeMeta(html) {
-  const $ = cheerio.load(html);
-  const title =
-    $("h1.entry-title").first().text().trim() ||
-    $('meta[property="og:title"]').attr("content") ||
-    $("title").text().trim();
+async function postToonstreamForm(url, body, options = {}) {
+  const recorded = await fixtures.lookup({ method: "POST", url, body });
+  if (recorded) return String(recorded.body || "");
 
-  const thumbnail =
-    $('meta[property="og:image"]').attr("content") ||
-    $("div.post-thumbnail img").attr("src") ||
-    $("div.video-options img").attr("src") ||
-    null;
+  let response;
+  try {
+    response = await hostLimiter.schedule(url, () =>
+      axios.post(url, body, {
+        timeout: CONFIG.requestTimeout,
+        headers: {
+          "User-Agent": toonstreamIdentity.userAgent,
+          "Content-Type": "application/x-www-form-urlencoded",
+          Referer: options.referer || CONFIG.homeUrl,
+          Accept:
+            "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+          "X-Requested-With": "XMLHttpRequest",
+          ...(currentToonstreamCookies()
+            ? { Cookie: currentToonstreamCookies() }
+            : {}),
+        },
+      }),
+    );
+  } catch (rawErr) {
+    const err = toFetchError(rawErr, url);
+    noteResponse(url, err);
+    await mirrors.reportFailure(url, err);
+    if (err instanceof BlockedError) recordBlock(err);
+    if (err instanceof ChallengeError) rotateToonstreamIdentity(null);
+    throw err;
+  }
+  const blocked = errorFromResponse(url, { status: response.status, headers: response.headers, body: String(response.data || "") });
+  noteResponse(url, blocked, response.status);
+  mirrors.reportSuccess(url);
+  if (blocked) {
+    recordBlock(blocked);
+    rotateToonstreamIdentity(null);
+    throw blocked;
+  }
 
-  return {
-    title: title?.replace(/\s+/g, " ").trim() || null,
-    thumbnail: thumbnail ? normalizeUrl(thumbnail) : null,
-    episode_main_poster: normalizeUrl(
-      $("div.video-options img").attr("src") ||
-        $("div.video-options img").attr("data-src") ||
-        $("div.video-options img").attr("data-lazy-src"),
-    ),
-  };
+  const html = String(response.data || "");
+  await fixtures.record({ method: "POST", url, body }, { status: response.status, body: html });
+  return html;
 }
 
-function extractSeriesMeta(seriesHtml) {
-  const $ = cheerio.load(seriesHtml);
-  const title =
-    $("h1.entry-title").first().text().trim() ||
-    $('meta[property="og:title"]').attr("content") ||
-    $("title").text().trim();
-  const description =
-    $('meta[property="og:description"]').attr("content") ||
-    $("div.entry-content p").first().text().trim() ||
-    "";
-  const thumbnail =
-    $('meta[property="og:image"]').attr("content") ||
-    $("div.post-thumbnail img").attr("src") ||
-    null;
-  const genres = [];
-  $('a[rel="tag"], .genres a').each((_, el) => {
-    const name = $(el).text().trim();
-    if (name && !genres.includes(name)) genres.push(name);
-  });
-  const yearMatch = $("span.year, .year").first().text().match(/\d{4}/);
-  const year = yearMatch ? parseInt(yearMatch[0], 10) : null;
-  return {
-    title: title?.replace(/\s+/g, " ").trim() || null,
-    description: description?.replace(/\s+/g, " ").trim() || null,
-    poster: thumbnail ? normalizeUrl(thumbnail) : null,
-    genres,
-    year,
-  };
+// Parallel jobs of one series share a single in-flight lookup
+function resolveSeriesContext(seriesUrl, fallbackTitle) {
+  if (seriesCache.has(seriesUrl)) return seriesCache.get(seriesUrl);
+  const pending = loadSeriesContext(seriesUrl, fallbackTitle);
+  seriesCache.set(seriesUrl, pending);
+  pending.catch(() => seriesCache.delete(seriesUrl));
+  return pending;
 }
 
-async function resolveSeriesContext(seriesUrl, fallbackTitle) {
-  if (seriesCache.has(seriesUrl)) return seriesCache.get(seriesUrl);
-  const html = await fetchHtmlWithRetry(seriesUrl, CONFIG.maxRetries, {
-    referer: CONFIG.homeUrl,
-  });
-  const meta = extractSeriesMeta(html);
-  if (!meta.title && fallbackTitle) meta.title = fallbackTitle;
-  if (!meta.title) meta.title = cleanSlug(seriesUrl).replace(/-/g, " ");
-  const sourceSlug =
-    extractSeriesSlugFromUrl(seriesUrl) || cleanSlug(meta.title);
-  const slug = sourceSlug || cleanSlug(meta.title);
-
-  // Extract clean series name from slug for TMDB search
-  const slugBasedName = extractSeriesNameFromSlug(slug);
+async function loadSeriesContext(seriesUrl, fallbackTitle) {
+  const { payload, sourceSlug, hasTmdb } = await scraper.buildSeriesPayload(
+    seriesUrl,
+    fallbackTitle,
+  );
+
+  console.log(`   💾 ${storage.name}: Upserting series "${payload.title}" (slug: ${payload.slug})...`);
+  console.log(`      📊 TMDB data: ${hasTmdb ? 'Yes' : 'No'}, Rating: ${payload.rating || 'N/A'}`);
+  tmdbLookups.inc({ type: "tv", result: hasTmdb ? "hit" : "miss" });
   
-  let tmdbData = null;
   try {
-    // First try with the cleaned slug-based name (better for anime)
-    if (slugBasedName) {
-      console.log(`   🔍 Trying TMDB search with slug name: "${slugBasedName}"`);
-      tmdbData = await getTMDBData(slugBasedName);
-    }
-    
-    // If no results, try with page title
-    if (!tmdbData && meta.title && meta.title !== slugBasedName) {
-      console.log(`   🔍 Trying TMDB search with page title: "${meta.title}"`);
-      tmdbData = await getTMDBData(meta.title);
-    }
+    await storage.upsertSeries(payload);
   } catch (err) {
-    console.warn(`TMDB lookup failed for ${meta.title}: ${err.message}`);
-  }
-
-  const payload = {
-    slug,
-    title: meta.title,
-    description: tmdbData?.description || meta.description,
-    poster: tmdbData?.poster || meta.poster,
-    banner_image: tmdbData?.banner_image || null,
-    cover_image_large: tmdbData?.poster || meta.poster,
-    cover_image_extra_large: tmdbData?.poster || meta.poster,
-    genres: tmdbData?.genres?.length ? tmdbData.genres : meta.genres,
-    tmdb_id: tmdbData?.tmdb_id || null,
-    rating: tmdbData?.rating || null,
-    popularity: tmdbData?.popularity || null,
-    status: tmdbData?.status || null,
-    studios: tmdbData?.studios || [],
-    release_date: tmdbData?.release_date || null,
-    total_seasons: tmdbData?.total_seasons || 1,
-    total_episodes: tmdbData?.total_episodes || null,
-    posters: tmdbData?.posters || (meta.poster ? [meta.poster] : []),
-    backdrops: tmdbData?.backdrops || [],
-    year:
-      meta.year ||
-      (tmdbData?.release_date
-        ? parseInt(tmdbData.release_date.split("-")[0], 10)
-        : null),
-  };
-
-  console.log(`   💾 Supabase: Upserting series "${meta.title}" (slug: ${slug})...`);
-  console.log(`      📊 TMDB data: ${tmdbData ? 'Yes' : 'No'}, Rating: ${tmdbData?.rating || 'N/A'}`);
-  
-  const { error, data } = await supabase
-    .from("series")
-    .upsert(payload, { onConflict: "slug" })
-    .select();
-    
-  if (error) {
-    console.log(`   ❌ Supabase series upsert FAILED: ${error.message}`);
-    console.log(`      Error code: ${error.code}, Details: ${JSON.stringify(error.details || {})}`);
-    throw new Error(`Supabase series upsert failed: ${error.message}`);
+    console.log(`   ❌ ${storage.name} series upsert FAILED: ${err.message}`);
+    throw err;
   }
   
-  console.log(`   ✅ Supabase: Series upserted successfully`);
+  console.log(`   ✅ ${storage.name}: Series upserted successfully`);
 
-  const ctx = { ...payload, url: seriesUrl, sourceSlug: sourceSlug || slug };
-  seriesCache.set(seriesUrl, ctx);
-  return ctx;
+  return { ...payload, url: seriesUrl, sourceSlug };
 }
 
 async function getExistingEpisodeSet(seriesSlug) {
-  const { data, error } = await supabase
-    .from("episodes")
-    .select("season, episode")
-    .eq("series_slug", seriesSlug);
-
-  if (error) throw new Error(`Supabase check failed: ${error.message}`);
+  const rows = await storage.listEpisodes(seriesSlug);
   const set = new Set();
-  data?.forEach((row) =>
+  rows.forEach((row) =>
     set.add(makeSeasonEpisodeKey(row.season, row.episode)),
   );
   return set;
 }
 
-async function episodeExistsInSupabase(seriesSlug, season, episode) {
-  const { data, error } = await supabase
-    .from("episodes")
-    .select("id")
-    .eq("series_slug", seriesSlug)
-    .eq("season", season)
-    .eq("episode", episode)
-    .maybeSingle();
-
-  if (error) {
-    throw new Error(`Episode verification failed: ${error.message}`);
-  }
-
+async function episodeExistsInStorage(seriesSlug, season, episode) {
+  const data = await storage.getEpisode(seriesSlug, season, episode);
   return Boolean(data);
 }
 
 async function checkEpisodeNeedsUpdate(seriesSlug, season, episode) {
-  const { data, error } = await supabase
-    .from("episodes")
-    .select("servers, thumbnail, episode_main_poster")
-    .eq("series_slug", seriesSlug)
-    .eq("season", season)
-    .eq("episode", episode)
-    .maybeSingle();
-
-  if (error) {
-    throw new Error(`Episode check failed: ${error.message}`);
-  }
+  const data = await storage.getEpisode(seriesSlug, season, episode);
 
   if (!data) return { exists: false, needsUpdate: true };
 
   const hasServers = data.servers && Array.isArray(data.servers) && data.servers.length > 0;
+  const serversDead = allServersDead(data.servers);
   const hasThumbnail = Boolean(data.thumbnail);
   const hasPoster = Boolean(data.episode_main_poster);
 
   return {
     exists: true,
-    needsUpdate: !hasServers || !hasThumbnail || !hasPoster,
+    needsUpdate: !hasServers || serversDead || !hasThumbnail || !hasPoster,
     missingServers: !hasServers,
+    deadServers: serversDead,
     missingThumbnail: !hasThumbnail,
     missingPoster: !hasPoster,
   };
@@ -1265,120 +745,38 @@ async function upsertEpisode(
     ...episodePayload,
   };
   
-  console.log(`   💾 Supabase: Upserting episode ${seriesSlug} S${season}E${episode}...`);
+  console.log(`   💾 ${storage.name}: Upserting episode ${seriesSlug} S${season}E${episode}...`);
   console.log(`      📊 Servers count: ${episodePayload.servers?.length || 0}`);
   
   if (episodePayload.servers && episodePayload.servers.length > 0) {
     console.log(`      🔗 First server URL: ${episodePayload.servers[0]?.url?.substring(0, 50)}...`);
   }
   
-  const { error, data } = await supabase
-    .from("episodes")
-    .upsert(basePayload, { onConflict: "series_slug,season,episode" })
-    .select();
-    
-  if (error) {
-    console.log(`   ❌ Supabase episode upsert FAILED: ${error.message}`);
-    console.log(`      Error code: ${error.code}, Details: ${JSON.stringify(error.details || {})}`);
-    throw new Error(`Supabase episode upsert failed: ${error.message}`);
+  try {
+    await storage.upsertEpisode(basePayload);
+  } catch (err) {
+    console.log(`   ❌ ${storage.name} episode upsert FAILED: ${err.message}`);
+    throw err;
   }
   
-  console.log(`   ✅ Supabase: Episode upserted successfully`);
+  console.log(`   ✅ ${storage.name}: Episode upserted successfully`);
 
-  const latestPayload = {
-    series_slug: seriesSlug,
-    series_title: seriesTitle,
+  const latestPayload = buildLatestEpisodePayload(
+    seriesSlug,
+    seriesTitle,
     season,
     episode,
-    episode_title: episodePayload.title,
-    thumbnail:
-      episodePayload.episode_card_thumbnail ||
-      episodePayload.episode_list_thumbnail ||
-      episodePayload.thumbnail ||
-      null,
-    added_at: new Date().toISOString(),
-  };
-
-  const latest = await supabase
-    .from("latest_episodes")
-    .upsert(latestPayload, { onConflict: "series_slug,season,episode" })
-    .select();
-    
-  if (latest.error) {
-    console.log(`   ❌ Supabase latest_episodes upsert FAILED: ${latest.error.message}`);
-    throw new Error(`Supabase latest upsert failed: ${latest.error.message}`);
-  }
-  
-  console.log(`   ✅ Supabase: Latest episode record updated`);
-}
-
-async function extractSeriesUrlFromBreadcrumb(html) {
-  const $ = cheerio.load(html);
-  const breadcrumbs = $(
-    'nav.breadcrumb a[href*="/series/"], .entry-meta a[href*="/series/"]',
+    episodePayload,
   );
-  const last = breadcrumbs.last();
-  return normalizeUrl(last.attr("href"));
-}
-
-async function buildEpisodeRecord(episodeUrl, hints = {}) {
-  const episodeHtml = await fetchHtmlWithRetry(episodeUrl, CONFIG.maxRetries, {
-    referer: hints.seriesUrl || CONFIG.homeUrl,
-  });
-  const derivedSeriesUrl =
-    (await extractSeriesUrlFromBreadcrumb(episodeHtml)) ||
-    deriveSeriesUrlFromEpisode(episodeUrl) ||
-    hints.seriesUrl ||
-    episodeUrl.split("/episode/")[0];
-
-  const fallbackTitle = hints.seriesTitle || hints.card?.title || null;
-  const seriesCtx = await resolveSeriesContext(derivedSeriesUrl, fallbackTitle);
-  const meta = extractEpisodeMeta(episodeHtml);
-  const code = hints.code ||
-    parseEpisodeCode(episodeUrl) || {
-      season: 1,
-      episode: Math.floor(Date.now() / 1000),
-    };
-  const embeds = await extractEmbeds(episodeHtml, episodeUrl);
 
-  // Try to fetch episode image from API
-  let apiEpisodeImage = null;
   try {
-    const postId = extractPostId(episodeHtml);
-    const nonce = extractNonce(episodeHtml);
-    if (postId && code.season) {
-      const episodeData = await fetchEpisodeDataFromAPI(postId, code.season, nonce);
-      if (episodeData && episodeData.length > 0) {
-        // Find the matching episode by season and episode number
-        const matchingEpisode = episodeData.find(
-          ep => ep.season === code.season && ep.episode === code.episode
-        );
-        if (matchingEpisode && matchingEpisode.image) {
-          apiEpisodeImage = matchingEpisode.image;
-        }
-      }
-    }
+    await storage.upsertLatestEpisode(latestPayload);
   } catch (err) {
-    console.warn(`  ⚠️ Failed to fetch episode image from API: ${err.message}`);
-  }
-
-  const episodePayload = {
-    title: meta.title || hints.card?.title || `Episode ${code.episode}`,
-    thumbnail: apiEpisodeImage || meta.thumbnail || hints.card?.thumb || seriesCtx.poster,
-    episode_main_poster: apiEpisodeImage || meta.episode_main_poster || seriesCtx.poster,
-    episode_card_thumbnail: apiEpisodeImage || meta.thumbnail || hints.card?.thumb || null,
-    episode_list_thumbnail: apiEpisodeImage || hints.card?.thumb || meta.thumbnail || null,
-    video_player_thumbnail:
-      apiEpisodeImage || meta.episode_main_poster || meta.thumbnail || hints.card?.thumb || null,
-    servers: embeds,
-  };
-
-  if (!episodePayload.thumbnail) {
-    episodePayload.thumbnail =
-      seriesCtx.poster || seriesCtx.cover_image_large || null;
+    console.log(`   ❌ ${storage.name} latest_episodes upsert FAILED: ${err.message}`);
+    throw err;
   }
-
-  return { seriesCtx, code, episodePayload };
+  
+  console.log(`   ✅ ${storage.name}: Latest episode record updated`);
 }
 
 async function syncEpisodeByUrl(episodeUrl, options = {}) {
@@ -1394,6 +792,8 @@ async function syncEpisodeByUrl(episodeUrl, options = {}) {
     lastCode = code;
 
     const key = makeEpisodeKey(seriesCtx.slug, code.season, code.episode);
+    // The page knows the real series slug; the url only gave a guess
+    addLogContext({ series: seriesCtx.slug, episode: key });
     const seasonEpisodeKey = makeSeasonEpisodeKey(code.season, code.episode);
 
     // Check if episode needs update (missing servers or images)
@@ -1431,6 +831,7 @@ async function syncEpisodeByUrl(episodeUrl, options = {}) {
         // Episode exists but has missing data
         const missing = [];
         if (updateCheck.missingServers) missing.push("servers");
+        if (updateCheck.deadServers) missing.push("live servers");
         if (updateCheck.missingThumbnail) missing.push("thumbnail");
         if (updateCheck.missingPoster) missing.push("poster");
         console.log(
@@ -1447,7 +848,7 @@ async function syncEpisodeByUrl(episodeUrl, options = {}) {
       episodePayload,
     );
 
-    const persisted = await episodeExistsInSupabase(
+    const persisted = await episodeExistsInStorage(
       seriesCtx.slug,
       code.season,
       code.episode,
@@ -1457,15 +858,18 @@ async function syncEpisodeByUrl(episodeUrl, options = {}) {
       options.existingEpisodes?.add(seasonEpisodeKey);
 
       // Update statistics
+      const stats = currentStats();
       const serversCount = episodePayload.servers?.length || 0;
       stats.totalServers += serversCount;
       stats.seriesProcessed.add(seriesCtx.slug);
       
-      if (isUpdate) {
-        stats.updatedEpisodes++;
-      } else {
-        stats.newEpisodes++;
-      }
+      countEpisode(isUpdate ? "updated" : "new", {
+        series_slug: seriesCtx.slug,
+        season: code.season,
+        episode: code.episode,
+        reason: options.reason || null,
+        servers: serversCount,
+      });
 
       const context = options.reason ? ` (${options.reason})` : "";
       const attemptInfo = attempt > 1 ? ` (attempt ${attempt})` : "";
@@ -1477,181 +881,269 @@ async function syncEpisodeByUrl(episodeUrl, options = {}) {
     }
 
     console.warn(
-      `   ⚠️  Episode ${seriesCtx.title} S${code.season}E${code.episode} missing in Supabase after upsert, retrying...`,
+      `   ⚠️  Episode ${seriesCtx.title} S${code.season}E${code.episode} missing in ${storage.name} after upsert, retrying...`,
     );
     await delay(500 * attempt);
   }
 
-  console.error(
-    `❌ Failed to persist ${lastSeriesCtx?.title || "episode"} S${lastCode?.season}E${lastCode?.episode} after retries`,
+  throw new Error(
+    `Failed to persist ${lastSeriesCtx?.title || "episode"} S${lastCode?.season}E${lastCode?.episode} after retries`,
   );
-  stats.failedEpisodes++;
-  // Return with season/episode info even on failure for smart sync tracking
-  return lastSeriesCtx ? { ...lastSeriesCtx, season: lastCode?.season, episode: lastCode?.episode } : null;
 }
 
-function extractSeasonNumbers(html) {
-  const $ = cheerio.load(html);
-  const seasons = new Set();
-  
-  // Look for season buttons/options
-  $('[data-season], option[value]').each((_, el) => {
-    const seasonAttr = $(el).attr('data-season') || $(el).attr('value');
-    if (seasonAttr && !isNaN(seasonAttr)) {
-      seasons.add(parseInt(seasonAttr, 10));
-    }
+async function syncMovieByUrl(movieUrl, options = {}) {
+  const slug = extractSeriesSlugFromUrl(movieUrl);
+  const existing = slug ? await storage.getMovie(slug) : null;
+  const hasServers = Array.isArray(existing?.servers) && existing.servers.length > 0;
+  if (existing && hasServers && !options.force) {
+    return existing;
+  }
+
+  const { moviePayload, hasTmdb } = await buildMovieRecord(movieUrl, options);
+
+  console.log(`   💾 ${storage.name}: Upserting movie "${moviePayload.title}" (slug: ${moviePayload.slug})...`);
+  console.log(`      📊 TMDB data: ${hasTmdb ? 'Yes' : 'No'}, Servers: ${moviePayload.servers.length}`);
+  tmdbLookups.inc({ type: "movie", result: hasTmdb ? "hit" : "miss" });
+  await storage.upsertMovie(moviePayload);
+  await storage.upsertLatestEpisode(buildLatestMoviePayload(moviePayload));
+
+  currentStats().totalServers += moviePayload.servers.length;
+  countMovie(existing ? "updated" : "new", {
+    slug: moviePayload.slug,
+    reason: options.reason || null,
+    servers: moviePayload.servers.length,
   });
-  
-  // If no seasons found via data attributes, try text content
-  if (seasons.size === 0) {
-    $('.aa-cnt .se-c').each((_, el) => {
-      const text = $(el).find('.se-t').text();
-      const match = text.match(/season\s+(\d+)/i);
-      if (match) {
-        seasons.add(parseInt(match[1], 10));
-      }
+
+  const context = options.reason ? ` (${options.reason})` : "";
+  console.log(`🎞️  Synced movie ${moviePayload.title}${context} | Servers: ${moviePayload.servers.length}`);
+  return moviePayload;
+}
+
+// Best guess from /episode/<series>-1x5/ until the page is parsed
+function episodeLogContext(url) {
+  const code = parseEpisodeCode(url || "");
+  const series = extractSeriesSlugFromUrl(url)?.replace(/-\d+x\d+$/i, "") || null;
+  return {
+    series,
+    episode: series && code ? makeEpisodeKey(series, code.season, code.episode) : null,
+  };
+}
+
+// Job handlers: payloads are plain JSON so they survive a restart in storage.
+// Each one runs in its own log context, so lines carry the series / episode.
+function runEpisodeJob(payload) {
+  return withLogContext(episodeLogContext(payload.url), () => syncEpisodeJob(payload));
+}
+
+async function syncEpisodeJob(payload) {
+  let seriesCtx;
+  try {
+    seriesCtx = await syncEpisodeByUrl(payload.url, payload);
+  } catch (err) {
+    // A deleted episode page won't come back by retrying
+    if (err instanceof NotFoundError) {
+      console.log(`   ⏭️ Episode page gone, skipping: ${payload.url}`);
+      countEpisode("skipped", { url: payload.url, reason: "page gone" });
+      return { skipped: "page gone" };
+    }
+    countEpisode("failed", { url: payload.url, reason: payload.reason || null, error: err.message });
+    throw err;
+  }
+
+  // Homepage episodes hand their series over to the smart sync
+  if (payload.followSeries && seriesCtx?.slug) {
+    await enqueueSeries(seriesCtx.slug, {
+      title: seriesCtx.title,
+      url: seriesCtx.url || buildSeriesUrlFromSlug(seriesCtx.slug),
+      triggeringEpisode: { season: seriesCtx.season || 1, episode: seriesCtx.episode || 1 },
     });
   }
-  
-  // Default to season 1 if nothing found
-  if (seasons.size === 0) {
-    seasons.add(1);
+  return { series_slug: seriesCtx.slug, season: seriesCtx.season, episode: seriesCtx.episode };
+}
+
+function runSeriesJob(payload) {
+  return withLogContext({ series: payload.slug, episode: null }, () => syncSeriesJob(payload));
+}
+
+async function syncSeriesJob(payload) {
+  const seriesCtx = { slug: payload.slug, title: payload.title || payload.slug, url: payload.url };
+  const trigger = payload.triggeringEpisode;
+  console.log(
+    `   📺 Processing: ${seriesCtx.title}${trigger ? ` (triggered by S${trigger.season}E${trigger.episode})` : ""}`,
+  );
+  try {
+    return await ensureSeriesComplete(seriesCtx, trigger || null, { force: payload.force });
+  } catch (err) {
+    countFailure("series", { series_slug: seriesCtx.slug, reason: "series sync", error: err.message });
+    throw err;
   }
-  
-  return Array.from(seasons).sort((a, b) => a - b);
 }
 
-async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
+function runMovieJob(payload) {
+  return withLogContext({ series: extractSeriesSlugFromUrl(payload.url), episode: null }, () => syncMovieJob(payload));
+}
+
+async function syncMovieJob(payload) {
   try {
-    const html = await fetchHtmlWithRetry(seriesCtx.url, CONFIG.maxRetries, {
-      referer: CONFIG.homeUrl,
-    });
-    
-    // Extract post ID and nonce from series page
-    const postId = extractPostId(html);
-    const nonce = extractNonce(html);
-    if (!postId) {
-      console.warn(`   ⚠️  No post ID found for ${seriesCtx.title}, skipping`);
-      return;
-    }
-    
-    // Extract available seasons
-    const seasons = extractSeasonNumbers(html);
-    console.log(`      🔍 Found ${seasons.length} season(s) for ${seriesCtx.title}`);
-    
-    // Fetch all episodes from all seasons using WordPress AJAX API
-    const allEpisodeLinks = [];
-    for (const season of seasons) {
-      const episodeData = await fetchEpisodeDataFromAPI(postId, season, nonce);
-      if (episodeData && episodeData.length > 0) {
-        console.log(`         • Season ${season}: ${episodeData.length} episode(s)`);
-        allEpisodeLinks.push(...episodeData);
-      }
-      await delay(300); // Small delay between API calls
-    }
-    
-    if (allEpisodeLinks.length === 0) {
-      console.warn(`   ⚠️  No episodes found for ${seriesCtx.title}`);
-      return;
-    }
+    await syncMovieByUrl(payload.url, payload);
+  } catch (err) {
+    countMovie("failed", { url: payload.url, error: err.message });
+    throw err;
+  }
+}
 
-    // Get all existing episodes for this series
-    const { data: existingData } = await supabase
-      .from("episodes")
-      .select("season, episode, servers, thumbnail, episode_main_poster")
-      .eq("series_slug", seriesCtx.slug);
+export const queue = new JobQueue({
+  storage,
+  handlers: {
+    episode: runEpisodeJob,
+    series: runSeriesJob,
+    movie: runMovieJob,
+  },
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 5),
+  backoffMs: Number(process.env.JOB_BACKOFF_MS || 60_000),
+  concurrency: CONFIG.maxParallelSeriesFetch,
+});
+
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+// Keyed by path so a domain migration doesn't duplicate queued work
+function enqueueEpisode(url, options = {}, jobOptions = {}) {
+  return queue.enqueue("episode", mirrors.keyFor(url), mirrors.rewriteDeep({ url, ...options }), jobOptions);
+}
 
-    const existingEpisodes = new Set();
-    existingData?.forEach((ep) => {
-      const key = makeSeasonEpisodeKey(ep.season, ep.episode);
-      existingEpisodes.add(key);
-    });
+function enqueueSeries(slug, options = {}, jobOptions = {}) {
+  return queue.enqueue("series", slug, mirrors.rewriteDeep({ slug, ...options }), jobOptions);
+}
 
-    // Find missing episodes (new episodes not in database)
-    const missing = allEpisodeLinks.filter(
-      (link) => !existingEpisodes.has(makeSeasonEpisodeKey(link.season, link.episode)),
-    );
+function enqueueMovie(url, options = {}) {
+  return queue.enqueue("movie", mirrors.keyFor(url), mirrors.rewriteDeep({ url, ...options }));
+}
 
-    if (missing.length === 0) {
-      console.log(`      ✅ All episodes already synced for ${seriesCtx.title}`);
-      return;
+async function restoreMirror() {
+  const saved = await storage.getState(MIRROR_STATE_KEY);
+  if (saved?.origin) mirrors.restore(saved.origin);
+}
+
+// Queues the series' missing episodes (or, with options.force, all of them for a
+// refresh). Returns { seasons, episodes, queued } for callers that report it.
+async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null, options = {}) {
+  const summary = { seasons: [], episodes: 0, queued: [] };
+  const html = await fetchHtmlWithRetry(seriesCtx.url, CONFIG.maxRetries, {
+    referer: CONFIG.homeUrl,
+  });
+  
+  // Extract post ID and nonce from series page
+  const postId = extractPostId(html);
+  const nonce = extractNonce(html);
+  if (!postId) {
+    console.warn(`   ⚠️  No post ID found for ${seriesCtx.title}, skipping`);
+    return summary;
+  }
+  
+  // Extract available seasons
+  const seasons = extractSeasonNumbers(html);
+  summary.seasons = seasons;
+  console.log(`      🔍 Found ${seasons.length} season(s) for ${seriesCtx.title}`);
+  
+  // Fetch all episodes from all seasons using WordPress AJAX API
+  const allEpisodeLinks = [];
+  for (const season of seasons) {
+    const episodeData = await fetchEpisodeDataFromAPI(postId, season, nonce);
+    if (episodeData && episodeData.length > 0) {
+      console.log(`         • Season ${season}: ${episodeData.length} episode(s)`);
+      allEpisodeLinks.push(...episodeData);
     }
+  }
+  
+  summary.episodes = allEpisodeLinks.length;
+  if (allEpisodeLinks.length === 0) {
+    console.warn(`   ⚠️  No episodes found for ${seriesCtx.title}`);
+    return summary;
+  }
+
+  // Get all existing episodes for this series
+  const existingEpisodes = await getExistingEpisodeSet(seriesCtx.slug);
+
+  // Find missing episodes (new episodes not in database); a forced resync
+  // refreshes every episode
+  const missing = options.force
+    ? allEpisodeLinks
+    : allEpisodeLinks.filter(
+        (link) => !existingEpisodes.has(makeSeasonEpisodeKey(link.season, link.episode)),
+      );
+
+  if (missing.length === 0) {
+    console.log(`      ✅ All episodes already synced for ${seriesCtx.title}`);
+    return summary;
+  }
 
-    // SMART SYNC LOGIC:
-    // Check if we should fetch only the new episode or all missing episodes
-    let episodesToSync = [];
+  // SMART SYNC LOGIC:
+  // Check if we should fetch only the new episode or all missing episodes
+  let episodesToSync = [];
+  
+  if (triggeringEpisode) {
+    // Check if previous episode exists
+    const prevEpisode = triggeringEpisode.episode - 1;
+    const prevKey = makeSeasonEpisodeKey(triggeringEpisode.season, prevEpisode);
+    const prevExists = existingEpisodes.has(prevKey) || prevEpisode < 1;
     
-    if (triggeringEpisode) {
-      // Check if previous episode exists
-      const prevEpisode = triggeringEpisode.episode - 1;
-      const prevKey = makeSeasonEpisodeKey(triggeringEpisode.season, prevEpisode);
-      const prevExists = existingEpisodes.has(prevKey) || prevEpisode < 1;
-      
-      if (prevExists) {
-        // Previous episode exists (or this is episode 1) - only sync the new episode
-        const newEp = missing.find(
-          (m) => m.season === triggeringEpisode.season && m.episode === triggeringEpisode.episode
-        );
-        if (newEp) {
-          episodesToSync = [newEp];
-          console.log(`      🎯 Smart sync: Previous episode S${triggeringEpisode.season}E${prevEpisode} exists, fetching only new episode`);
-        }
-      } else {
-        // Previous episode doesn't exist - need to backfill all missing episodes
-        episodesToSync = missing;
-        console.log(`      📥 Smart sync: Previous episode S${triggeringEpisode.season}E${prevEpisode} missing, fetching ${missing.length} episodes`);
+    if (prevExists) {
+      // Previous episode exists (or this is episode 1) - only sync the new episode
+      const newEp = missing.find(
+        (m) => m.season === triggeringEpisode.season && m.episode === triggeringEpisode.episode
+      );
+      if (newEp) {
+        episodesToSync = [newEp];
+        console.log(`      🎯 Smart sync: Previous episode S${triggeringEpisode.season}E${prevEpisode} exists, fetching only new episode`);
       }
     } else {
-      // No triggering episode info - sync all missing
+      // Previous episode doesn't exist - need to backfill all missing episodes
       episodesToSync = missing;
-      console.log(`      📥 Full sync: Fetching ${missing.length} missing episodes`);
-    }
-
-    if (episodesToSync.length === 0) {
-      console.log(`      ✅ No episodes to sync for ${seriesCtx.title}`);
-      return;
+      console.log(`      📥 Smart sync: Previous episode S${triggeringEpisode.season}E${prevEpisode} missing, fetching ${missing.length} episodes`);
     }
-
+  } else {
+    // No triggering episode info - sync all missing
+    episodesToSync = missing;
     console.log(
-      `      ↪ ${seriesCtx.title}: Syncing ${episodesToSync.length} episode(s)`,
+      options.force
+        ? `      📥 Forced resync: Refreshing all ${missing.length} episodes`
+        : `      📥 Full sync: Fetching ${missing.length} missing episodes`,
     );
+  }
 
-    // Sync the selected episodes
-    for (const link of episodesToSync) {
-      await syncEpisodeByUrl(link.url, {
-        force: true,
-        code: { season: link.season, episode: link.episode },
-        seriesUrl: seriesCtx.url,
-        seriesTitle: seriesCtx.title,
-        existingEpisodes,
-        card: { title: link.title, thumb: link.image },
-        reason: episodesToSync.length === 1 ? "smart-new" : "backfill",
-      });
-      await delay(750);
-    }
-  } catch (err) {
-    console.error(`   ❌ Failed to process ${seriesCtx.title}: ${err.message}`);
-    stats.failedEpisodes++;
+  if (episodesToSync.length === 0) {
+    console.log(`      ✅ No episodes to sync for ${seriesCtx.title}`);
+    return summary;
+  }
+
+  console.log(
+    `      ↪ ${seriesCtx.title}: Queueing ${episodesToSync.length} episode(s)`,
+  );
+
+  for (const link of episodesToSync) {
+    const job = await enqueueEpisode(link.url, {
+      force: true,
+      code: { season: link.season, episode: link.episode },
+      seriesUrl: seriesCtx.url,
+      seriesTitle: seriesCtx.title,
+      card: { title: link.title, thumb: link.image },
+      reason: options.force ? "resync" : episodesToSync.length === 1 ? "smart-new" : "backfill",
+    });
+    if (!summary.queued.includes(job.id)) summary.queued.push(job.id);
   }
+  return summary;
 }
 
 async function auditLatestEpisodes(
   limit = Number(process.env.LATEST_AUDIT_LIMIT || 25),
 ) {
   try {
-    const { data, error } = await supabase
-      .from("latest_episodes")
-      .select(
-        "series_slug, series_title, season, episode, episode_title, thumbnail",
-      )
-      .order("added_at", { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-    if (!data || data.length === 0) return;
+    const data = await storage.listLatestEpisodes(limit);
+    if (data.length === 0) return;
 
     for (const entry of data) {
-      const exists = await episodeExistsInSupabase(
+      if (entry.content_type === "movie") continue;
+      const exists = await episodeExistsInStorage(
         entry.series_slug,
         entry.season,
         entry.episode,
@@ -1669,77 +1161,73 @@ async function auditLatestEpisodes(
       );
       const seriesUrl = buildSeriesUrlFromSlug(entry.series_slug);
 
-      await syncEpisodeByUrl(episodeUrl, {
+      await enqueueEpisode(episodeUrl, {
         force: true,
         seriesUrl,
         seriesTitle: entry.series_title,
         card: { title: entry.episode_title, thumb: entry.thumbnail },
         reason: "latest-audit",
       });
-      await delay(500);
     }
   } catch (err) {
     console.error(`⚠️ Latest episodes audit failed: ${err.message}`);
   }
 }
 
+// What an episode row lacks: "servers", "live servers", "thumbnail", "poster"
+function missingEpisodeData(ep) {
+  const missing = [];
+  const hasServers = ep.servers && Array.isArray(ep.servers) && ep.servers.length > 0;
+  if (!hasServers) missing.push("servers");
+  else if (allServersDead(ep.servers)) missing.push("live servers");
+  if (!ep.thumbnail) missing.push("thumbnail");
+  if (!ep.episode_main_poster) missing.push("poster");
+  return missing;
+}
+
+// Recently updated episodes the empty-server audit would queue, for the dashboard
+export async function listIncompleteEpisodes(limit = Number(process.env.EMPTY_SERVERS_AUDIT_LIMIT || 50)) {
+  const data = await storage.listRecentEpisodes(limit);
+  return data
+    .map((ep) => ({
+      series_slug: ep.series_slug,
+      season: ep.season,
+      episode: ep.episode,
+      title: ep.title || null,
+      updated_at: ep.updated_at || null,
+      missing: missingEpisodeData(ep),
+    }))
+    .filter((ep) => ep.missing.length > 0);
+}
+
 async function auditAndUpdateEmptyServers(
   limit = Number(process.env.EMPTY_SERVERS_AUDIT_LIMIT || 50),
 ) {
   try {
     console.log(`\n🔍 Checking for episodes with missing servers/images...`);
     
-    const { data, error } = await supabase
-      .from("episodes")
-      .select("series_slug, season, episode, servers, thumbnail, episode_main_poster")
-      .order("updated_at", { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-    if (!data || data.length === 0) return;
+    const data = await storage.listRecentEpisodes(limit);
+    if (data.length === 0) return;
 
-    let updatedCount = 0;
-    let skippedCount = 0;
+    let queuedCount = 0;
     
     for (const ep of data) {
-      const hasServers = ep.servers && Array.isArray(ep.servers) && ep.servers.length > 0;
-      const hasThumbnail = Boolean(ep.thumbnail);
-      const hasPoster = Boolean(ep.episode_main_poster);
-
-      if (!hasServers || !hasThumbnail || !hasPoster) {
-        try {
-          const episodeUrl = buildEpisodeUrl(ep.series_slug, ep.season, ep.episode);
-          const seriesUrl = buildSeriesUrlFromSlug(ep.series_slug);
-
-          await syncEpisodeByUrl(episodeUrl, {
-            force: true,
-            seriesUrl,
-            reason: "update-missing-data",
-          });
-          updatedCount++;
-          await delay(1000);
-        } catch (err) {
-          // Skip invalid/404 episodes gracefully
-          if (err.message.includes("404") || err.message.includes("Failed to fetch")) {
-            skippedCount++;
-            stats.skippedEpisodes++;
-          } else {
-            console.warn(`   ⚠️ Failed to update ${ep.series_slug} S${ep.season}E${ep.episode}: ${err.message}`);
-            stats.failedEpisodes++;
-          }
-        }
+      if (missingEpisodeData(ep).length > 0) {
+        const episodeUrl = buildEpisodeUrl(ep.series_slug, ep.season, ep.episode);
+        await enqueueEpisode(episodeUrl, {
+          force: true,
+          seriesUrl: buildSeriesUrlFromSlug(ep.series_slug),
+          reason: "update-missing-data",
+        });
+        queuedCount++;
       }
     }
 
-    if (updatedCount > 0) {
-      console.log(`   ✅ Updated ${updatedCount} episodes with missing data`);
+    if (queuedCount > 0) {
+      console.log(`   📥 Queued ${queuedCount} episodes with missing data`);
     } else {
       console.log(`   ✅ All recent episodes have complete data`);
     }
-    
-    if (skippedCount > 0) {
-      console.log(`   ℹ️  Skipped ${skippedCount} invalid/deleted episodes`);
-    }
   } catch (err) {
     console.error(`⚠️ Empty servers audit failed: ${err.message}`);
   }
@@ -1757,6 +1245,8 @@ async function fetchHomepageHtml() {
       }
       return html;
     } catch (err) {
+      // Fallback urls sit behind the same Cloudflare
+      if (err instanceof BlockedError) throw err;
       lastErr = err;
       console.warn(
         `⚠️ Failed to fetch homepage ${candidate}: ${err.message}`,
@@ -1767,34 +1257,40 @@ async function fetchHomepageHtml() {
   throw lastErr || new Error("All homepage candidates failed");
 }
 
+// Queues every homepage episode (which in turn queues its series) and movie
 async function pollHomepage() {
-  // Map of slug -> { season, episode } for smart sync
-  const latestSeriesMap = new Map();
   try {
     const html = await fetchHomepageHtml();
-    const cards = extractEpisodeCards(html);
+    const cards = extractEpisodeCards(html, CONFIG.homeUrl);
     console.log(`🔍 Found ${cards.length} candidate episodes`);
+    if (cards.length === 0) {
+      console.warn("⚠️ Homepage has no episode cards - layout change or an unrecognised block page?");
+    }
     for (const card of cards) {
-      const seriesCtx = await syncEpisodeByUrl(card.url, { card });
-      if (seriesCtx && seriesCtx.slug) {
-        // Store the triggering episode info for smart sync
-        latestSeriesMap.set(seriesCtx.slug, {
-          season: seriesCtx.season || 1,
-          episode: seriesCtx.episode || 1,
-        });
-      }
-      await delay(1000);
+      await enqueueEpisode(card.url, { card, followSeries: true });
+    }
+
+    const movieCards = extractMovieCards(html, CONFIG.homeUrl);
+    if (movieCards.length > 0) {
+      console.log(`🎞️  Found ${movieCards.length} candidate movies`);
+    }
+    for (const card of movieCards) {
+      await enqueueMovie(card.url, { card, reason: "homepage" });
     }
   } catch (err) {
     console.error(`❌ Polling error: ${err.message}`);
+    // A blocked homepage is a failed run, not an empty one
+    if (err instanceof BlockedError) throw err;
   }
-  return latestSeriesMap;
 }
 
 function printSummary() {
+  const stats = currentStats();
+  const runId = runHistory.current()?.record.id;
   console.log("\n" + "=".repeat(60));
   console.log("📊 SYNC SUMMARY");
   console.log("=".repeat(60));
+  if (runId) console.log(`   • Run: ${runId} (see /runs/${runId})`);
   
   const totalEpisodes = stats.newEpisodes + stats.updatedEpisodes;
   const totalProcessed = totalEpisodes + stats.failedEpisodes + stats.skippedEpisodes;
@@ -1804,15 +1300,39 @@ function printSummary() {
   console.log(`   • Episodes Updated: ${stats.updatedEpisodes}`);
   console.log(`   • Total Servers Fetched: ${stats.totalServers}`);
   console.log(`   • Series Processed: ${stats.seriesProcessed.size}`);
+  console.log(`   • Movies Added: ${stats.newMovies}, Updated: ${stats.updatedMovies}`);
   
-  if (stats.failedEpisodes > 0 || stats.skippedEpisodes > 0) {
+  if (
+    stats.failedEpisodes > 0 ||
+    stats.skippedEpisodes > 0 ||
+    stats.failedMovies > 0 ||
+    stats.failedSeries > 0 ||
+    stats.failedCrawlLinks > 0 ||
+    stats.challenges > 0 ||
+    stats.blocked > 0
+  ) {
     console.log(`\n⚠️  Issues:`);
     if (stats.failedEpisodes > 0) {
       console.log(`   • Failed Episodes: ${stats.failedEpisodes}`);
     }
+    if (stats.failedMovies > 0) {
+      console.log(`   • Failed Movies: ${stats.failedMovies}`);
+    }
+    if (stats.failedSeries > 0) {
+      console.log(`   • Failed Series: ${stats.failedSeries}`);
+    }
+    if (stats.failedCrawlLinks > 0) {
+      console.log(`   • Failed Crawl Links: ${stats.failedCrawlLinks}`);
+    }
     if (stats.skippedEpisodes > 0) {
       console.log(`   • Skipped (Invalid/Deleted): ${stats.skippedEpisodes}`);
     }
+    if (stats.challenges > 0) {
+      console.log(`   • Cloudflare Challenges: ${stats.challenges} (TOONSTREAM_COOKIES may need refreshing)`);
+    }
+    if (stats.blocked > 0) {
+      console.log(`   • Blocked Requests (403): ${stats.blocked}`);
+    }
   }
   
   console.log(`\n📈 Total Episodes Processed: ${totalProcessed}`);
@@ -1825,7 +1345,7 @@ function printSummary() {
   
   console.log("\n" + "=".repeat(60));
   
-  if (stats.failedEpisodes > 0) {
+  if (stats.failedEpisodes > 0 || stats.challenges > 0) {
     console.log("⚠️  Status: Completed with some failures");
   } else {
     console.log("✅ Status: All operations completed successfully!");
@@ -1835,61 +1355,285 @@ function printSummary() {
   console.log("=".repeat(60) + "\n");
 }
 
-async function updateSeriesFromLatestEpisodes(latestSeriesMap) {
-  try {
-    if (!latestSeriesMap || latestSeriesMap.size === 0) {
-      console.log(`\n   ℹ️  No series to update from latest episodes`);
-      return;
-    }
-    
-    console.log(`\n🔄 Smart sync: Checking series with new episodes...`);
-    console.log(`   📚 Found ${latestSeriesMap.size} series with latest episodes\n`);
-    
-    // Process only the series from latestSeriesMap
-    for (const [slug, triggeringEpisode] of latestSeriesMap) {
+const CRAWL_LISTINGS = [
+  {
+    label: "series",
+    stateKey: "catalog_crawl",
+    startUrl: () => CONFIG.seriesListUrl,
+    extractLinks: (html) => extractSeriesLinks(html, CONFIG.homeUrl),
+    async processLink(link) {
+      const seriesCtx = await resolveSeriesContext(link.url, link.title);
+      await enqueueSeries(seriesCtx.slug, { title: seriesCtx.title, url: seriesCtx.url });
+    },
+  },
+  {
+    label: "movies",
+    stateKey: "movie_crawl",
+    startUrl: () => CONFIG.movieListUrl,
+    extractLinks: (html) => extractMovieCards(html, CONFIG.homeUrl),
+    async processLink(link) {
+      await enqueueMovie(link.url, { card: link, reason: "crawl" });
+    },
+  },
+];
+
+async function crawlListing(listing, options = {}) {
+  let checkpoint = options.restart ? null : await storage.getState(listing.stateKey);
+  if (checkpoint?.status !== "running") {
+    checkpoint = {
+      status: "running",
+      pageUrl: listing.startUrl(),
+      page: 1,
+      pageIndex: 0,
+      itemsDone: 0,
+      startedAt: new Date().toISOString(),
+    };
+    console.log(`🗂️  Starting ${listing.label} crawl from ${checkpoint.pageUrl}`);
+  } else {
+    console.log(
+      `🗂️  Resuming ${listing.label} crawl at page ${checkpoint.page} (item ${checkpoint.pageIndex}, ${checkpoint.itemsDone} done)`,
+    );
+  }
+
+  const saveCheckpoint = () =>
+    storage.setState(listing.stateKey, mirrors.rewriteDeep({
+      ...checkpoint,
+      updatedAt: new Date().toISOString(),
+    }));
+
+  const visitedPages = new Set();
+  while (checkpoint.pageUrl && !visitedPages.has(checkpoint.pageUrl)) {
+    visitedPages.add(checkpoint.pageUrl);
+
+    const html = await fetchHtmlWithRetry(checkpoint.pageUrl, CONFIG.maxRetries, {
+      referer: CONFIG.homeUrl,
+    });
+    const links = listing.extractLinks(html);
+    console.log(`\n📄 ${listing.label} page ${checkpoint.page}: ${links.length} item(s) (${checkpoint.pageUrl})`);
+
+    for (let i = checkpoint.pageIndex; i < links.length; i++) {
+      const link = links[i];
       try {
-        // Get series title from database
-        const { data: seriesData, error } = await supabase
-          .from("series")
-          .select("title")
-          .eq("slug", slug)
-          .maybeSingle();
-        
-        if (error) {
-          console.warn(`   ⚠️ Failed to fetch series data for ${slug}: ${error.message}`);
-          continue;
-        }
-        
-        const seriesUrl = buildSeriesUrlFromSlug(slug);
-        
-        // Create a minimal series context
-        const seriesCtx = {
-          slug: slug,
-          title: seriesData?.title || slug,
-          url: seriesUrl,
-        };
-        
-        console.log(`   📺 Processing: ${seriesCtx.title} (triggered by S${triggeringEpisode.season}E${triggeringEpisode.episode})`);
-        
-        // Smart sync: pass triggering episode to determine if backfill is needed
-        await ensureSeriesComplete(seriesCtx, triggeringEpisode);
-        
-        // Small delay between series
-        await delay(1500);
+        console.log(`   [${checkpoint.itemsDone + 1}] ${link.url}`);
+        await listing.processLink(link);
       } catch (err) {
-        console.warn(`   ⚠️ Failed to process ${slug}: ${err.message}`);
-        stats.failedEpisodes++;
+        console.warn(`   ⚠️ Failed to crawl ${link.url}: ${err.message}`);
+        countFailure("crawl", { url: link.url, reason: `crawl ${listing.label}`, error: err.message });
       }
+
+      checkpoint.pageIndex = i + 1;
+      checkpoint.itemsDone++;
+      await saveCheckpoint();
     }
-    
-    console.log(`\n✅ Finished smart sync for all series`);
-  } catch (err) {
-    console.error(`⚠️ Update series failed: ${err.message}`);
+
+    // The whole page goes through the worker pool at once; queued jobs
+    // survive a restart, so the checkpoint can already be past them
+    await queue.drain();
+
+    checkpoint.pageUrl = extractNextPageUrl(html, CONFIG.homeUrl);
+    checkpoint.page++;
+    checkpoint.pageIndex = 0;
+    await saveCheckpoint();
+  }
+
+  checkpoint.status = "completed";
+  checkpoint.completedAt = new Date().toISOString();
+  await saveCheckpoint();
+  console.log(`\n✅ ${listing.label} crawl finished: ${checkpoint.itemsDone} item(s)`);
+}
+
+async function crawlCatalog(options = {}) {
+  const states = await Promise.all(
+    CRAWL_LISTINGS.map((listing) => storage.getState(listing.stateKey)),
+  );
+  // Listings finished earlier in an interrupted crawl are not walked again
+  const resuming = !options.restart && states.some((state) => state?.status === "running");
+
+  for (const [index, listing] of CRAWL_LISTINGS.entries()) {
+    if (resuming && states[index]?.status === "completed") {
+      console.log(`⏭️  ${listing.label} crawl already completed, skipping`);
+      continue;
+    }
+    await crawlListing(listing, options);
+  }
+}
+
+// Probes stored servers oldest-checked first and resyncs episodes whose servers all died
+export function checkLinks(options = {}) {
+  return recordRun("check_links", () => checkStoredLinks(options));
+}
+
+async function checkStoredLinks(options) {
+  const limit = options.limit || Number(process.env.LINK_CHECK_LIMIT || 100);
+  console.log(`🩺 Link check started (${storage.name}, up to ${limit} episodes)`);
+
+  await proxyManager.initialize();
+
+  await restoreMirror();
+
+  const summary = { episodes: 0, alive: 0, dead: 0, unknown: 0, resynced: 0, skipped: 0, failed: 0 };
+  const episodes = await storage.listEpisodesForLinkCheck(limit);
+
+  for (const ep of episodes) {
+    const label = `${ep.series_slug} S${ep.season}E${ep.episode}`;
+    try {
+      const servers = mirrors.rewriteDeep(await linkChecker.checkServers(ep.servers || []));
+      if (await episodeBusy(ep)) {
+        summary.skipped++;
+        console.log(`   ⏭️ ${label} is being resynced, leaving it to the job`);
+        continue;
+      }
+      await storage.upsertEpisode({
+        series_slug: ep.series_slug,
+        season: ep.season,
+        episode: ep.episode,
+        servers,
+        links_checked_at: new Date().toISOString(),
+      });
+
+      summary.episodes++;
+      for (const server of servers) {
+        if (summary[server?.status] !== undefined) summary[server.status]++;
+      }
+      const alive = servers.filter((server) => server?.status === "alive").length;
+      console.log(`   🩺 ${label}: ${alive}/${servers.length} servers alive`);
+
+      if (allServersDead(servers)) {
+        console.log(`   💀 All servers dead for ${label}, queueing resync...`);
+        await enqueueEpisode(buildEpisodeUrl(ep.series_slug, ep.season, ep.episode), {
+          force: true,
+          seriesUrl: buildSeriesUrlFromSlug(ep.series_slug),
+          reason: "dead-links",
+        });
+        summary.resynced++;
+      }
+    } catch (err) {
+      summary.failed++;
+      console.warn(`   ⚠️ Link check failed for ${label}: ${err.message}`);
+    } finally {
+      await delay(300);
+    }
+  }
+
+  // Resyncs run as queue jobs, in the sync's drain if one is going
+  if (summary.resynced > 0) await queue.drain();
+
+  console.log(
+    `🩺 Link check done: ${summary.episodes} episodes | alive ${summary.alive}, dead ${summary.dead}, unknown ${summary.unknown} | resynced ${summary.resynced}, skipped ${summary.skipped}`,
+  );
+  return summary;
+}
+
+// Episode jobs write the episode while its servers are probed; the probed
+// (older) list is only saved if no job has it queued or rewrote it meanwhile
+async function episodeBusy(ep) {
+  const url = buildEpisodeUrl(ep.series_slug, ep.season, ep.episode);
+  const job = await queue.get(makeJobId("episode", mirrors.keyFor(url)));
+  if (job?.status === "pending" || job?.status === "running") return true;
+  const current = await storage.getEpisode(ep.series_slug, ep.season, ep.episode);
+  return JSON.stringify(current?.servers || []) !== JSON.stringify(ep.servers || []);
+}
+
+export function crawl(options = {}) {
+  return recordRun("crawl", async () => {
+    console.log(`🚀 Toonstream -> ${storage.name} catalog crawl started`);
+
+    await proxyManager.initialize();
+    await restoreMirror();
+    await queue.recover();
+
+    await crawlCatalog(options);
+
+    printSummary();
+  });
+}
+
+export function start() {
+  return recordRun("sync", syncLatestEpisodes);
+}
+
+// { type: "series" | "episode", slug, season, episode, url } for a series or
+// episode page on one of the toonstream mirrors, null for anything else
+export function parseToonstreamUrl(url) {
+  if (typeof url !== "string" || !mirrors.isMirrorUrl(url)) return null;
+  const [section, slug] = new URL(url).pathname.split("/").filter(Boolean);
+  if (!slug) return null;
+  if (section === "series") return { type: "series", slug, url };
+  const match = section === "episode" && slug.match(/^(.+)-(\d+)x(\d+)$/i);
+  if (!match) return null;
+  return { type: "episode", slug: match[1], season: Number(match[2]), episode: Number(match[3]), url };
+}
+
+// Starts a "resync" run to work the queue off once the runs before it are done,
+// unless one of them already did the job
+function startResyncRun(jobId) {
+  inTurn(async () => {
+    const job = await queue.get(jobId);
+    if (job?.status !== "pending") return;
+    await recordRunNow("resync", async () => {
+      await proxyManager.initialize();
+      await restoreMirror();
+      await queue.drain();
+    });
+  }).catch((err) => console.error(`❌ Resync failed: ${err.message}`));
+}
+
+// What a finished resync job did, for the caller
+async function describeResync(type, result) {
+  if (type === "series" || !result?.series_slug) return result ?? null;
+  const row = await storage.getEpisode(result.series_slug, result.season, result.episode);
+  if (!row) return result;
+  return {
+    ...result,
+    title: row.title || null,
+    servers: row.servers?.length || 0,
+    languages: [...new Set((row.servers || []).flatMap((s) => s.languages || (s.language ? [s.language] : [])))],
+    missing: missingEpisodeData(row),
+    updated_at: row.updated_at || null,
+  };
+}
+
+// Manual resync: { type: "series", slug or url, force } re-runs one series
+// (force: every episode, not just the missing ones), { type: "episode", url or
+// slug + season + episode } force-refreshes one episode. A queued job for it is
+// replaced, one already running is waited for. With options.waitMs it waits
+// that long for the job and returns { status: "done" | "failed" | "dead", job,
+// result, error }; otherwise (or on timeout) { status: "queued", job }.
+export async function resync(target, options = {}) {
+  let job;
+  if (target.type === "series") {
+    job = await enqueueSeries(target.slug, {
+      title: target.slug,
+      url: target.url || buildSeriesUrlFromSlug(target.slug),
+      force: Boolean(target.force),
+      reason: "manual",
+    }, { replace: true });
+  } else {
+    const url = target.url || buildEpisodeUrl(target.slug, target.season, target.episode);
+    job = await enqueueEpisode(url, {
+      force: true,
+      seriesUrl: target.slug ? buildSeriesUrlFromSlug(target.slug) : undefined,
+      reason: "manual",
+    }, { replace: true });
   }
+  console.log(`📬 Queued ${job.type} resync: ${job.id}`);
+
+  const outcome = options.waitMs ? queue.waitFor(job.id, options.waitMs) : null;
+  startResyncRun(job.id);
+  const finished = await outcome;
+  if (!finished) return { status: "queued", job };
+
+  const status = finished.job.status === "pending" ? "failed" : finished.job.status;
+  return {
+    status,
+    job: finished.job,
+    result: status === "done" ? await describeResync(job.type, finished.result) : null,
+    error: finished.error,
+  };
 }
 
-export async function start() {
-  console.log("🚀 Toonstream -> Supabase sync started");
+async function syncLatestEpisodes() {
+  console.log(`🚀 Toonstream -> ${storage.name} sync started`);
   console.log("📡 Fetching latest episodes from Toonstream...\n");
   
   // Initialize proxy system
@@ -1899,17 +1643,30 @@ export async function start() {
     console.log(`🔐 Proxy Status: ${proxyStats.active}/${proxyStats.total} active\n`);
   }
   
-  // Step 1: Fetch latest from homepage and track which series have new episodes
-  const latestSeriesSlugs = await pollHomepage();
+  // Step 0: Pick up jobs a crashed or interrupted run left behind
+  await restoreMirror();
+  await queue.recover();
+  await queue.prune(JOB_RETENTION_MS);
+  await runHistory.prune(RUN_RETENTION_MS);
+
+  // Step 1: Queue latest episodes from the homepage; each one queues its
+  // series for the smart sync, which queues any missing episodes
+  await timeStage("poll_homepage", pollHomepage);
+  await timeStage("smart_sync", () => queue.drain());
   
-  // Step 2: Update ALL episodes (old + new) for series with recent activity
-  await updateSeriesFromLatestEpisodes(latestSeriesSlugs);
+  // Step 2: Audit and restore from latest_episodes
+  await timeStage("audit_latest", auditLatestEpisodes);
   
-  // Step 3: Audit and restore from latest_episodes
-  await auditLatestEpisodes();
+  // Step 3: Final check for any episodes with missing data
+  await timeStage("audit_servers", async () => {
+    await auditAndUpdateEmptyServers();
+    await queue.drain();
+  });
   
-  // Step 4: Final check for any episodes with missing data
-  await auditAndUpdateEmptyServers();
+  const jobCounts = await queue.stats();
+  if (jobCounts.pending > 0 || jobCounts.dead > 0) {
+    console.log(`📬 Jobs: ${jobCounts.pending} pending (retry later), ${jobCounts.dead} dead`);
+  }
   
   printSummary();
 }
@@ -1922,7 +1679,15 @@ const isMainModule = process.argv[1] && (
 );
 
 if (isMainModule) {
-  start().catch((err) => {
+  logger.installConsole();
+  const logFiles = logFileStoreFromEnv();
+  if (logFiles) logger.addSink((entry) => logFiles.append(entry));
+  const args = process.argv.slice(2);
+  let run;
+  if (args.includes("--crawl")) run = crawl({ restart: args.includes("--restart") });
+  else if (args.includes("--check-links")) run = checkLinks();
+  else run = start();
+  run.catch((err) => {
     console.error("\n❌ Error occurred:", err.message);
     process.exit(1);
   });